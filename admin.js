@@ -0,0 +1,119 @@
+/**
+ * RetailMetrics Mock Server Admin API
+ *
+ * Runtime controls so test suites can reset state without restarting the
+ * server: regenerate or reset the data, switch the default scenario, save and
+ * load snapshots or fixtures, report generation stats, and list or undo store
+ * writes. Each call acts on the request's tenant.
+ * Mounted at /__admin ahead of the body parser and fault injection, so
+ * snapshots can be large and admin calls never fail at random.
+ */
+
+const express = require('express');
+const mockData = require('./data');
+const { createSqliteSnapshot, loadData } = require('./datafile');
+
+const snapshotSizeLimit = '512mb';
+const generationParams = ['seed', 'storeCount', 'startDate', 'endDate', 'today', 'scenario'];
+const snapshotFormats = ['json', 'sqlite'];
+
+function getStats(dataStore) {
+  const { rss, heapUsed } = process.memoryUsage();
+  return {
+    ...mockData.getGenerationStats(dataStore),
+    memory: { rssBytes: rss, heapUsedBytes: heapUsed }
+  };
+}
+
+// Run an admin call against the request's tenant
+function withTenant(req, handler) {
+  return mockData.withTenant(req.tenant, handler);
+}
+
+function createAdminRouter() {
+  const router = express.Router();
+
+  router.get('/stats', (req, res) => {
+    res.json(withTenant(req, () => getStats(mockData.getDataStore(req.query.scenario))));
+  });
+
+  // Options left out fall back to the defaults, and a missing seed picks a new one
+  router.post('/regenerate', express.json(), (req, res) => {
+    const options = {};
+    generationParams.forEach(param => {
+      if (req.body && req.body[param] !== undefined) options[param] = req.body[param];
+    });
+
+    res.json(withTenant(req, () => getStats(mockData.initializeMockData(options))));
+  });
+
+  // Same seed and options as the last regeneration, discarding any changes since
+  router.post('/reset', (req, res) => {
+    res.json(withTenant(req, () => getStats(mockData.resetMockData())));
+  });
+
+  router.put('/scenario', express.json(), (req, res) => {
+    const scenario = req.body && req.body.scenario;
+    if (!scenario) {
+      throw mockData.createHttpError(400, 'scenario is required');
+    }
+
+    res.json(withTenant(req, () => getStats(mockData.setDefaultScenario(scenario))));
+  });
+
+  router.get('/snapshot', (req, res) => {
+    const format = req.query.format || 'json';
+    if (!snapshotFormats.includes(format)) {
+      throw mockData.createHttpError(400, `Unknown format '${format}'. Expected one of: ${snapshotFormats.join(', ')}`);
+    }
+
+    const { dataStore, snapshot } = withTenant(req, () => {
+      const selected = mockData.getDataStore(req.query.scenario);
+      const file = format === 'sqlite' ? createSqliteSnapshot(selected) : mockData.createSnapshot(selected);
+      return { dataStore: selected, snapshot: file };
+    });
+    const fileName = `${dataStore.tenant.id}-${dataStore.seed}-${dataStore.scenario.name}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.type(format === 'sqlite' ? 'application/vnd.sqlite3' : 'json');
+    res.send(snapshot);
+  });
+
+  // Takes either snapshot format, or a fixture to generate from
+  router.post('/snapshot', express.raw({ type: () => true, limit: snapshotSizeLimit }), (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      throw mockData.createHttpError(400, 'Send a snapshot from GET /__admin/snapshot, or a fixture, as the request body');
+    }
+
+    res.json(withTenant(req, () => getStats(loadData(req.body))));
+  });
+
+  // Mutation endpoints act on the default data set, or ?scenario= like the API
+  router.get('/mutations', (req, res) => {
+    const dataStore = withTenant(req, () => mockData.getDataStore(req.query.scenario));
+    res.json(mockData.withDataStore(dataStore, () => mockData.handleGetMutations()));
+  });
+
+  router.post('/mutations/undo', (req, res) => {
+    const dataStore = withTenant(req, () => mockData.getDataStore(req.query.scenario));
+    res.json(mockData.withDataStore(dataStore, () => mockData.handleUndoMutations()));
+  });
+
+  // Undoes the mutation and every later one, newest first
+  router.post('/mutations/:mutationId/undo', (req, res) => {
+    const dataStore = withTenant(req, () => mockData.getDataStore(req.query.scenario));
+    const result = mockData.withDataStore(dataStore, () => mockData.handleUndoMutations(req.params.mutationId));
+
+    if (!result) {
+      return res.status(404).json({ error: 'Mutation not found' });
+    }
+
+    res.json(result);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
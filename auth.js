@@ -0,0 +1,301 @@
+/**
+ * RetailMetrics Mock Server Authentication
+ *
+ * Signs in seeded users and scopes every response to what they may see, like
+ * the real backend: executives see everything, regional managers their region
+ * and store managers their store. POST /api/auth/login issues an HS256 JWT,
+ * sent back as `Authorization: Bearer <token>` (or `access_token=` where a
+ * browser can't set headers, as with EventSource and WebSocket).
+ *
+ * Requests with a token run against a scoped view of the data set, so
+ * summaries, lists, exports, GraphQL and the live feed only cover the
+ * caller's stores. Stores and employees outside the scope are forbidden
+ * rather than missing, and only executives can change stores or use the
+ * admin API.
+ *
+ * The mode is `optional` by default: API requests without a token see
+ * everything, so existing clients keep working, and a token that is sent must
+ * be valid. `required` answers requests without one with a 401. The admin API
+ * always needs an executive's token, unless the mode is `off`, which ignores
+ * tokens altogether.
+ *
+ * Users come from the data set: `exec`, `regional-<region>` for each region
+ * and `manager-<store id>` for each store, all with the same password.
+ */
+
+const crypto = require('crypto');
+const { createHttpError } = require('./data');
+
+const roles = ['exec', 'regional_manager', 'store_manager'];
+const authModes = ['off', 'optional', 'required'];
+const defaultPassword = 'retailmetrics';
+const defaultTokenTtl = 3600;
+const maxTokenTtl = 7 * 24 * 3600;
+const tokenHeader = { alg: 'HS256', typ: 'JWT' };
+const readMethods = ['GET', 'HEAD', 'OPTIONS'];
+// Routes that ignore tokens, so a stale one can't stop anyone signing in
+const publicPaths = ['/api/auth/login', '/api/auth/users'];
+
+function parseTokenTtl(value, name) {
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isInteger(number) || number < 0 || number > maxTokenTtl) {
+    throw createHttpError(400, `Invalid ${name} '${value}'. Expected whole seconds from 0 to ${maxTokenTtl}`);
+  }
+  return number;
+}
+
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * The seeded users of a data set
+ */
+function getUsers(dataStore) {
+  return [
+    { username: 'exec', name: 'Executive', role: 'exec' },
+    ...dataStore.tenant.regions.map(region => ({
+      username: `regional-${slugify(region)}`,
+      name: `${region} Regional Manager`,
+      role: 'regional_manager',
+      region
+    })),
+    ...dataStore.stores.map(store => ({
+      username: `manager-${store.id.toLowerCase()}`,
+      name: store.manager,
+      role: 'store_manager',
+      storeId: store.id
+    }))
+  ];
+}
+
+function handleGetUsers(dataStore) {
+  return { users: getUsers(dataStore) };
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signToken(claims, secret) {
+  const body = `${encodeSegment(tokenHeader)}.${encodeSegment(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// The token's claims, or a 401 saying what was wrong with it
+function verifyToken(token, secret, now = Date.now()) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw createHttpError(401, 'Malformed token');
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw createHttpError(401, 'Invalid token signature');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createHttpError(401, 'Malformed token');
+  }
+  if (header.alg !== tokenHeader.alg || !claims || !roles.includes(claims.role)) {
+    throw createHttpError(401, 'Malformed token');
+  }
+  if (typeof claims.exp !== 'number' || now / 1000 >= claims.exp) {
+    throw createHttpError(401, 'Token expired');
+  }
+  return claims;
+}
+
+/**
+ * Whether a user may see a store, or a transaction, by its region and id
+ */
+function isInScope(user, { region, storeId }) {
+  if (!user || user.role === 'exec') return true;
+  if (user.role === 'regional_manager') return region === user.region;
+  return storeId === user.storeId;
+}
+
+/**
+ * A copy of the data set holding only the user's stores, their employees
+ * and the regions they trade in, with every store kept in `allStores`.
+ * Executives get the data set itself.
+ */
+function scopeDataStore(dataStore, user) {
+  if (!user || user.role === 'exec') return dataStore;
+
+  const stores = dataStore.stores.filter(store => isInScope(user, { region: store.region, storeId: store.id }));
+  const storeIds = new Set(stores.map(store => store.id));
+  const regions = dataStore.tenant.regions.filter(region => (
+    user.role === 'regional_manager' ? region === user.region : stores.some(store => store.region === region)
+  ));
+  const byId = Object.fromEntries(Object.entries(dataStore.staff.byId).filter(([, { storeId }]) => storeIds.has(storeId)));
+
+  return {
+    ...dataStore,
+    tenant: { ...dataStore.tenant, regions },
+    stores,
+    staff: { ...dataStore.staff, byId },
+    // Shares of a region are still worked out against all of its stores
+    allStores: dataStore.stores
+  };
+}
+
+function describeScope(user) {
+  if (user.role === 'regional_manager') return `the ${user.region} region`;
+  return `store ${user.storeId}`;
+}
+
+/**
+ * @param {Object} options - `mode`, one of `authModes`; `secret`, the signing key (random per start by default, so restarting
+ *   signs everyone out); `password`, shared by every seeded user; and
+ *   `tokenTtl`, token lifetime in seconds. All may be strings from the
+ *   command line.
+ */
+function createAuth({ mode = 'optional', secret, password = defaultPassword, tokenTtl = defaultTokenTtl } = {}) {
+  if (!authModes.includes(mode)) {
+    throw createHttpError(400, `Invalid auth mode '${mode}'. Expected one of: ${authModes.join(', ')}`);
+  }
+  const signingKey = secret || crypto.randomBytes(32).toString('hex');
+  const defaultTtl = parseTokenTtl(tokenTtl, 'auth token TTL');
+
+  // A bearer token, or access_token for clients that can't send headers
+  function getToken(headers, query) {
+    const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+    if (match) return match[1].trim();
+    return typeof query.access_token === 'string' ? query.access_token : undefined;
+  }
+
+  // The user a token was issued to for the tenant, or null without a token
+  function getUser(token, tenantId, required = mode === 'required') {
+    if (mode === 'off') return null;
+    if (!token) {
+      if (required) throw createHttpError(401, 'Sign in with POST /api/auth/login and send the token as a bearer token');
+      return null;
+    }
+
+    const claims = verifyToken(token, signingKey);
+    if (claims.tenant !== tenantId) {
+      throw createHttpError(401, `Token was issued for tenant '${claims.tenant}'`);
+    }
+    const { sub: username, name, role, region, storeId } = claims;
+    return { username, name, role, ...(region ? { region } : {}), ...(storeId ? { storeId } : {}) };
+  }
+
+  /**
+   * Check a request's token against its data set, returning the user (null
+   * without a token) and the data set scoped to them
+   */
+  function authenticate(token, dataStore) {
+    const user = getUser(token, dataStore.tenant.id);
+    return { user, dataStore: user ? scopeDataStore(dataStore, user) : dataStore };
+  }
+
+  function sendAuthError(error, res, next) {
+    if (error.status === 401) res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${error.message}"`);
+    next(error);
+  }
+
+  // Runs after the data set is picked, swapping in the caller's view of it
+  function authMiddleware(req, res, next) {
+    try {
+      if (publicPaths.includes(req.path)) return next();
+
+      const { user, dataStore } = authenticate(getToken(req.headers, req.query), req.dataStore);
+      req.user = user;
+      if (user && dataStore !== req.dataStore) {
+        req.unscopedDataStore = req.dataStore;
+        req.dataStore = dataStore;
+      }
+      if (user && user.role !== 'exec' && !readMethods.includes(req.method) && req.path.startsWith('/api/stores')) {
+        throw createHttpError(403, 'Only executives can change stores');
+      }
+      next();
+    } catch (error) {
+      sendAuthError(error, res, next);
+    }
+  }
+
+  // The admin API reads and replaces whole data sets, so it is for
+  // executives only, whatever the mode asks of other routes; runs once the
+  // tenant is picked
+  function adminMiddleware(req, res, next) {
+    try {
+      req.user = getUser(getToken(req.headers, req.query), req.tenant, true);
+      if (req.user && req.user.role !== 'exec') {
+        throw createHttpError(403, 'Only executives can use the admin API');
+      }
+      next();
+    } catch (error) {
+      sendAuthError(error, res, next);
+    }
+  }
+
+  // Stores and employees outside the caller's scope are forbidden, not missing
+  function checkStoreAccess(req, storeId) {
+    const unscoped = req.unscopedDataStore;
+    if (!unscoped || req.dataStore.stores.some(store => store.id === storeId)) return;
+    if (unscoped.stores.some(store => store.id === storeId)) {
+      throw createHttpError(403, `Store ${storeId} is outside ${describeScope(req.user)}`);
+    }
+  }
+
+  function checkEmployeeAccess(req, employeeId) {
+    const unscoped = req.unscopedDataStore;
+    if (unscoped && unscoped.staff.byId[employeeId] && !req.dataStore.staff.byId[employeeId]) {
+      throw createHttpError(403, `Employee ${employeeId} works outside ${describeScope(req.user)}`);
+    }
+  }
+
+  /**
+   * Sign in a seeded user of the data set. `expiresIn` (seconds) overrides
+   * the token lifetime, so expiry can be tested; 0 issues an expired token.
+   */
+  function handleLogin(body, dataStore) {
+    const { username, password: given, expiresIn } = body || {};
+    const user = getUsers(dataStore).find(candidate => candidate.username === username);
+    if (!user || given !== password) {
+      throw createHttpError(401, 'Invalid username or password');
+    }
+
+    const ttl = expiresIn === undefined ? defaultTtl : parseTokenTtl(expiresIn, 'expiresIn');
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const { username: sub, ...profile } = user;
+    const token = signToken({ sub, ...profile, tenant: dataStore.tenant.id, iat: issuedAt, exp: issuedAt + ttl }, signingKey);
+
+    return {
+      token,
+      tokenType: 'Bearer',
+      expiresAt: new Date((issuedAt + ttl) * 1000).toISOString(),
+      user
+    };
+  }
+
+  return {
+    mode,
+    getToken,
+    authenticate,
+    authMiddleware,
+    adminMiddleware,
+    checkStoreAccess,
+    checkEmployeeAccess,
+    handleLogin,
+    handleGetUsers
+  };
+}
+
+module.exports = {
+  roles,
+  authModes,
+  createAuth,
+  getUsers,
+  handleGetUsers,
+  isInScope,
+  scopeDataStore,
+  signToken,
+  verifyToken
+};
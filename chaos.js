@@ -0,0 +1,316 @@
+/**
+ * RetailMetrics Mock Server Fault Injection
+ *
+ * Express middleware that delays, fails, truncates, slow-streams or drops
+ * responses so loading states, retries and error handling can be exercised.
+ *
+ * Settings come from a JSON config file (a `default` block plus per-route
+ * blocks), then the --chaos option or MOCK_CHAOS, then the X-Mock-Chaos
+ * header and finally the `chaos` query parameter. The last three use a
+ * compact form such as `latency=200-800,errorRate=0.1,errorStatus=503|429`.
+ *
+ * Every decision is drawn from a generator seeded by the seed, the route and
+ * how many times that route has been called, so a run can be replayed. The
+ * seed may be a function, read on every request.
+ */
+
+const fs = require('fs');
+const { STATUS_CODES } = require('http');
+const { createRandom, createHttpError, parseJson } = require('./data');
+
+const chaosDefaults = {
+  latency: [0, 0],
+  errorRate: 0,
+  errorStatus: [500],
+  truncateRate: 0,
+  slowRate: 0,
+  slowChunkBytes: 1024,
+  slowChunkDelay: 50,
+  dropRate: 0
+};
+const rateSettings = ['errorRate', 'truncateRate', 'slowRate', 'dropRate'];
+const retryAfterStatuses = [429, 503];
+// Seed and route pairs whose calls are counted; beyond this the least recently
+// called is forgotten, and counts from its first call again
+const maxCountedRoutes = 1000;
+
+function parseNumber(value, name, min, max = Infinity) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (String(value).trim() === '' || !Number.isFinite(number) || number < min || number > max) {
+    const range = max === Infinity ? `at least ${min}` : `from ${min} to ${max}`;
+    throw createHttpError(400, `Invalid chaos ${name} '${value}'. Expected a number ${range}`);
+  }
+  return number;
+}
+
+// Latency is a fixed number of milliseconds or a `min-max` range
+function parseLatency(value) {
+  const bounds = Array.isArray(value) ? value : String(value).split('-');
+  if (bounds.length < 1 || bounds.length > 2) {
+    throw createHttpError(400, `Invalid chaos latency '${value}'. Expected milliseconds or a min-max range`);
+  }
+
+  const [min, max = min] = bounds.map(bound => parseNumber(bound, 'latency', 0));
+  if (min > max) {
+    throw createHttpError(400, `Invalid chaos latency '${value}'. The minimum must not exceed the maximum`);
+  }
+  return [min, max];
+}
+
+function parseStatuses(value) {
+  const statuses = Array.isArray(value) ? value : String(value).split('|');
+  return statuses.map(status => parseNumber(status, 'errorStatus', 400, 599));
+}
+
+// Validate raw settings from any source, keeping only the keys given
+function normalizeSettings(raw) {
+  const settings = {};
+
+  Object.entries(raw).forEach(([name, value]) => {
+    if (name === 'latency') {
+      settings.latency = parseLatency(value);
+    } else if (name === 'errorStatus') {
+      settings.errorStatus = parseStatuses(value);
+    } else if (rateSettings.includes(name)) {
+      settings[name] = parseNumber(value, name, 0, 1);
+    } else if (name === 'slowChunkBytes') {
+      settings.slowChunkBytes = Math.round(parseNumber(value, name, 1));
+    } else if (name === 'slowChunkDelay') {
+      settings.slowChunkDelay = parseNumber(value, name, 0);
+    } else if (name === 'seed') {
+      settings.seed = String(value);
+    } else {
+      throw createHttpError(400, `Unknown chaos setting '${name}'. Expected one of: ${[...Object.keys(chaosDefaults), 'seed'].join(', ')}`);
+    }
+  });
+
+  return settings;
+}
+
+// `off` resets every setting, so a request can opt out of configured faults
+function parseChaosSpec(spec) {
+  const value = String(spec).trim();
+  if (value === 'off') return { ...chaosDefaults };
+
+  const raw = {};
+  value.split(',').filter(Boolean).forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      throw createHttpError(400, `Invalid chaos setting '${pair}'. Expected name=value`);
+    }
+    raw[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+  });
+
+  return normalizeSettings(raw);
+}
+
+// Route keys use Express-style paths, e.g. /api/stores/:storeId/details or /api/*
+function compileRoute(pattern) {
+  const source = pattern
+    .split('/')
+    .map(part => {
+      if (part.startsWith(':')) return '[^/]+';
+      if (part === '*') return '.*';
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Read a chaos config file, checking its settings so a bad one is reported
+ * with where it is
+ *
+ * {
+ *   "default": { "latency": "50-150" },
+ *   "routes": { "/api/sales": { "errorRate": 0.1, "errorStatus": [500, 503] } }
+ * }
+ */
+function loadChaosConfig(filePath) {
+  if (!filePath) return {};
+  const config = parseJson(fs.readFileSync(filePath, 'utf8'), 'chaos config');
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw createHttpError(400, 'Invalid chaos config: expected an object with default and routes');
+  }
+
+  const blocks = [
+    ['default', config.default || {}],
+    ...Object.entries(config.routes || {}).map(([route, settings]) => [`routes.${route}`, settings])
+  ];
+  blocks.forEach(([name, settings]) => {
+    try {
+      normalizeSettings(settings);
+    } catch (error) {
+      throw createHttpError(400, `Invalid chaos config: ${name}: ${error.message}`);
+    }
+  });
+  return config;
+}
+
+function getFaultRolls(seed, requestKey, index) {
+  const random = createRandom(`${seed}:${requestKey}:${index}`);
+
+  // Always draw in the same order so changing one rate leaves the other faults alone
+  return {
+    latency: random(),
+    drop: random(),
+    error: random(),
+    status: random(),
+    truncate: random(),
+    truncateAt: random(),
+    slow: random()
+  };
+}
+
+function decideFaults(settings, rolls) {
+  const [minLatency, maxLatency] = settings.latency;
+  const statuses = settings.errorStatus;
+
+  return {
+    latencyMs: Math.round(minLatency + (maxLatency - minLatency) * rolls.latency),
+    drop: rolls.drop < settings.dropRate,
+    status: rolls.error < settings.errorRate ? statuses[Math.floor(rolls.status * statuses.length)] : null,
+    truncateAt: rolls.truncate < settings.truncateRate ? 0.2 + 0.6 * rolls.truncateAt : null,
+    slow: rolls.slow < settings.slowRate
+  };
+}
+
+function isActive(settings) {
+  return settings.latency[1] > 0 || rateSettings.some(name => settings[name] > 0);
+}
+
+// Replace res.send for this response only; bodies sent as objects pass through
+// to Express, which serializes them and calls send again with a string.
+// Streamed responses (downloads, event streams) have no whole body to work
+// on, so writing or flushing headers first calls `skip` and sends as usual.
+function interceptBody(res, transform, skip) {
+  const { send, write, flushHeaders } = res;
+  const restore = () => {
+    res.send = send;
+    res.write = write;
+    res.flushHeaders = flushHeaders;
+  };
+
+  res.send = function interceptedSend(body) {
+    if (typeof body !== 'string' && !Buffer.isBuffer(body)) return send.call(this, body);
+    restore();
+    transform(Buffer.from(body), send.bind(res));
+    return res;
+  };
+  res.write = function interceptedWrite(...args) {
+    restore();
+    skip();
+    return write.apply(this, args);
+  };
+  res.flushHeaders = function interceptedFlushHeaders() {
+    restore();
+    skip();
+    return flushHeaders.call(this);
+  };
+}
+
+function streamSlowly(res, buffer, settings) {
+  let offset = 0;
+  res.set('Content-Length', String(buffer.length));
+
+  const writeChunk = () => {
+    if (res.destroyed) return;
+    const chunk = buffer.subarray(offset, offset + settings.slowChunkBytes);
+    offset += chunk.length;
+    if (offset >= buffer.length) {
+      res.end(chunk);
+      return;
+    }
+    res.write(chunk);
+    setTimeout(writeChunk, settings.slowChunkDelay);
+  };
+
+  writeChunk();
+}
+
+function createChaosMiddleware({ config = {}, overrides, seed }) {
+  const defaults = { ...chaosDefaults, ...normalizeSettings(config.default || {}) };
+  const routes = Object.entries(config.routes || {}).map(([pattern, settings]) => ({
+    pattern: compileRoute(pattern),
+    settings: normalizeSettings(settings)
+  }));
+  const globalSettings = overrides ? parseChaosSpec(overrides) : {};
+  const requestCounts = new Map();
+
+  return function chaosMiddleware(req, res, next) {
+    const requestSpec = req.query.chaos || req.get('X-Mock-Chaos');
+    const route = routes.find(({ pattern }) => pattern.test(req.path));
+    let settings;
+
+    try {
+      settings = {
+        ...defaults,
+        ...(route ? route.settings : {}),
+        ...globalSettings,
+        ...(requestSpec ? parseChaosSpec(requestSpec) : {})
+      };
+    } catch (error) {
+      return next(error);
+    }
+    if (!isActive(settings)) return next();
+
+    // Count calls per seed and route so each route replays independently
+    const requestKey = `${req.method} ${req.path}`;
+    const faultSeed = settings.seed || (typeof seed === 'function' ? seed() : seed);
+    const countKey = `${faultSeed}:${requestKey}`;
+    const index = requestCounts.get(countKey) || 0;
+    requestCounts.delete(countKey);
+    requestCounts.set(countKey, index + 1);
+    if (requestCounts.size > maxCountedRoutes) requestCounts.delete(requestCounts.keys().next().value);
+
+    const faults = decideFaults(settings, getFaultRolls(faultSeed, requestKey, index));
+    const applied = [];
+    if (faults.latencyMs) applied.push(`latency=${faults.latencyMs}`);
+
+    setTimeout(() => {
+      if (faults.drop) {
+        req.socket.destroy();
+        return;
+      }
+
+      if (faults.status) {
+        applied.push(`status=${faults.status}`);
+        res.set('X-Mock-Chaos-Faults', applied.join(','));
+        if (retryAfterStatuses.includes(faults.status)) res.set('Retry-After', '1');
+        return res.status(faults.status).json({ error: `${STATUS_CODES[faults.status] || 'Error'} (injected)` });
+      }
+
+      const reportFaults = () => {
+        if (applied.length) {
+          res.set('X-Mock-Chaos-Faults', applied.join(','));
+        } else {
+          res.removeHeader('X-Mock-Chaos-Faults');
+        }
+      };
+      const skipFault = () => {
+        applied.pop();
+        reportFaults();
+      };
+
+      if (faults.truncateAt !== null) {
+        applied.push('truncated');
+        interceptBody(res, (buffer, send) => send(buffer.subarray(0, Math.floor(buffer.length * faults.truncateAt))), skipFault);
+      } else if (faults.slow) {
+        applied.push('slow');
+        interceptBody(res, buffer => streamSlowly(res, buffer, settings), skipFault);
+      }
+
+      reportFaults();
+      next();
+    }, faults.latencyMs);
+  };
+}
+
+module.exports = {
+  chaosDefaults,
+  createChaosMiddleware,
+  loadChaosConfig,
+  parseChaosSpec,
+  getFaultRolls,
+  decideFaults
+};
@@ -0,0 +1,35 @@
+/**
+ * RetailMetrics Mock Server Configuration
+ *
+ * Reads server options from command line flags, falling back to environment
+ * variables. Flags may be given as `--name value` or `--name=value`.
+ */
+
+function getCliOption(name, argv = process.argv.slice(2)) {
+  const flag = `--${name}`;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) {
+      const value = argv[i + 1];
+      return value === undefined || value.startsWith('--') ? 'true' : value;
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      return argv[i].slice(flag.length + 1);
+    }
+  }
+
+  return undefined;
+}
+
+function getOption(name, envName) {
+  const cliValue = getCliOption(name);
+  if (cliValue !== undefined) return cliValue;
+
+  const envValue = process.env[envName];
+  return envValue === '' ? undefined : envValue;
+}
+
+module.exports = {
+  getCliOption,
+  getOption
+};
@@ -1,467 +1,4295 @@
 /**
  * RetailMetrics Mock Data Generator
  * 
- * This file generates randomized retail data for the FashionForward dashboard.
- * It creates the data once at server startup and keeps it in memory.
+ * This file generates randomized retail data for the RetailMetrics dashboard.
+ * It creates the data once at server startup and keeps it in memory. Each
+ * tenant (see tenants.js) gets data sets of its own, generated from its brand.
  */
 
-const regions = ['Northeast', 'Southeast', 'Midwest', 'Southwest', 'West'];
+const { builtInTenants, normalizeTenant } = require('./tenants');
+const { confidenceLevels, fitSalesModel, getMonthEffects, forecastBuckets, scoreForecast, describeModel } = require('./forecast');
+
+
 const storeTypes = ['Mall', 'Street', 'Outlet', 'Flagship'];
-const categories = ['Men\'s', 'Women\'s', 'Children\'s', 'Accessories', 'Footwear'];
-const departments = [
-  'Men\'s Casual', 'Men\'s Formal', 'Women\'s Casual', 'Women\'s Formal', 
-  'Women\'s Athletic', 'Children\'s', 'Accessories', 'Footwear'
-];
 const timeRanges = [
   'Today', 'Yesterday', 'Last 7 Days', 'Last 30 Days', 'This Month', 
   'Last Month', 'This Quarter', 'Last Quarter', 'YTD', 'Last Year'
 ];
-const cityByRegion = {
-  'Northeast': ['New York', 'Boston', 'Philadelphia', 'Washington DC', 'Pittsburgh'],
-  'Southeast': ['Miami', 'Atlanta', 'Charlotte', 'Nashville', 'Orlando'],
-  'Midwest': ['Chicago', 'Detroit', 'Minneapolis', 'Cleveland', 'Indianapolis'],
-  'Southwest': ['Dallas', 'Houston', 'Phoenix', 'Austin', 'San Antonio'],
-  'West': ['Los Angeles', 'San Francisco', 'Seattle', 'Portland', 'Denver']
-};
 const streets = ['Fashion Ave', 'Retail Row', 'Main St', 'Market St', 'Commerce Blvd', 'Shopping Center Dr'];
 const firstNames = ['Alex', 'Sarah', 'Michael', 'Jessica', 'David', 'Emily', 'James', 'Jennifer', 'Robert', 'Lisa'];
 const lastNames = ['Johnson', 'Smith', 'Williams', 'Brown', 'Jones', 'Miller', 'Davis', 'Garcia', 'Rodriguez', 'Wilson'];
 const positions = ['Sales Associate', 'Department Lead', 'Assistant Manager', 'Store Manager', 'Inventory Specialist'];
-const products = {
-  'Men\'s': ['Classic Button-Down Shirt', 'Slim-Fit Jeans', 'Wool Blazer', 'Cotton T-Shirt', 'Chino Pants'],
-  'Women\'s': ['Designer Denim Jacket', 'Floral Sundress', 'Cashmere Sweater', 'Silk Blouse', 'Tailored Pants'],
-  'Children\'s': ['Graphic T-Shirt', 'Denim Overalls', 'Colorful Leggings', 'School Uniform', 'Puffer Jacket'],
-  'Accessories': ['Leather Belt', 'Designer Sunglasses', 'Winter Scarf', 'Statement Necklace', 'Leather Wallet'],
-  'Footwear': ['Running Sneakers', 'Leather Boots', 'Casual Loafers', 'Dress Shoes', 'Summer Sandals']
+// Scheduled weekly hours and share of floor sales per position
+const positionProfiles = {
+  'Store Manager': { weeklyHours: 45, salesWeight: 0.6 },
+  'Assistant Manager': { weeklyHours: 40, salesWeight: 0.8 },
+  'Department Lead': { weeklyHours: 40, salesWeight: 1.1 },
+  'Sales Associate': { weeklyHours: 28, salesWeight: 1.0 },
+  'Inventory Specialist': { weeklyHours: 36, salesWeight: 0 }
 };
+const colors = [
+  ['Black', 'BLK'], ['Navy', 'NVY'], ['White', 'WHT'], ['Grey', 'GRY'],
+  ['Red', 'RED'], ['Olive', 'OLV'], ['Tan', 'TAN'], ['Blue', 'BLU']
+];
+const colorsPerProduct = 3;
+// Cost of goods as a share of the selling price
+const costRatio = 0.5;
+// Stores are restocked to par every two weeks; a few positions are under-allocated
+const replenishmentCycleDays = 14;
+const underAllocatedShare = 0.08;
+const lowStockRatio = 0.25;
+const stockStatuses = ['in_stock', 'low_stock', 'out_of_stock'];
+const storeTypeFactors = { 'Mall': 1.0, 'Street': 0.9, 'Outlet': 0.8, 'Flagship': 1.4 };
+// Sunday first, matching Date#getUTCDay
+const weekdayFactors = [1.1, 0.8, 0.8, 0.85, 0.95, 1.15, 1.35];
+const monthFactors = [0.85, 0.85, 0.95, 1.0, 1.0, 0.95, 0.95, 1.05, 0.95, 1.0, 1.15, 1.4];
+// Days covered by the fact table (two full years before the reporting year, so
+// year-over-year comparisons reach back a year), and the default window for
+// the sales endpoint
+const dataRange = { startDate: '2021-01-01', endDate: '2023-06-30' };
+const reportingPeriod = { startDate: '2023-01-01', endDate: '2023-04-30' };
+// Explicit date ranges compare against 52 weeks earlier so weekdays line up
+const comparisonOffsetDays = 364;
+// Base periods /api/sales/compare can derive from the current one
+const comparisonBases = ['previousYear', 'previousPeriod'];
+const oneDay = 24 * 60 * 60 * 1000;
 
-// In-memory data store
-const mockDataStore = {
-  stores: [],
-  salesData: {},
-  inventoryData: {},
-  storeDetails: {},
-  filters: {
-    regions,
-    storeTypes,
-    categories,
-    departments,
-    timeRanges
-  }
+// Conversion by weekday against the store's rate, Sunday first, and how far
+// it varies from day to day
+const conversionWeekdayFactors = [0.85, 1.05, 1.05, 1.05, 1.0, 0.95, 0.85];
+const trafficVariation = 0.08;
+
+// Opening hours for the live feed, and how many days its trading rates average over
+const tradingHours = { open: 9, close: 21 };
+const liveProfileDays = 28;
+const liveMeasures = ['sales', 'units', 'transactions'];
+const granularities = ['day', 'week', 'month', 'quarter'];
+// Columns that list endpoints can sort on and project
+const storeColumns = ['id', 'name', 'region', 'city', 'type', 'address', 'openDate', 'size', 'coordinates', 'manager'];
+const storeSearchColumns = [...storeColumns, 'distanceKm'];
+const earthRadiusKm = 6371;
+const salesByStoreColumns = ['storeId', 'storeName', 'sales', 'rank', 'percentOfRegion', 'percentChange'];
+const salesComparisonByStoreColumns = [
+  'storeId', 'storeName', 'region', 'openDate', 'compStore', 'sales', 'comparisonSales', 'change', 'percentChange'
+];
+const alertColumns = [
+  'id', 'type', 'severity', 'status', 'storeId', 'storeName', 'region', 'metric', 'department', 'employeeId',
+  'employeeName', 'startDate', 'endDate', 'expected', 'actual', 'deviationPercent', 'message', 'updatedAt', 'updatedBy'
+];
+const inventoryByStoreColumns = ['storeId', 'storeName', 'value', 'itemCount', 'turnoverRate', 'outOfStockItems'];
+const productColumns = ['id', 'name', 'department', 'category', 'price', 'cost', 'variants'];
+const storeSkuColumns = [
+  'sku', 'productId', 'name', 'department', 'category', 'color', 'size', 'price', 'cost',
+  'onHand', 'parLevel', 'value', 'status', 'unitsSoldLast30Days'
+];
+const staffColumns = [
+  'id', 'storeId', 'name', 'position', 'hireDate', 'weeklyHours',
+  'salesTotal', 'transactionCount', 'avgPerTransaction', 'hoursWorked', 'salesPerHour'
+];
+const defaultPageSize = 50;
+const maxPageSize = 500;
+const seriesGroupings = ['region', 'storeType', 'category', 'store'];
+// Buckets forecast when no horizon is given, the most allowed, and the most
+// days a bucket can span
+const forecastHorizons = {
+  day: { default: 28, max: 366, maxDays: 1 },
+  week: { default: 12, max: 52, maxDays: 7 },
+  month: { default: 6, max: 12, maxDays: 31 },
+  quarter: { default: 4, max: 4, maxDays: 92 }
 };
+const defaultConfidence = 80;
+// Metrics stores are benchmarked on, with the decimals they are reported to
+const benchmarkMetrics = { sales: 0, salesPerSqFt: 2, conversionRate: 3, averageTransactionValue: 2, turnoverRate: 1 };
+// Named data sets; each one changes how the data is generated
+const scenarios = {
+  'baseline': { description: 'Steady trading with seasonal peaks' },
+  'holiday': { description: 'Black Friday weekend and December trading spike', holiday: true },
+  'regional-closure': { description: 'One region sells nothing for the 7 days up to today', closureDays: 7 },
+  'declining': { description: 'Every store trades below the previous year', growthRange: [-0.35, -0.2] },
+  'empty': { description: 'No stores, for empty states', storeCount: 0 }
+};
+const defaultScenario = 'baseline';
+const maxStoreCount = 500;
+// Longest history that can be generated, four years including a leap day
+const maxDataDays = 1461;
+// Stores open at least six months before the last generated day
+const storeOpeningLeadDays = 181;
+// Admin snapshots of a data set
+const snapshotVersion = 1;
+const snapshotFields = ['seed', 'scenario', 'dataRange', 'today', 'stores', 'salesFacts', 'catalog', 'inventoryData', 'staff'];
+const snapshotTypedArrays = { Uint32Array, Float64Array };
+// Store writes
+const requiredStoreFields = ['name', 'region', 'city', 'type', 'address', 'openDate', 'size', 'manager'];
+const editableStoreFields = [...requiredStoreFields, 'coordinates'];
+const storeSizeRange = { min: 1000, max: 100000 };
+const storeIdPattern = /^[A-Z0-9][A-Z0-9-]{1,19}$/;
+const maxTextLength = 100;
+const defaultGrowthRange = [-0.05, 0.12];
+// Sales multipliers for Black Friday through Cyber Monday
+const blackFridayFactors = [3.2, 2.2, 1.8, 1.6];
+// Fixture files: options for generating the data set, and the sections laid over it
+const fixtureOptions = ['description', 'seed', 'scenario', 'storeCount', 'startDate', 'endDate', 'today'];
+const fixtureSections = {
+  stores: ['id', ...editableStoreFields],
+  sales: ['storeId', 'date', 'department', 'sales', 'units', 'transactions'],
+  inventory: ['storeId', 'sku', 'onHand', 'parLevel'],
+  staff: ['storeId', 'id', 'name', 'position', 'hireDate', 'weeklyHours']
+};
+const maxWeeklyHours = 80;
+// Alert thresholds: their defaults and the values they may be set to
+const alertThresholdSettings = {
+  salesDrop: { value: 0.3, min: 0.01, max: 1 },
+  baselineWeeks: { value: 4, min: 1, max: 12, integer: true },
+  lookbackDays: { value: 7, min: 1, max: 90, integer: true },
+  outOfStockRate: { value: 0.05, min: 0, max: 1 },
+  departmentDecline: { value: 0.15, min: 0.01, max: 1 },
+  trendDays: { value: 28, min: 7, max: 182, integer: true },
+  staffDeviation: { value: 0.55, min: 0.01, max: 0.99 }
+};
+const defaultAlertThresholds = Object.fromEntries(Object.entries(alertThresholdSettings).map(([name, { value }]) => [name, value]));
+const alertTypes = ['salesDrop', 'outOfStock', 'departmentDecline', 'staffOutlier'];
+const alertSeverities = ['critical', 'warning', 'info'];
+const alertStatuses = ['open', 'acknowledged', 'dismissed'];
+// Positions with fewer selling staff in a store have no median worth comparing with
+const minAlertPeerStaff = 3;
+// Generated customers: the share of transactions made by identified (loyalty
+// card) customers, the chance each one is a first purchase, how many days
+// back returning customers are drawn from, and the trailing window tiers and
+// RFM scores read
+const identifiedShare = 0.6;
+const newCustomerShare = 0.2;
+const returnWindowDays = 180;
+const customerYearDays = 365;
+// Returning customers are drawn by how keen they are, from this up to 1, and
+// a new customer stands in when none is found in so many draws
+const minPropensity = 0.05;
+const maxReturnDraws = 20;
+// Loyalty tiers by spend over the trailing year, highest first
+const loyaltyTiers = [
+  { tier: 'Platinum', minSpend: 800 },
+  { tier: 'Gold', minSpend: 400 },
+  { tier: 'Silver', minSpend: 150 },
+  { tier: 'Bronze', minSpend: 0 }
+];
+// RFM scores of 2 to 5 need at most these days since the last purchase, and
+// at least these purchases and spend over the trailing year
+const rfmScoreCutoffs = { recency: [240, 120, 60, 30], frequency: [2, 3, 5, 8], monetary: [100, 250, 500, 1000] };
+const rfmSegments = ['Champions', 'Loyal', 'New', 'Potential Loyalists', 'Needs Attention', 'At Risk', 'Hibernating', 'Lost'];
+const customerColumns = [
+  'id', 'name', 'homeStoreId', 'loyaltyTier', 'acquisitionDate', 'lastPurchaseDate',
+  'transactionCount', 'totalSpend', 'recencyDays', 'segment'
+];
+const customerGroupings = ['region', 'store'];
+const defaultCohortMonths = 12;
+
+// In-memory data stores, one per scenario, generated on first use. Each
+// carries the brand of the tenant it was generated for.
+function createDataStore(tenant = currentTenant.brand) {
+  return {
+    tenant,
+    seed: null,
+    scenario: { name: defaultScenario, closure: null },
+    dataRange,
+    today: dataRange.endDate,
+    stores: [],
+    salesFacts: {},
+    catalog: { products: [], skus: [] },
+    inventoryData: { byStore: {} },
+    staff: { byStore: {}, byId: {} },
+    mutations: { nextId: 1, log: [] },
+    alerts: { byId: {} },
+    customers: { byStore: {} },
+    live: { clock: null, nextId: 1, traded: {} }
+  };
+}
+
+// Tenants by id, each with its own data sets and the options they were
+// generated with (null until first used); see withTenant
+let tenants = {};
+let defaultTenant;
+let currentTenant;
+// Options tenants are generated with when first used
+let tenantGenerationOptions = {};
+
+function createTenant(brand) {
+  const tenant = { brand, dataStores: {}, defaultDataStore: null, generationOptions: null };
+  tenant.defaultDataStore = createDataStore(brand);
+  return tenant;
+}
+
+/**
+ * Set up the tenants, replacing any loaded before along with their data.
+ * Configs with the id of a built-in tenant replace it.
+ *
+ * @param {Object} options - `configs`, tenant configs added to the built-in
+ *   ones; `defaultTenant`, the id served to requests that don't pick one; and
+ *   `generationOptions`, what initializeMockData takes, for tenants generated
+ *   on first use
+ */
+function configureTenants({ configs = [], defaultTenant: defaultId = builtInTenants[0].id, generationOptions = {} } = {}) {
+  const byId = new Map([...builtInTenants, ...configs].map(config => [config && config.id, config]));
+  tenants = {};
+  byId.forEach(config => {
+    const brand = normalizeTenant(config, maxStoreCount);
+    tenants[brand.id] = createTenant(brand);
+  });
+
+  if (!tenants[defaultId]) {
+    throw new Error(`Unknown default tenant '${defaultId}'. Expected one of: ${Object.keys(tenants).join(', ')}`);
+  }
+  defaultTenant = tenants[defaultId];
+  currentTenant = defaultTenant;
+  mockDataStore = defaultTenant.defaultDataStore;
+  tenantGenerationOptions = generationOptions;
+}
+
+// The data set handlers read from; see withDataStore
+let mockDataStore;
+configureTenants();
+
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ *
+ * Seeds may be any string; they are hashed to 32 bits first so the same seed
+ * always produces the same data.
+ */
+function hashSeed(seed) {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+}
+
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+let random = createRandom(0);
+
+function setRandomSeed(seed) {
+  random = createRandom(seed);
+}
+
+// Draw from a separate stream, leaving the main one where it was
+function withRandomSeed(seed, generate) {
+  const previous = random;
+  random = createRandom(seed);
+  try {
+    return generate();
+  } finally {
+    random = previous;
+  }
+}
 
 /**
  * Helper functions for generating random data
  */
 function getRandomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 function getRandomFloat(min, max, decimals = 2) {
-  const value = Math.random() * (max - min) + min;
+  const value = random() * (max - min) + min;
   return parseFloat(value.toFixed(decimals));
 }
 
 function getRandomElement(array) {
-  return array[Math.floor(Math.random() * array.length)];
+  return array[Math.floor(random() * array.length)];
 }
 
 function getRandomDate(start, end) {
-  return new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime()));
+  return new Date(start.getTime() + random() * (end.getTime() - start.getTime()));
 }
 
 function formatDate(date) {
   return date.toISOString().split('T')[0];
 }
 
-function getRandomCoordinates(region) {
-  // Very approximate center points for regions
-  const regionCenters = {
-    'Northeast': { lat: 40.7, lng: -74.0 },
-    'Southeast': { lat: 33.7, lng: -84.4 },
-    'Midwest': { lat: 41.9, lng: -87.6 },
-    'Southwest': { lat: 32.8, lng: -96.8 },
-    'West': { lat: 34.0, lng: -118.2 }
-  };
+function addDays(isoDate, days) {
+  const date = new Date(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((Date.parse(endDate) - Date.parse(startDate)) / oneDay);
+}
+
+// Month arithmetic on 1-based months; out-of-range months and days roll over
+function isoDate(year, month, day) {
+  return formatDate(new Date(Date.UTC(year, month - 1, day)));
+}
 
-  const center = regionCenters[region];
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function getDateRange(startDate, endDate) {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Near the city's center, so stores plot near the city in their address
+function getRandomCoordinates(city) {
+  const center = mockDataStore.tenant.cityCenters[city];
   return {
-    lat: center.lat + getRandomFloat(-1.5, 1.5, 4),
-    lng: center.lng + getRandomFloat(-1.5, 1.5, 4)
+    lat: parseFloat((center.lat + getRandomFloat(-0.15, 0.15, 4)).toFixed(4)),
+    lng: parseFloat((center.lng + getRandomFloat(-0.15, 0.15, 4)).toFixed(4))
   };
 }
 
 /**
  * Generate store data
+ *
+ * Attributes passed in `fields` are kept and only the rest are drawn, so
+ * fixtures can pin some of a store's details. A city without a region puts
+ * the store in that city's region.
  */
-function generateStores(count = 200) {
+function getOpeningDates(lastOpenDate) {
+  const endDate = new Date(lastOpenDate);
+  const startDate = new Date(Math.min(Date.UTC(2015, 0, 1), endDate.getTime() - 8 * 365 * oneDay));
+  return { startDate, endDate };
+}
+
+function getCityRegion(city) {
+  const { regions, cityByRegion } = mockDataStore.tenant;
+  return regions.find(region => cityByRegion[region].includes(city));
+}
+
+function generateStore(storeId, openingDates, fields = {}) {
+  const { name: brandName, regions, cityByRegion } = mockDataStore.tenant;
+  const pick = (field, draw) => (fields[field] !== undefined ? fields[field] : draw());
+  const region = pick('region', () => (fields.city !== undefined ? getCityRegion(fields.city) : getRandomElement(regions)));
+  const city = pick('city', () => getRandomElement(cityByRegion[region]));
+  const storeType = pick('type', () => getRandomElement(storeTypes));
+  const coordinates = pick('coordinates', () => getRandomCoordinates(city));
+  const openDate = pick('openDate', () => formatDate(getRandomDate(openingDates.startDate, openingDates.endDate)));
+  const size = pick('size', () => getRandomInt(5000, 20000));
+  const address = pick('address', () => `${getRandomInt(100, 999)} ${getRandomElement(streets)}, ${city}`);
+  const manager = pick('manager', () => `${getRandomElement(firstNames)} ${getRandomElement(lastNames)}`);
+
+  return {
+    id: storeId,
+    name: pick('name', () => `${brandName} ${city} ${storeType === 'Flagship' ? 'Flagship' : ''}`.trim()),
+    region,
+    city,
+    type: storeType,
+    address,
+    openDate,
+    size,
+    coordinates: { lat: coordinates.lat, lng: coordinates.lng },
+    manager
+  };
+}
+
+function generateStores(count = 200, lastOpenDate = '2022-12-31') {
+  const openingDates = getOpeningDates(lastOpenDate);
   const stores = [];
-  const startDate = new Date(2015, 0, 1);
-  const endDate = new Date(2022, 11, 31);
 
   for (let i = 1; i <= count; i++) {
-    const storeId = `ST${String(i).padStart(3, '0')}`;
-    const region = getRandomElement(regions);
-    const city = getRandomElement(cityByRegion[region]);
-    const storeType = getRandomElement(storeTypes);
-    const coordinates = getRandomCoordinates(region);
-    const openDate = formatDate(getRandomDate(startDate, endDate));
-    const size = getRandomInt(5000, 20000);
-    const streetNumber = getRandomInt(100, 999);
-    const street = getRandomElement(streets);
-    const managerFirstName = getRandomElement(firstNames);
-    const managerLastName = getRandomElement(lastNames);
-
-    stores.push({
-      id: storeId,
-      name: `FashionForward ${city} ${storeType === 'Flagship' ? 'Flagship' : ''}`.trim(),
-      region,
-      type: storeType,
-      address: `${streetNumber} ${street}, ${city}`,
-      openDate,
-      size,
-      coordinates,
-      manager: `${managerFirstName} ${managerLastName}`
-    });
+    stores.push(generateStore(`ST${String(i).padStart(3, '0')}`, openingDates));
   }
 
   return stores;
 }
 
 /**
- * Generate sales data
+ * Scenario helpers
+ *
+ * A scenario's settings are fixed before generation starts. The closed region
+ * comes from the seed rather than the random stream, so the stores match the
+ * baseline data set for the same seed.
  */
-function generateSalesData(stores) {
-  const startDate = new Date(2023, 0, 1);
-  const endDate = new Date(2023, 3, 30);
-  const oneDay = 24 * 60 * 60 * 1000;
-  const totalDays = Math.round((endDate - startDate) / oneDay);
-  
-  const byDate = [];
-  let totalSales = 0;
-  let totalTransactions = 0;
+function normalizeScenario(value) {
+  return String(value).trim().toLowerCase();
+}
 
-  // Generate daily sales data
-  for (let i = 0; i < totalDays; i++) {
-    const currentDate = new Date(startDate.getTime() + i * oneDay);
-    const formattedDate = formatDate(currentDate);
-    const dailySales = getRandomInt(80000, 120000);
-    const transactions = getRandomInt(1200, 1800);
-    const avgValue = parseFloat((dailySales / transactions).toFixed(2));
-    
-    totalSales += dailySales;
-    totalTransactions += transactions;
-    
-    byDate.push({
-      date: formattedDate,
-      sales: dailySales,
-      transactions,
-      avgValue
-    });
-  }
+function getScenarioSettings(name, { seed, today, storeCount }) {
+  const scenario = scenarios[name];
+  const settings = {
+    name,
+    description: scenario.description,
+    storeCount: scenario.storeCount === undefined ? storeCount : scenario.storeCount,
+    growthRange: scenario.growthRange || defaultGrowthRange,
+    holiday: Boolean(scenario.holiday),
+    closure: null
+  };
 
-  // Generate sales by region
-  const byRegion = regions.map(region => {
-    const regionStores = stores.filter(store => store.region === region);
-    const storeCount = regionStores.length;
-    const regionSales = getRandomInt(800000, 1200000);
-    totalSales += regionSales;
-    
-    return {
-      region,
-      sales: regionSales,
-      percentOfTotal: 0, // Will calculate after all regions
-      storeCount
+  if (scenario.closureDays) {
+    const { regions } = mockDataStore.tenant;
+    settings.closure = {
+      region: regions[hashSeed(seed) % regions.length],
+      startDate: addDays(today, 1 - scenario.closureDays),
+      endDate: today
     };
-  });
+  }
 
-  // Calculate percentages
-  const totalRegionSales = byRegion.reduce((sum, region) => sum + region.sales, 0);
-  byRegion.forEach(region => {
-    region.percentOfTotal = parseFloat((region.sales / totalRegionSales).toFixed(2));
-  });
+  return settings;
+}
 
-  // Generate sales by category
-  const byCategory = categories.map(category => {
-    const categorySales = getRandomInt(500000, 1500000);
-    const comparisonSales = categorySales * (1 - getRandomFloat(-0.1, 0.2));
-    const percentChange = parseFloat(((categorySales - comparisonSales) / comparisonSales * 100).toFixed(1));
-    
-    return {
-      category,
-      sales: categorySales,
-      percentOfTotal: 0, // Will calculate after all categories
-      comparisonSales: Math.round(comparisonSales),
-      percentChange
-    };
+// Black Friday is the day after the fourth Thursday of November
+function getBlackFriday(year) {
+  const firstWeekday = new Date(Date.UTC(year, 10, 1)).getUTCDay();
+  const firstThursday = 1 + (4 - firstWeekday + 7) % 7;
+  return isoDate(year, 11, firstThursday + 22);
+}
+
+function getHolidayFactor(date) {
+  const current = new Date(date);
+  const sinceBlackFriday = daysBetween(getBlackFriday(current.getUTCFullYear()), date);
+  if (sinceBlackFriday >= 0 && sinceBlackFriday < blackFridayFactors.length) {
+    return blackFridayFactors[sinceBlackFriday];
+  }
+  if (current.getUTCMonth() !== 11) return 1;
+
+  // Gift shopping builds through December; stores close on Christmas Day
+  const dayOfMonth = current.getUTCDate();
+  if (dayOfMonth < 24) return 1.3 + 0.6 * (dayOfMonth - 1) / 22;
+  if (dayOfMonth === 24) return 1.4;
+  if (dayOfMonth === 25) return 0;
+  if (dayOfMonth === 26) return 1.7;
+  return 1.2;
+}
+
+function getScenarioFactor(settings, store, date) {
+  const { closure } = settings;
+  if (closure && store.region === closure.region && date >= closure.startDate && date <= closure.endDate) {
+    return 0;
+  }
+  return settings.holiday ? getHolidayFactor(date) : 1;
+}
+
+/**
+ * Generate sales facts
+ *
+ * Builds one cell per store, per day and per department. Every sales figure
+ * served by the API is aggregated from these cells so totals reconcile.
+ */
+function generateSalesFacts(stores, settings, range) {
+  const { departments } = mockDataStore.tenant;
+  const dates = getDateRange(range.startDate, range.endDate);
+  const byStore = {};
+
+  stores.forEach(store => {
+    byStore[store.id] = generateStoreFacts(store, dates, settings);
   });
 
-  // Calculate percentages
-  const totalCategorySales = byCategory.reduce((sum, category) => sum + category.sales, 0);
-  byCategory.forEach(category => {
-    category.percentOfTotal = parseFloat((category.sales / totalCategorySales).toFixed(2));
+  return {
+    dates,
+    departments,
+    byStore
+  };
+}
+
+function generateStoreFacts(store, dates, settings) {
+  const { departments, departmentPrices } = mockDataStore.tenant;
+  const cellCount = dates.length * departments.length;
+  const sales = new Uint32Array(cellCount);
+  const units = new Uint32Array(cellCount);
+  const transactions = new Uint32Array(cellCount);
+
+  const baseDailySales = store.size * 0.1 * storeTypeFactors[store.type] * getRandomFloat(0.8, 1.2);
+  const annualGrowth = getRandomFloat(settings.growthRange[0], settings.growthRange[1], 3);
+
+  // Share of the store's sales going to each department
+  const weights = departments.map(() => getRandomFloat(0.5, 1.5));
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+
+  dates.forEach((date, day) => {
+    // Nothing is sold before the store opens
+    if (date < store.openDate) return;
+
+    const current = new Date(date);
+    const trend = Math.pow(1 + annualGrowth, day / 365);
+    const dailySales = baseDailySales * weekdayFactors[current.getUTCDay()] * monthFactors[current.getUTCMonth()] * trend *
+      getScenarioFactor(settings, store, date);
+
+    departments.forEach((department, index) => {
+      const cell = day * departments.length + index;
+      sales[cell] = Math.round(dailySales * weights[index] / weightTotal * getRandomFloat(0.85, 1.15));
+      if (sales[cell] === 0) return;
+
+      units[cell] = Math.max(1, Math.round(sales[cell] / (departmentPrices[department] * getRandomFloat(0.9, 1.1))));
+      transactions[cell] = Math.max(1, Math.round(units[cell] / getRandomFloat(1.2, 2)));
+    });
   });
 
-  // Generate sales by store
-  const byStore = stores.map((store, index) => {
-    const storeSales = getRandomInt(100000, 300000);
-    const rank = index % 50 + 1; // Just a random rank between 1-50
-    const regionStores = stores.filter(s => s.region === store.region);
-    const regionTotalSales = regionStores.length * 200000; // Approximation
-    const percentOfRegion = parseFloat((storeSales / regionTotalSales).toFixed(2));
-    const percentChange = getRandomFloat(-10, 15, 1);
-    
-    return {
-      storeId: store.id,
-      storeName: store.name,
-      sales: storeSales,
-      rank,
-      percentOfRegion,
-      percentChange
-    };
+  return {
+    sales,
+    units,
+    transactions,
+    // The store's usual share of visitors who buy; see getDailyTraffic
+    conversionRate: getRandomFloat(0.2, 0.3, 2)
+  };
+}
+
+/**
+ * Generate the product catalog
+ *
+ * Ids, prices and variants depend only on the tenant's departments, so SKUs
+ * are the same for every seed.
+ */
+function generateCatalog() {
+  const { departments, departmentCategories, departmentPrices, departmentSizes, products } = mockDataStore.tenant;
+  const catalogProducts = [];
+  const skus = [];
+  let productNumber = 1001;
+
+  departments.forEach(department => {
+    products[department].forEach(([name, priceFactor], productIndex) => {
+      const id = `P${productNumber++}`;
+      const price = parseFloat((departmentPrices[department] * priceFactor).toFixed(2));
+      const cost = parseFloat((price * costRatio).toFixed(2));
+      const sizes = departmentSizes[department];
+      const variants = [];
+
+      for (let c = 0; c < colorsPerProduct; c++) {
+        const [color, colorCode] = colors[(productIndex * 2 + c) % colors.length];
+        sizes.forEach(size => {
+          const sku = `${id}-${colorCode}-${size}`;
+          variants.push({ sku, color, size });
+          skus.push({
+            sku,
+            productId: id,
+            name: `${name} (${color}, ${size})`,
+            department,
+            category: departmentCategories[department],
+            color,
+            size,
+            price,
+            cost
+          });
+        });
+      }
+
+      catalogProducts.push({
+        id,
+        name,
+        department,
+        category: departmentCategories[department],
+        price,
+        cost,
+        variants
+      });
+    });
   });
 
-  // Create summary
-  const comparisonSales = totalSales * (1 - getRandomFloat(-0.05, 0.1));
-  const percentChange = parseFloat(((totalSales - comparisonSales) / comparisonSales * 100).toFixed(1));
-  const averageTransactionValue = parseFloat((totalSales / totalTransactions).toFixed(2));
-  const conversionRate = getRandomFloat(0.2, 0.3, 2);
+  // SKU positions grouped by department, used to allocate department sales
+  const skusByDepartment = departments.map(department =>
+    skus.map((sku, index) => sku.department === department ? index : -1).filter(index => index !== -1));
 
   return {
-    summary: {
-      totalSales,
-      comparisonSales: Math.round(comparisonSales),
-      percentChange,
-      averageTransactionValue,
-      transactionCount: totalTransactions,
-      conversionRate
-    },
-    byDate,
-    byRegion,
-    byCategory,
-    byStore
+    products: catalogProducts,
+    skus,
+    skusByDepartment
   };
 }
 
+// Split a whole number across weights, keeping the total (largest remainder)
+function allocate(total, weights) {
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!weightTotal || !total) return weights.map(() => 0);
+
+  const exact = weights.map(weight => total * weight / weightTotal);
+  const shares = exact.map(Math.floor);
+  let remaining = total - shares.reduce((sum, share) => sum + share, 0);
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - shares[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (let i = 0; remaining > 0; i++, remaining--) {
+    shares[byRemainder[i].index]++;
+  }
+
+  return shares;
+}
+
 /**
  * Generate inventory data
+ *
+ * Each store holds a quantity per SKU. Stock is topped up to a par level on
+ * a fixed two-week schedule and depleted by the units the sales facts record
+ * since the last delivery, so out-of-stock positions and turnover follow
+ * from sales.
  */
-function generateInventoryData(stores) {
-  // Summary data
-  const totalItems = getRandomInt(300000, 350000);
-  const totalValue = getRandomInt(4000000, 5000000);
-  const turnoverRate = getRandomFloat(2.8, 3.5, 1);
-  const outOfStockPercentage = getRandomFloat(0.02, 0.06, 2);
+function generateInventoryData(stores, salesFacts, catalog, asOf) {
+  const { departments, departmentPrices } = mockDataStore.tenant;
+  const byStore = {};
+  const dates = salesFacts.dates;
+  const asOfDay = Math.min(dates.length - 1, Math.max(0, daysBetween(dates[0], asOf)));
+  const demandWindow = { from: Math.max(0, asOfDay - 90), to: asOfDay + 1 };
+  const demandDays = demandWindow.to - demandWindow.from;
 
-  // Inventory by category
-  const byCategory = categories.map(category => {
-    const itemCount = getRandomInt(50000, 100000);
-    const value = getRandomInt(800000, 1500000);
-    const turnoverRate = getRandomFloat(2.5, 3.8, 1);
-    
-    return {
-      category,
-      value,
-      itemCount,
-      turnoverRate
+  stores.forEach(store => {
+    const facts = salesFacts.byStore[store.id];
+
+    // How strongly each SKU sells at this store relative to others in its department
+    const weights = new Float64Array(catalog.skus.length);
+    catalog.skus.forEach((sku, index) => {
+      weights[index] = getRandomFloat(0.5, 1.5, 3) / Math.sqrt(sku.price / departmentPrices[sku.department]);
+    });
+
+    // Deliveries land every cycle, offset per store
+    const offset = getRandomInt(0, replenishmentCycleDays - 1);
+    const lastDeliveryDay = Math.max(0, asOfDay - ((asOfDay - offset) % replenishmentCycleDays + replenishmentCycleDays) % replenishmentCycleDays);
+
+    const parLevels = new Uint32Array(catalog.skus.length);
+    const onHand = new Uint32Array(catalog.skus.length);
+    const sumUnits = ({ from, to }, index) => {
+      let units = 0;
+      for (let day = from; day < to; day++) {
+        units += facts.units[day * departments.length + index];
+      }
+      return units;
     };
-  });
 
-  // Inventory by store
-  const byStore = stores.map(store => {
-    const itemCount = getRandomInt(15000, 30000);
-    const value = getRandomInt(200000, 400000);
-    const turnoverRate = getRandomFloat(2.5, 4.0, 1);
-    const outOfStockItems = Math.round(itemCount * getRandomFloat(0.01, 0.05, 3));
-    
-    return {
-      storeId: store.id,
-      storeName: store.name,
-      value,
-      itemCount,
-      turnoverRate,
-      outOfStockItems
+    catalog.skusByDepartment.forEach((skuIndexes, index) => {
+      const skuWeights = skuIndexes.map(skuIndex => weights[skuIndex]);
+      const cycleDemand = allocate(
+        Math.round(sumUnits(demandWindow, index) / demandDays * replenishmentCycleDays),
+        skuWeights
+      );
+      const soldSinceDelivery = allocate(sumUnits({ from: lastDeliveryDay, to: asOfDay + 1 }, index), skuWeights);
+
+      skuIndexes.forEach((skuIndex, position) => {
+        const cover = random() < underAllocatedShare ? getRandomFloat(0.6, 1.1) : getRandomFloat(3, 8);
+        parLevels[skuIndex] = Math.max(1, Math.ceil(cycleDemand[position] * cover));
+        onHand[skuIndex] = Math.max(0, parLevels[skuIndex] - soldSinceDelivery[position]);
+      });
+    });
+
+    byStore[store.id] = {
+      asOf: dates[asOfDay],
+      lastReplenishment: dates[lastDeliveryDay],
+      nextReplenishment: addDays(dates[lastDeliveryDay], replenishmentCycleDays),
+      weights,
+      parLevels,
+      onHand
     };
   });
 
-  return {
-    summary: {
-      totalValue,
-      totalItems,
-      turnoverRate,
-      outOfStockPercentage
-    },
-    byCategory,
-    byStore
-  };
+  return { byStore };
 }
 
 /**
- * Generate store details
+ * Generate staff rosters
+ *
+ * Each store gets a fixed roster headed by the manager from generateStores.
+ * Employees only share in the store's sales from their hire date onwards.
  */
-function generateStoreDetails(stores) {
-  const storeDetails = {};
+function generateStaffRosters(stores, asOf) {
+  const byStore = {};
+  const byId = {};
 
   stores.forEach(store => {
-    // Basic store info
-    const staffCount = getRandomInt(20, 60);
-    const storeInfo = {
-      ...store,
-      staffCount
-    };
-
-    // Sales by department
-    const salesByDepartment = departments.map(department => {
-      const sales = getRandomInt(20000, 150000);
-      const percentOfStore = getRandomFloat(0.05, 0.25, 2);
-      const percentChange = getRandomFloat(-8, 12, 1);
-      
-      return {
-        department,
-        sales,
-        percentOfStore,
-        percentChange
-      };
+    byStore[store.id] = generateStoreRoster(store, asOf);
+    byStore[store.id].forEach((employee, index) => {
+      byId[employee.id] = { storeId: store.id, index };
     });
+  });
 
-    // Staff performance
-    const staffPerformance = [];
-    for (let i = 0; i < getRandomInt(5, 10); i++) {
-      const firstName = getRandomElement(firstNames);
-      const lastName = getRandomElement(lastNames);
-      const position = getRandomElement(positions);
-      const salesTotal = getRandomInt(20000, 80000);
-      const transactionCount = getRandomInt(200, 800);
-      const avgPerTransaction = parseFloat((salesTotal / transactionCount).toFixed(2));
-      
-      staffPerformance.push({
-        name: `${firstName} ${lastName}`,
-        position,
-        salesTotal,
-        transactionCount,
-        avgPerTransaction
-      });
-    }
+  return { byStore, byId };
+}
 
-    // Inventory details
-    const totalValue = getRandomInt(200000, 400000);
-    const turnoverRate = getRandomFloat(2.5, 4.0, 1);
-    
-    // Top selling items
-    const topSellingItems = [];
-    for (let i = 0; i < getRandomInt(5, 10); i++) {
-      const category = getRandomElement(categories);
-      const productName = getRandomElement(products[category]);
-      const unitsSold = getRandomInt(50, 200);
-      const revenue = getRandomInt(5000, 15000);
-      const id = `P${getRandomInt(1000, 9999)}`;
-      
-      topSellingItems.push({
-        id,
-        name: productName,
-        category,
-        unitsSold,
-        revenue
-      });
-    }
+function generateStoreRoster(store, asOf) {
+  const staffCount = getRandomInt(20, 60);
+  const openDate = new Date(store.openDate);
+  const lastHireDate = new Date(asOf > store.openDate ? asOf : store.openDate);
+  const roster = [];
 
-    // Historical performance
-    const historicalPerformance = [];
-    for (let year = 2022; year <= 2023; year++) {
-      for (let quarter = 1; quarter <= 4; quarter++) {
-        if (year === 2023 && quarter > 2) continue; // Only include data up to Q2 2023
-        
-        const sales = getRandomInt(200000, 400000);
-        const transactions = getRandomInt(3000, 6000);
-        const avgValue = parseFloat((sales / transactions).toFixed(2));
-        
-        historicalPerformance.push({
-          year,
-          quarter,
-          sales,
-          transactions,
-          avgValue
-        });
+  for (let i = 1; i <= staffCount; i++) {
+    let name;
+    let position;
+    let hireDate;
+
+    if (i === 1) {
+      name = store.manager;
+      position = 'Store Manager';
+      hireDate = store.openDate;
+    } else {
+      name = `${getRandomElement(firstNames)} ${getRandomElement(lastNames)}`;
+      if (i <= 3) {
+        position = 'Assistant Manager';
+      } else if (i <= 7) {
+        position = 'Department Lead';
+      } else if (i <= 9) {
+        position = 'Inventory Specialist';
+      } else {
+        position = 'Sales Associate';
       }
+      // Roughly half the team was hired when the store opened
+      hireDate = random() < 0.5 ? store.openDate : formatDate(getRandomDate(openDate, lastHireDate));
     }
 
-    storeDetails[store.id] = {
-      storeInfo,
-      salesByDepartment,
-      staffPerformance,
-      inventoryDetails: {
-        totalValue,
-        turnoverRate,
-        topSellingItems
-      },
-      historicalPerformance
-    };
+    const profile = positionProfiles[position];
+    roster.push({
+      id: `${store.id}-E${String(i).padStart(3, '0')}`,
+      storeId: store.id,
+      name,
+      position,
+      hireDate,
+      weeklyHours: position === 'Sales Associate' ? getRandomInt(16, 36) : profile.weeklyHours,
+      salesWeight: profile.salesWeight * getRandomFloat(0.6, 1.4)
+    });
+  }
+
+  return roster;
+}
+
+/**
+ * Generate one scenario's data set
+ */
+function generateDataStore(options) {
+  const { seed, today, scenario } = options;
+  const startedAt = Date.now();
+  const dataStore = createDataStore();
+
+  // The generators read the brand from the data set being built
+  withDataStore(dataStore, () => {
+    const settings = getScenarioSettings(scenario, options);
+
+    console.log(`Generating the ${dataStore.tenant.name} ${scenario} data set with seed ${seed}...`);
+    dataStore.seed = seed;
+    dataStore.dataRange = options.dataRange;
+    dataStore.today = today;
+    dataStore.scenario = settings;
+    setRandomSeed(seed);
+
+    // Generate store data
+    dataStore.stores = generateStores(settings.storeCount, addDays(options.dataRange.endDate, -storeOpeningLeadDays));
+    console.log(`Generated ${dataStore.stores.length} stores`);
+
+    // Generate the daily sales facts everything else is derived from
+    dataStore.salesFacts = generateSalesFacts(dataStore.stores, settings, options.dataRange);
+    console.log(`Generated sales facts for ${dataStore.salesFacts.dates.length} days`);
+
+    // Generate the catalog and per-SKU stock
+    dataStore.catalog = generateCatalog();
+    console.log(`Generated ${dataStore.catalog.skus.length} SKUs`);
+    dataStore.inventoryData = generateInventoryData(
+      dataStore.stores,
+      dataStore.salesFacts,
+      dataStore.catalog,
+      dataStore.today
+    );
+    console.log('Generated inventory data');
+
+    // Generate staff rosters
+    dataStore.staff = generateStaffRosters(dataStore.stores, dataStore.today);
+    console.log(`Generated ${Object.keys(dataStore.staff.byId).length} employees`);
+
+    dataStore.generation = { generatedAt: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt };
   });
+  return dataStore;
+}
+
+// Generate a data set and lay the fixture over it, if there is one
+function buildDataStore(options) {
+  const dataStore = generateDataStore(options);
+  if (options.fixture) {
+    withDataStore(dataStore, () => applyFixture(options.fixture));
+    console.log('Applied the fixture');
+  }
+  return dataStore;
+}
+
+/**
+ * Check generation options, filling in defaults; the store count defaults to
+ * the current tenant's
+ */
+function resolveGenerationOptions(options) {
+  const seed = options.seed === undefined || options.seed === null || options.seed === ''
+    ? String(Math.floor(Math.random() * 4294967296))
+    : String(options.seed);
+  const { startDate, endDate } = resolveDateRange(options, dataRange.startDate, dataRange.endDate);
+  const days = daysBetween(startDate, endDate) + 1;
+  if (days > maxDataDays) {
+    throw createHttpError(400, `Date range covers ${days} days. At most ${maxDataDays} days can be generated`);
+  }
+
+  const today = options.today ? parseDateParam(options.today, 'today') : endDate;
+  if (today < startDate || today > endDate) {
+    throw createHttpError(400, `today (${today}) must fall within the generated dates (${startDate} to ${endDate})`);
+  }
+
+  let storeCount = currentTenant.brand.storeCount;
+  if (options.storeCount !== undefined && options.storeCount !== null && options.storeCount !== '') {
+    storeCount = Number(options.storeCount);
+    if (!Number.isInteger(storeCount) || storeCount < 0 || storeCount > maxStoreCount) {
+      throw createHttpError(400, `Invalid storeCount '${options.storeCount}'. Expected a whole number from 0 to ${maxStoreCount}`);
+    }
+  }
 
-  return storeDetails;
+  return { seed, today, storeCount, dataRange: { startDate, endDate }, fixture: options.fixture };
 }
 
 /**
  * Initialize all mock data
+ *
+ * Without a seed a random one is picked, so every run can still be replayed
+ * by passing the reported seed back in. Only the default scenario is built
+ * here; other scenarios are generated with the same options when first asked
+ * for. Calling it again throws away every data set and starts over. Only the
+ * current tenant's data is touched; see withTenant.
  */
-function initializeMockData() {
-  console.log('Initializing RetailMetrics mock data...');
-  
-  // Generate store data
-  mockDataStore.stores = generateStores(200);
-  console.log(`Generated ${mockDataStore.stores.length} stores`);
-  
-  // Generate sales data
-  mockDataStore.salesData = generateSalesData(mockDataStore.stores);
-  console.log('Generated sales data');
-  
-  // Generate inventory data
-  mockDataStore.inventoryData = generateInventoryData(mockDataStore.stores);
-  console.log('Generated inventory data');
-  
-  // Generate store details
-  mockDataStore.storeDetails = generateStoreDetails(mockDataStore.stores);
-  console.log('Generated store details');
+function initializeMockData(options = {}) {
+  const resolved = resolveGenerationOptions(options);
+  const scenario = options.scenario ? resolveScenario(options.scenario) : defaultScenario;
+
+  console.log(`Initializing ${currentTenant.brand.name} mock data with seed ${resolved.seed}...`);
+  installDataStore(buildDataStore({ ...resolved, scenario }), resolved);
   
   console.log('Mock data initialization complete!');
   return mockDataStore;
 }
 
+// Make a data set the only one loaded for the current tenant, and its default
+function installDataStore(dataStore, options) {
+  currentTenant.generationOptions = options;
+  currentTenant.dataStores = { [dataStore.scenario.name]: dataStore };
+  currentTenant.defaultDataStore = dataStore;
+  mockDataStore = dataStore;
+}
+
 /**
- * API endpoint handlers
+ * Regenerate with the options of the last initialization, including the seed
+ * and any fixture
  */
-function handleGetStores() {
-  return mockDataStore.stores;
+function resetMockData() {
+  const { generationOptions, defaultDataStore } = currentTenant;
+  const { seed, today, storeCount, dataRange: range, fixture } = generationOptions;
+  return initializeMockData({ seed, today, storeCount, ...range, fixture, scenario: defaultDataStore.scenario.name });
 }
 
-function handleGetSales(params = {}) {
-  // In a real implementation, this would filter the data based on params
-  // For this mock, we'll just return all data
-  return mockDataStore.salesData;
+/**
+ * Scenario selection
+ *
+ * Handlers read the module's current data set, so callers serving a request
+ * run them inside withDataStore. Handlers are synchronous, which keeps the
+ * swap from leaking into other requests.
+ */
+function resolveScenario(value) {
+  const name = normalizeScenario(value);
+  if (!scenarios[name]) {
+    throw createHttpError(400, `Unknown scenario '${value}'. Expected one of: ${Object.keys(scenarios).join(', ')}`);
+  }
+  return name;
 }
 
-function handleGetInventory(params = {}) {
-  // In a real implementation, this would filter the data based on params
-  return mockDataStore.inventoryData;
+function getDataStore(scenario) {
+  const { dataStores, generationOptions } = currentTenant;
+  if (scenario === undefined || scenario === null || scenario === '') return currentTenant.defaultDataStore;
+
+  const name = resolveScenario(scenario);
+  if (!dataStores[name]) {
+    dataStores[name] = buildDataStore({ ...generationOptions, scenario: name });
+  }
+  return dataStores[name];
 }
 
-function handleGetStoreDetails(storeId) {
-  return mockDataStore.storeDetails[storeId] || null;
+// Serve a different scenario to requests that don't ask for one
+function setDefaultScenario(scenario) {
+  currentTenant.defaultDataStore = getDataStore(scenario);
+  mockDataStore = currentTenant.defaultDataStore;
+  return mockDataStore;
 }
 
-function handleGetFilters() {
-  return mockDataStore.filters;
+function withDataStore(dataStore, handler) {
+  const previous = mockDataStore;
+  mockDataStore = dataStore;
+  try {
+    return handler();
+  } finally {
+    mockDataStore = previous;
+  }
 }
 
-// Export the initialized data and handlers
-module.exports = {
-  initializeMockData,
-  handleGetStores,
-  handleGetSales,
-  handleGetInventory,
-  handleGetStoreDetails,
-  handleGetFilters
-};
+/**
+ * Tenant selection
+ *
+ * Scenario selection and the admin calls act on the current tenant, so
+ * callers serving a request run them inside withTenant, which works like
+ * withDataStore. A tenant's data is generated the first time it is used.
+ */
+function resolveTenant(value) {
+  if (value === undefined || value === null || value === '') return defaultTenant;
 
-// Initialize data when this module is imported
-initializeMockData();
\ No newline at end of file
+  const tenant = tenants[String(value).trim().toLowerCase()];
+  if (!tenant) {
+    throw createHttpError(400, `Unknown tenant '${value}'. Expected one of: ${Object.keys(tenants).join(', ')}`);
+  }
+  return tenant;
+}
+
+function withTenant(tenantId, handler) {
+  const tenant = resolveTenant(tenantId);
+  const previous = { tenant: currentTenant, dataStore: mockDataStore };
+  currentTenant = tenant;
+  mockDataStore = tenant.defaultDataStore;
+  try {
+    if (!tenant.generationOptions) initializeMockData(tenantGenerationOptions);
+    return handler();
+  } finally {
+    currentTenant = previous.tenant;
+    mockDataStore = previous.dataStore;
+  }
+}
+
+// The id of the tenant a request asked for, or the default's
+function resolveTenantId(value) {
+  return resolveTenant(value).brand.id;
+}
+
+function getTenantIds() {
+  return Object.keys(tenants);
+}
+
+// Allowed values for a tenant, in the same shape as `enums`
+function getTenantEnums(tenantId) {
+  const { regions, categories, departments } = resolveTenant(tenantId).brand;
+  return { ...enums, regions, categories, departments };
+}
+
+function handleGetTenants() {
+  return {
+    defaultTenant: defaultTenant.brand.id,
+    tenants: Object.values(tenants).map(({ brand, generationOptions }) => ({
+      id: brand.id,
+      name: brand.name,
+      currency: brand.currency,
+      storeCount: brand.storeCount,
+      loaded: Boolean(generationOptions)
+    }))
+  };
+}
+
+/**
+ * Generation stats and snapshots for the admin endpoints
+ *
+ * Snapshots are plain JSON. Typed arrays are written as
+ * { "$typedArray": "Uint32Array", "values": [...] } and restored on load.
+ */
+function getGenerationStats(dataStore = currentTenant.defaultDataStore) {
+  const { stores, salesFacts, catalog, staff } = dataStore;
+
+  return {
+    tenant: dataStore.tenant.id,
+    seed: dataStore.seed,
+    scenario: dataStore.scenario.name,
+    defaultScenario: currentTenant.defaultDataStore.scenario.name,
+    loadedScenarios: Object.keys(currentTenant.dataStores),
+    dataRange: dataStore.dataRange,
+    today: dataStore.today,
+    storeCount: stores.length,
+    days: salesFacts.dates.length,
+    factCells: stores.length * salesFacts.dates.length * dataStore.tenant.departments.length,
+    productCount: catalog.products.length,
+    skuCount: catalog.skus.length,
+    employeeCount: Object.keys(staff.byId).length,
+    ...dataStore.generation
+  };
+}
+
+// Options the current tenant's data sets were generated with, kept in snapshots
+function getGenerationOptions() {
+  return currentTenant.generationOptions;
+}
+
+function createSnapshot(dataStore = currentTenant.defaultDataStore) {
+  const snapshot = {
+    version: snapshotVersion,
+    createdAt: new Date().toISOString(),
+    generationOptions: currentTenant.generationOptions,
+    dataStore
+  };
+
+  return JSON.stringify(snapshot, (key, value) => (
+    ArrayBuffer.isView(value) ? { $typedArray: value.constructor.name, values: Array.from(value) } : value
+  ));
+}
+
+// Parse snapshot or fixture JSON, restoring typed arrays; `name` labels errors
+function parseJson(text, name = 'snapshot') {
+  try {
+    return JSON.parse(text, (key, value) => {
+      if (value && typeof value === 'object' && typeof value.$typedArray === 'string') {
+        const TypedArray = snapshotTypedArrays[value.$typedArray];
+        if (!TypedArray || !Array.isArray(value.values)) {
+          throw createHttpError(400, `Invalid ${name}: unsupported typed array '${value.$typedArray}'`);
+        }
+        return TypedArray.from(value.values);
+      }
+      return value;
+    });
+  } catch (error) {
+    if (error.status) throw error;
+    throw createHttpError(400, `Invalid ${name}: ${error.message}`);
+  }
+}
+
+function checkSnapshot(snapshot) {
+  if (!snapshot || snapshot.version !== snapshotVersion) {
+    throw createHttpError(400, `Invalid snapshot: expected version ${snapshotVersion}`);
+  }
+
+  const dataStore = snapshot.dataStore || {};
+  const missing = snapshotFields.filter(field => dataStore[field] === undefined);
+  if (missing.length) {
+    throw createHttpError(400, `Invalid snapshot: missing ${missing.join(', ')}`);
+  }
+  if (!scenarios[dataStore.scenario.name]) {
+    throw createHttpError(400, `Invalid snapshot: unknown scenario '${dataStore.scenario.name}'`);
+  }
+
+  // Snapshots load into the tenant they were taken from; older ones have no tenant
+  const { brand } = currentTenant;
+  if (dataStore.tenant && dataStore.tenant.id !== brand.id) {
+    throw createHttpError(400, `Invalid snapshot: it holds tenant '${dataStore.tenant.id}' data, not '${brand.id}'`);
+  }
+  if (JSON.stringify(dataStore.salesFacts.departments) !== JSON.stringify(brand.departments)) {
+    throw createHttpError(400, `Invalid snapshot: departments don't match the ${brand.name} departments`);
+  }
+
+  // Every store needs complete facts, stock and a roster
+  const cellCount = dataStore.salesFacts.dates.length * brand.departments.length;
+  dataStore.stores.forEach(store => {
+    const facts = dataStore.salesFacts.byStore[store.id];
+    if (!facts || !(facts.sales instanceof Uint32Array) || facts.sales.length !== cellCount) {
+      throw createHttpError(400, `Invalid snapshot: incomplete sales facts for store ${store.id}`);
+    }
+    if (!dataStore.inventoryData.byStore[store.id] || !dataStore.staff.byStore[store.id]) {
+      throw createHttpError(400, `Invalid snapshot: incomplete inventory or staff for store ${store.id}`);
+    }
+  });
+
+  return snapshot;
+}
+
+// Replace the current tenant's data sets with the snapshot's, which becomes
+// the default. Takes snapshot JSON or an already parsed snapshot.
+function loadSnapshot(source) {
+  const snapshot = checkSnapshot(typeof source === 'string' ? parseJson(source) : source);
+  // Older snapshots carry filter lists, which now come from the tenant
+  const { filters, ...saved } = snapshot.dataStore;
+  const dataStore = { ...createDataStore(), ...saved, tenant: currentTenant.brand };
+
+  installDataStore(dataStore, snapshot.generationOptions || {});
+  console.log(`Loaded a ${dataStore.scenario.name} snapshot with seed ${dataStore.seed}`);
+  return dataStore;
+}
+
+/**
+ * Request helpers shared by the API handlers
+ */
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// A 422 listing every invalid field as { field, message }
+function createValidationError(fields, message = 'Validation failed') {
+  const error = createHttpError(422, message);
+  error.fields = fields;
+  return error;
+}
+
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(value);
+  return !Number.isNaN(date.getTime()) && formatDate(date) === value;
+}
+
+function parseDateParam(value, name) {
+  if (!isIsoDate(value)) {
+    throw createHttpError(400, `Invalid ${name} '${value}'. Expected a date in YYYY-MM-DD format`);
+  }
+  return value;
+}
+
+function resolveDateRange(params, defaultStart, defaultEnd) {
+  const startDate = params.startDate ? parseDateParam(params.startDate, 'startDate') : defaultStart;
+  const endDate = params.endDate ? parseDateParam(params.endDate, 'endDate') : defaultEnd;
+
+  if (startDate > endDate) {
+    throw createHttpError(400, `startDate (${startDate}) must not be after endDate (${endDate})`);
+  }
+
+  return { startDate, endDate };
+}
+
+/**
+ * Resolve a timeRange preset against "today" into the period it covers and
+ * the matching prior period it is compared with
+ */
+function resolveTimeRange(timeRange, today) {
+  const [year, month, day] = today.split('-').map(Number);
+  const quarterMonth = Math.floor((month - 1) / 3) * 3 + 1;
+  const trailingDays = count => {
+    const startDate = addDays(today, 1 - count);
+    return {
+      startDate,
+      endDate: today,
+      comparisonStartDate: addDays(startDate, -count),
+      comparisonEndDate: addDays(startDate, -1)
+    };
+  };
+
+  switch (timeRange) {
+    case 'Today':
+      return trailingDays(1);
+    case 'Yesterday': {
+      const yesterday = addDays(today, -1);
+      return { startDate: yesterday, endDate: yesterday, comparisonStartDate: addDays(today, -2), comparisonEndDate: addDays(today, -2) };
+    }
+    case 'Last 7 Days':
+      return trailingDays(7);
+    case 'Last 30 Days':
+      return trailingDays(30);
+    case 'This Month':
+      return {
+        startDate: isoDate(year, month, 1),
+        endDate: today,
+        comparisonStartDate: isoDate(year, month - 1, 1),
+        comparisonEndDate: isoDate(year, month - 1, Math.min(day, daysInMonth(year, month - 1)))
+      };
+    case 'Last Month':
+      return {
+        startDate: isoDate(year, month - 1, 1),
+        endDate: isoDate(year, month, 0),
+        comparisonStartDate: isoDate(year, month - 2, 1),
+        comparisonEndDate: isoDate(year, month - 1, 0)
+      };
+    case 'This Quarter': {
+      const startDate = isoDate(year, quarterMonth, 1);
+      const comparisonStartDate = isoDate(year, quarterMonth - 3, 1);
+      const comparisonEndDate = addDays(comparisonStartDate, daysBetween(startDate, today));
+      const priorQuarterEnd = isoDate(year, quarterMonth, 0);
+      return {
+        startDate,
+        endDate: today,
+        comparisonStartDate,
+        comparisonEndDate: comparisonEndDate < priorQuarterEnd ? comparisonEndDate : priorQuarterEnd
+      };
+    }
+    case 'Last Quarter':
+      return {
+        startDate: isoDate(year, quarterMonth - 3, 1),
+        endDate: isoDate(year, quarterMonth, 0),
+        comparisonStartDate: isoDate(year, quarterMonth - 6, 1),
+        comparisonEndDate: isoDate(year, quarterMonth - 3, 0)
+      };
+    case 'YTD':
+      return {
+        startDate: isoDate(year, 1, 1),
+        endDate: today,
+        comparisonStartDate: isoDate(year - 1, 1, 1),
+        comparisonEndDate: isoDate(year - 1, month, Math.min(day, daysInMonth(year - 1, month)))
+      };
+    case 'Last Year':
+      return {
+        startDate: isoDate(year - 1, 1, 1),
+        endDate: isoDate(year - 1, 12, 31),
+        comparisonStartDate: isoDate(year - 2, 1, 1),
+        comparisonEndDate: isoDate(year - 2, 12, 31)
+      };
+    default:
+      throw new Error(`No resolver for timeRange '${timeRange}'`);
+  }
+}
+
+// Presets match case-insensitively, ignoring spaces and punctuation
+function normalizeTimeRange(timeRange) {
+  return String(timeRange).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// The reporting period, or the 120 days up to today when the generated dates
+// don't cover it
+function getDefaultPeriod() {
+  const { dates } = mockDataStore.salesFacts;
+  if (reportingPeriod.startDate >= dates[0] && reportingPeriod.endDate <= dates[dates.length - 1]) {
+    return reportingPeriod;
+  }
+
+  const startDate = addDays(mockDataStore.today, -119);
+  return { startDate: startDate < dates[0] ? dates[0] : startDate, endDate: mockDataStore.today };
+}
+
+function resolvePeriod(params) {
+  if (params.timeRange) {
+    if (params.startDate || params.endDate) {
+      throw createHttpError(400, 'Use either timeRange or startDate/endDate, not both');
+    }
+
+    const timeRange = timeRanges.find(range => normalizeTimeRange(range) === normalizeTimeRange(params.timeRange));
+    if (!timeRange) {
+      throw createHttpError(400, `Unknown timeRange '${params.timeRange}'. Expected one of: ${timeRanges.join(', ')}`);
+    }
+
+    return { timeRange, ...resolveTimeRange(timeRange, mockDataStore.today) };
+  }
+
+  const defaultPeriod = getDefaultPeriod();
+  const { startDate, endDate } = resolveDateRange(params, defaultPeriod.startDate, defaultPeriod.endDate);
+  return {
+    timeRange: null,
+    startDate,
+    endDate,
+    comparisonStartDate: addDays(startDate, -comparisonOffsetDays),
+    comparisonEndDate: addDays(endDate, -comparisonOffsetDays)
+  };
+}
+
+function filterStores(params) {
+  const { regions } = mockDataStore.tenant;
+  const { storeIds, region, storeType } = params;
+  let stores = mockDataStore.stores;
+
+  if (region) {
+    if (!regions.includes(region)) {
+      throw createHttpError(400, `Unknown region '${region}'. Expected one of: ${regions.join(', ')}`);
+    }
+    stores = stores.filter(store => store.region === region);
+  }
+
+  if (storeType) {
+    if (!storeTypes.includes(storeType)) {
+      throw createHttpError(400, `Unknown storeType '${storeType}'. Expected one of: ${storeTypes.join(', ')}`);
+    }
+    stores = stores.filter(store => store.type === storeType);
+  }
+
+  if (storeIds) {
+    const ids = String(storeIds).split(',').map(id => id.trim()).filter(Boolean);
+    const unknownIds = ids.filter(id => !mockDataStore.stores.some(store => store.id === id));
+    if (unknownIds.length > 0) {
+      throw createHttpError(400, `Unknown storeIds: ${unknownIds.join(', ')}`);
+    }
+    stores = stores.filter(store => ids.includes(store.id));
+  }
+
+  return stores;
+}
+
+function percentChangeBetween(current, previous) {
+  if (!previous) return null;
+  return parseFloat(((current - previous) / previous * 100).toFixed(1));
+}
+
+/**
+ * Sorting, pagination and field selection for list responses
+ *
+ * Lists are returned whole unless page, pageSize or cursor is given. Cursors
+ * are opaque to clients and encode the offset of the next row.
+ */
+function parsePositiveInt(value, name, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw createHttpError(400, `Invalid ${name} '${value}'. Expected a whole number from 1 to ${max}`);
+  }
+  return number;
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch (error) {
+    // Fall through to the 400 below
+  }
+  throw createHttpError(400, `Invalid cursor '${cursor}'`);
+}
+
+function parseColumnList(value, columns, name) {
+  const fields = String(value).split(',').map(field => field.trim()).filter(Boolean);
+  const unknownFields = fields.filter(field => !columns.includes(field));
+  if (unknownFields.length > 0) {
+    throw createHttpError(400, `Unknown ${name} field(s): ${unknownFields.join(', ')}. Expected one of: ${columns.join(', ')}`);
+  }
+  return fields;
+}
+
+// Missing values sort last in either direction
+function compareValues(a, b, sign) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return (a - b) * sign;
+  return String(a).localeCompare(String(b)) * sign;
+}
+
+function queryRows(rows, params, columns) {
+  const { sort, fields, page, pageSize, cursor } = params;
+  let result = rows;
+
+  // sort=field:asc|desc, comma-separated for tie-breakers
+  if (sort) {
+    const sorters = String(sort).split(',').map(spec => {
+      const [field, direction = 'asc'] = spec.trim().split(':');
+      parseColumnList(field, columns, 'sort');
+      if (field === 'coordinates') {
+        throw createHttpError(400, `Cannot sort by '${field}'`);
+      }
+      if (direction !== 'asc' && direction !== 'desc') {
+        throw createHttpError(400, `Invalid sort direction '${direction}'. Expected asc or desc`);
+      }
+      return { field, sign: direction === 'desc' ? -1 : 1 };
+    });
+
+    result = [...rows].sort((a, b) => {
+      for (const { field, sign } of sorters) {
+        const order = compareValues(a[field], b[field], sign);
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+  }
+
+  // Pagination by page number or by cursor
+  const total = result.length;
+  const paginated = page !== undefined || pageSize !== undefined || cursor !== undefined;
+  if (page !== undefined && cursor !== undefined) {
+    throw createHttpError(400, 'Use either page or cursor, not both');
+  }
+  const size = pageSize !== undefined ? parsePositiveInt(pageSize, 'pageSize', maxPageSize) : defaultPageSize;
+  let offset = 0;
+  if (cursor !== undefined) {
+    offset = decodeCursor(cursor);
+  } else if (page !== undefined) {
+    offset = (parsePositiveInt(page, 'page', Number.MAX_SAFE_INTEGER) - 1) * size;
+  }
+
+  let pagination = {
+    total,
+    page: 1,
+    pageSize: total,
+    pageCount: 1,
+    nextCursor: null,
+    prevCursor: null
+  };
+  if (paginated) {
+    result = result.slice(offset, offset + size);
+    pagination = {
+      total,
+      page: Math.floor(offset / size) + 1,
+      pageSize: size,
+      pageCount: Math.max(1, Math.ceil(total / size)),
+      nextCursor: offset + size < total ? encodeCursor(offset + size) : null,
+      prevCursor: offset > 0 ? encodeCursor(Math.max(0, offset - size)) : null
+    };
+  }
+
+  // fields=a,b keeps only the listed columns
+  if (fields) {
+    result = result.map(projectRow(parseColumnList(fields, columns, 'fields')));
+  }
+
+  return { rows: result, pagination };
+}
+
+function projectRow(selected) {
+  return row => {
+    const projected = {};
+    selected.forEach(field => {
+      projected[field] = row[field];
+    });
+    return projected;
+  };
+}
+
+/**
+ * Rows of a per-store table, built by `toRow` from each store's figures.
+ * Downloads (`params.download`) carry every row rather than a page, and get
+ * them as an iterator that builds each row as the file is written, so a big
+ * estate is never held as one array. Rows may be built after the handler
+ * returns, outside its data set, so `toRow` only reads what the handler has
+ * already worked out.
+ *
+ * `sort` is the exception: ordering by a row's figures needs every row, so
+ * a sorted download builds them all before the first is written, as the
+ * JSON does. Leave `sort` off to stream a very large estate.
+ */
+function queryStoreRows(items, toRow, params, columns) {
+  if (!params.download) return queryRows(items.map(toRow), params, columns);
+
+  const { sort, fields } = params;
+  if (sort) return { rows: queryRows(items.map(toRow), { sort, fields }, columns).rows, pagination: null };
+
+  const project = fields ? projectRow(parseColumnList(fields, columns, 'fields')) : row => row;
+  const rows = (function* () {
+    for (const item of items) yield project(toRow(item));
+  })();
+  return { rows, pagination: null };
+}
+
+/**
+ * Geo helpers for store search
+ */
+function parseCoordinate(value, name, limit) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || Math.abs(number) > limit) {
+    throw createHttpError(400, `Invalid ${name} '${value}'. Expected a number from -${limit} to ${limit}`);
+  }
+  return number;
+}
+
+// Great-circle distance between two points (haversine)
+function distanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(a));
+}
+
+function parseBoundingBox(bbox) {
+  const parts = String(bbox).split(',');
+  if (parts.length !== 4) {
+    throw createHttpError(400, `Invalid bbox '${bbox}'. Expected minLat,minLng,maxLat,maxLng`);
+  }
+
+  const [minLat, minLng, maxLat, maxLng] = parts.map((part, index) =>
+    parseCoordinate(part.trim(), 'bbox', index % 2 === 0 ? 90 : 180));
+  if (minLat > maxLat || minLng > maxLng) {
+    throw createHttpError(400, `Invalid bbox '${bbox}'. Minimums must not exceed maximums`);
+  }
+
+  return { minLat, minLng, maxLat, maxLng };
+}
+
+/**
+ * Aggregation helpers over the sales facts
+ */
+function getDayWindow(startDate, endDate) {
+  const dates = mockDataStore.salesFacts.dates;
+  let from = dates.findIndex(date => date >= startDate);
+  if (from === -1) from = dates.length;
+  const to = Math.max(from, dates.findLastIndex(date => date <= endDate) + 1);
+
+  return { from, to };
+}
+
+// The comparison period's window, or null when it predates the facts
+function getComparisonWindow(period) {
+  if (period.comparisonStartDate < mockDataStore.salesFacts.dates[0]) return null;
+
+  return getDayWindow(period.comparisonStartDate, period.comparisonEndDate);
+}
+
+function createTotals() {
+  return { sales: 0, units: 0, transactions: 0 };
+}
+
+function sumStoreFacts(storeId, { from, to }) {
+  const { departments } = mockDataStore.tenant;
+  const facts = mockDataStore.salesFacts.byStore[storeId];
+  const totals = createTotals();
+  const byDepartment = departments.map(createTotals);
+
+  for (let day = from; day < to; day++) {
+    for (let index = 0; index < departments.length; index++) {
+      const cell = day * departments.length + index;
+      byDepartment[index].sales += facts.sales[cell];
+      byDepartment[index].units += facts.units[cell];
+      byDepartment[index].transactions += facts.transactions[cell];
+    }
+  }
+
+  byDepartment.forEach(department => {
+    totals.sales += department.sales;
+    totals.units += department.units;
+    totals.transactions += department.transactions;
+  });
+
+  return { ...totals, byDepartment };
+}
+
+function sumDailyFacts(stores, { from, to }) {
+  const { departments } = mockDataStore.tenant;
+  const byDay = [];
+
+  for (let day = from; day < to; day++) {
+    const totals = createTotals();
+    stores.forEach(store => {
+      const facts = mockDataStore.salesFacts.byStore[store.id];
+      for (let index = 0; index < departments.length; index++) {
+        const cell = day * departments.length + index;
+        totals.sales += facts.sales[cell];
+        totals.units += facts.units[cell];
+        totals.transactions += facts.transactions[cell];
+      }
+    });
+    byDay.push(totals);
+  }
+
+  return byDay;
+}
+
+/**
+ * Foot traffic
+ *
+ * Visitors to a store on a day are its transactions over its conversion
+ * rate, lower at weekends when more people browse, and varied from day to
+ * day. They are worked out when read, with the variation drawn from the seed,
+ * store and day, so they follow live sales, fixtures and new stores without
+ * being stored.
+ */
+function getDailyTraffic(storeId, { from, to }) {
+  const { departments } = mockDataStore.tenant;
+  const { dates, byStore } = mockDataStore.salesFacts;
+  const { transactions, conversionRate } = byStore[storeId];
+  const traffic = [];
+
+  for (let day = from; day < to; day++) {
+    let count = 0;
+    for (let index = 0; index < departments.length; index++) count += transactions[day * departments.length + index];
+
+    const variation = 1 + trafficVariation * (hashSeed(`${mockDataStore.seed}:traffic:${storeId}:${day}`) / 4294967296 * 2 - 1);
+    const rate = conversionRate * conversionWeekdayFactors[new Date(dates[day]).getUTCDay()] * variation;
+    traffic.push(count ? Math.max(count, Math.round(count / rate)) : 0);
+  }
+
+  return traffic;
+}
+
+function sumTraffic(storeId, window) {
+  return getDailyTraffic(storeId, window).reduce((sum, visitors) => sum + visitors, 0);
+}
+
+function sumCategory(totals, category) {
+  const { departments, departmentCategories } = mockDataStore.tenant;
+  return departments.reduce(
+    (sum, department, index) => departmentCategories[department] === category ? sum + totals.byDepartment[index].sales : sum,
+    0
+  );
+}
+
+// Units and revenue per SKU for a store, split from its department totals
+function allocateStoreSales(storeId, window) {
+  const totals = sumStoreFacts(storeId, window);
+  const { weights } = mockDataStore.inventoryData.byStore[storeId];
+  const { skus, skusByDepartment } = mockDataStore.catalog;
+  const units = new Uint32Array(skus.length);
+  const revenue = new Uint32Array(skus.length);
+
+  skusByDepartment.forEach((skuIndexes, index) => {
+    const unitShares = allocate(totals.byDepartment[index].units, skuIndexes.map(skuIndex => weights[skuIndex]));
+    const revenueShares = allocate(
+      totals.byDepartment[index].sales,
+      skuIndexes.map(skuIndex => weights[skuIndex] * skus[skuIndex].price)
+    );
+    skuIndexes.forEach((skuIndex, position) => {
+      units[skuIndex] = unitShares[position];
+      revenue[skuIndex] = revenueShares[position];
+    });
+  });
+
+  return { units, revenue };
+}
+
+function getStockStatus(onHand, parLevel) {
+  if (onHand === 0) return 'out_of_stock';
+  if (onHand <= parLevel * lowStockRatio) return 'low_stock';
+  return 'in_stock';
+}
+
+// The window of days ending on the inventory's as-of date
+function getTrailingWindow(storeId, days) {
+  const dates = mockDataStore.salesFacts.dates;
+  const to = dates.indexOf(mockDataStore.inventoryData.byStore[storeId].asOf) + 1;
+  return { from: Math.max(0, to - days), to };
+}
+
+// Stock on hand per department, with cost of goods sold over the trailing year
+function summarizeInventory(storeId) {
+  const { departments } = mockDataStore.tenant;
+  const { skus, skusByDepartment } = mockDataStore.catalog;
+  const { onHand } = mockDataStore.inventoryData.byStore[storeId];
+  const trailingYear = getTrailingWindow(storeId, 365);
+  const annualize = 365 / Math.max(1, trailingYear.to - trailingYear.from);
+  const sold = allocateStoreSales(storeId, trailingYear);
+
+  return skusByDepartment.map((skuIndexes, index) => {
+    const stock = {
+      department: departments[index],
+      skuCount: skuIndexes.length,
+      itemCount: 0,
+      value: 0,
+      outOfStockItems: 0,
+      annualCostOfSales: 0
+    };
+
+    skuIndexes.forEach(skuIndex => {
+      stock.itemCount += onHand[skuIndex];
+      stock.value += onHand[skuIndex] * skus[skuIndex].cost;
+      stock.annualCostOfSales += sold.units[skuIndex] * skus[skuIndex].cost * annualize;
+      if (onHand[skuIndex] === 0) stock.outOfStockItems++;
+    });
+    stock.value = Math.round(stock.value);
+
+    return stock;
+  });
+}
+
+function calculateTurnover(annualCostOfSales, value) {
+  return value ? parseFloat((annualCostOfSales / value).toFixed(1)) : 0;
+}
+
+// First day of the bucket a date falls into; weeks start on Monday
+function getBucketStart(date, granularity) {
+  switch (granularity) {
+    case 'week':
+      return addDays(date, -((new Date(date).getUTCDay() + 6) % 7));
+    case 'month':
+      return `${date.slice(0, 7)}-01`;
+    case 'quarter': {
+      const month = Math.floor((Number(date.slice(5, 7)) - 1) / 3) * 3 + 1;
+      return `${date.slice(0, 4)}-${String(month).padStart(2, '0')}-01`;
+    }
+    default:
+      return date;
+  }
+}
+
+function parseGranularity(value, defaultGranularity) {
+  const granularity = value || defaultGranularity;
+  if (!granularities.includes(granularity)) {
+    throw createHttpError(400, `Unknown granularity '${granularity}'. Expected one of: ${granularities.join(', ')}`);
+  }
+  return granularity;
+}
+
+// Buckets covering a window, clipped to its first and last day
+function getBuckets({ from, to }, granularity) {
+  const dates = mockDataStore.salesFacts.dates;
+  const buckets = [];
+
+  for (let day = from; day < to; day++) {
+    const bucket = getBucketStart(dates[day], granularity);
+    const last = buckets[buckets.length - 1];
+    if (last && last.bucket === bucket) {
+      last.endDate = dates[day];
+      last.to = day + 1;
+    } else {
+      buckets.push({ bucket, startDate: dates[day], endDate: dates[day], from: day, to: day + 1 });
+    }
+  }
+
+  return buckets;
+}
+
+function getQuarterWindows() {
+  const quarters = [];
+
+  mockDataStore.salesFacts.dates.forEach((date, day) => {
+    const year = Number(date.slice(0, 4));
+    const quarter = Math.floor((Number(date.slice(5, 7)) - 1) / 3) + 1;
+    const last = quarters[quarters.length - 1];
+
+    if (last && last.year === year && last.quarter === quarter) {
+      last.to = day + 1;
+    } else {
+      quarters.push({ year, quarter, from: day, to: day + 1 });
+    }
+  });
+
+  return quarters;
+}
+
+/**
+ * Staff helpers
+ *
+ * Each day's store sales and transactions are shared among the selling staff
+ * employed that day, in proportion to their sales weight. Shares are rounded
+ * per day, so any grouping of days adds up to the store totals.
+ */
+function summarizeStaff(storeId, { from, to }) {
+  const { departments } = mockDataStore.tenant;
+  const roster = mockDataStore.staff.byStore[storeId];
+  const facts = mockDataStore.salesFacts.byStore[storeId];
+  const dates = mockDataStore.salesFacts.dates;
+  const salesTotals = roster.map(() => 0);
+  const transactionTotals = roster.map(() => 0);
+  const daysEmployed = roster.map(() => 0);
+
+  for (let day = from; day < to; day++) {
+    let sales = 0;
+    let transactions = 0;
+    for (let index = 0; index < departments.length; index++) {
+      sales += facts.sales[day * departments.length + index];
+      transactions += facts.transactions[day * departments.length + index];
+    }
+
+    const weights = roster.map((employee, index) => {
+      if (employee.hireDate > dates[day]) return 0;
+      daysEmployed[index]++;
+      return employee.salesWeight;
+    });
+    if (sales === 0) continue;
+
+    const salesShares = allocate(sales, weights);
+    const transactionShares = allocate(transactions, weights);
+    roster.forEach((employee, index) => {
+      salesTotals[index] += salesShares[index];
+      transactionTotals[index] += transactionShares[index];
+    });
+  }
+
+  return roster.map((employee, index) => ({
+    employee,
+    salesTotal: salesTotals[index],
+    transactionCount: transactionTotals[index],
+    hoursWorked: parseFloat((employee.weeklyHours * daysEmployed[index] / 7).toFixed(1))
+  }));
+}
+
+// Public fields of a roster entry
+function toEmployee({ salesWeight, ...employee }) {
+  return employee;
+}
+
+function toStaffPerformance({ employee, salesTotal, transactionCount, hoursWorked }) {
+  return {
+    ...toEmployee(employee),
+    salesTotal,
+    transactionCount,
+    avgPerTransaction: transactionCount ? parseFloat((salesTotal / transactionCount).toFixed(2)) : 0,
+    hoursWorked,
+    salesPerHour: hoursWorked ? parseFloat((salesTotal / hoursWorked).toFixed(2)) : 0
+  };
+}
+
+/**
+ * API endpoint handlers
+ */
+function handleGetStores(params = {}) {
+  const { rows, pagination } = queryRows(mockDataStore.stores, params, storeColumns);
+
+  return {
+    stores: rows,
+    pagination
+  };
+}
+
+function handleSearchStores(params = {}) {
+  const { q, lat, lng, radiusKm, bbox } = params;
+  let stores = filterStores(params);
+
+  // Case-insensitive text match on name, city, address and manager
+  if (q) {
+    const text = String(q).toLowerCase();
+    stores = stores.filter(store => [store.name, store.city, store.address, store.manager]
+      .some(value => value.toLowerCase().includes(text)));
+  }
+
+  // A bounding box alone measures distance from its centre
+  let origin = null;
+  if (bbox) {
+    const { minLat, minLng, maxLat, maxLng } = parseBoundingBox(bbox);
+    stores = stores.filter(({ coordinates }) => coordinates.lat >= minLat && coordinates.lat <= maxLat &&
+      coordinates.lng >= minLng && coordinates.lng <= maxLng);
+    origin = { lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 };
+  }
+
+  // Distance from a point, optionally limited to a radius
+  let radius = Infinity;
+  if (lat !== undefined || lng !== undefined) {
+    if (lat === undefined || lng === undefined) {
+      throw createHttpError(400, 'lat and lng must be given together');
+    }
+    origin = { lat: parseCoordinate(lat, 'lat', 90), lng: parseCoordinate(lng, 'lng', 180) };
+    radius = radiusKm === undefined ? Infinity : Number(radiusKm);
+    if (!(radius > 0)) {
+      throw createHttpError(400, `Invalid radiusKm '${radiusKm}'. Expected a positive number`);
+    }
+  } else if (radiusKm !== undefined) {
+    throw createHttpError(400, 'radiusKm requires lat and lng');
+  }
+
+  // Geo queries list the nearest first
+  let results = stores;
+  if (origin) {
+    results = stores
+      .map(store => ({ ...store, distanceKm: parseFloat(distanceKm(origin, store.coordinates).toFixed(2)) }))
+      .filter(store => store.distanceKm <= radius)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+
+  const { rows, pagination } = queryRows(results, params, storeSearchColumns);
+
+  return {
+    stores: rows,
+    pagination
+  };
+}
+
+function handleGetSales(params = {}) {
+  const { regions, categories } = mockDataStore.tenant;
+  const stores = filterStores(params);
+  const period = resolvePeriod(params);
+  const window = getDayWindow(period.startDate, period.endDate);
+  const comparisonWindow = getComparisonWindow(period);
+  const dates = mockDataStore.salesFacts.dates.slice(window.from, window.to);
+
+  // Window totals for every store, since region shares count unselected
+  // stores too, and those outside a signed-in user's scope
+  const storeTotals = {};
+  const regionTotals = {};
+  (mockDataStore.allStores || mockDataStore.stores).forEach(store => {
+    storeTotals[store.id] = sumStoreFacts(store.id, window);
+    regionTotals[store.region] = (regionTotals[store.region] || 0) + storeTotals[store.id].sales;
+  });
+
+  const comparisonTotals = {};
+  stores.forEach(store => {
+    comparisonTotals[store.id] = comparisonWindow ? sumStoreFacts(store.id, comparisonWindow) : null;
+  });
+
+  // Daily totals across the selected stores
+  const byDate = sumDailyFacts(stores, window).map((totals, offset) => ({
+    date: dates[offset],
+    sales: totals.sales,
+    transactions: totals.transactions,
+    avgValue: totals.transactions ? parseFloat((totals.sales / totals.transactions).toFixed(2)) : 0
+  }));
+
+  let totalSales = 0;
+  let totalTransactions = 0;
+  let comparisonSales = comparisonWindow ? 0 : null;
+  let footTraffic = 0;
+  stores.forEach(store => {
+    const { sales, transactions } = storeTotals[store.id];
+    totalSales += sales;
+    totalTransactions += transactions;
+    footTraffic += sumTraffic(store.id, window);
+    if (comparisonWindow) comparisonSales += comparisonTotals[store.id].sales;
+  });
+
+  // Sales by region, limited to regions that have a selected store
+  const byRegion = regions
+    .map(region => {
+      const regionStores = stores.filter(store => store.region === region);
+      const regionSales = regionStores.reduce((sum, store) => sum + storeTotals[store.id].sales, 0);
+
+      return {
+        region,
+        sales: regionSales,
+        percentOfTotal: totalSales ? parseFloat((regionSales / totalSales).toFixed(2)) : 0,
+        storeCount: regionStores.length
+      };
+    })
+    .filter(region => region.storeCount > 0);
+
+  // Sales by category, rolled up from departments
+  const byCategory = categories.map(category => {
+    const categorySales = stores.reduce((sum, store) => sum + sumCategory(storeTotals[store.id], category), 0);
+    const categoryComparison = comparisonWindow
+      ? stores.reduce((sum, store) => sum + sumCategory(comparisonTotals[store.id], category), 0)
+      : null;
+
+    return {
+      category,
+      sales: categorySales,
+      percentOfTotal: totalSales ? parseFloat((categorySales / totalSales).toFixed(2)) : 0,
+      comparisonSales: categoryComparison,
+      percentChange: percentChangeBetween(categorySales, categoryComparison)
+    };
+  });
+
+  // Sales by store, ranked within the selection
+  const ranks = new Map(
+    [...stores]
+      .sort((a, b) => storeTotals[b.id].sales - storeTotals[a.id].sales)
+      .map((store, index) => [store.id, index + 1])
+  );
+  const byStorePage = queryStoreRows(stores, store => {
+    const storeSales = storeTotals[store.id].sales;
+    const regionSales = regionTotals[store.region];
+
+    return {
+      storeId: store.id,
+      storeName: store.name,
+      sales: storeSales,
+      rank: ranks.get(store.id),
+      percentOfRegion: regionSales ? parseFloat((storeSales / regionSales).toFixed(2)) : 0,
+      percentChange: percentChangeBetween(storeSales, comparisonTotals[store.id] && comparisonTotals[store.id].sales)
+    };
+  }, params, salesByStoreColumns);
+
+  return {
+    period,
+    summary: {
+      totalSales,
+      comparisonSales,
+      percentChange: percentChangeBetween(totalSales, comparisonSales),
+      averageTransactionValue: totalTransactions ? parseFloat((totalSales / totalTransactions).toFixed(2)) : 0,
+      transactionCount: totalTransactions,
+      footTraffic,
+      conversionRate: footTraffic ? parseFloat((totalTransactions / footTraffic).toFixed(2)) : 0
+    },
+    byDate,
+    byRegion,
+    byCategory,
+    byStore: byStorePage.rows,
+    byStorePagination: byStorePage.pagination
+  };
+}
+
+function handleGetSalesTimeseries(params = {}) {
+  const { regions, categories, departments, departmentCategories } = mockDataStore.tenant;
+  const granularity = parseGranularity(params.granularity, 'day');
+  const groupBy = params.groupBy || null;
+  if (groupBy && !seriesGroupings.includes(groupBy)) {
+    throw createHttpError(400, `Unknown groupBy '${groupBy}'. Expected one of: ${seriesGroupings.join(', ')}`);
+  }
+
+  const stores = filterStores(params);
+  const period = resolvePeriod(params);
+  const { from, to } = getDayWindow(period.startDate, period.endDate);
+  const buckets = getBuckets({ from, to }, granularity);
+  const bucketOfDay = [];
+  buckets.forEach((bucket, index) => {
+    for (let day = bucket.from; day < bucket.to; day++) {
+      bucketOfDay[day] = index;
+    }
+  });
+
+  // Series keys, and the key each store (or each department) contributes to
+  let keys;
+  if (groupBy === 'region') {
+    keys = regions.filter(region => stores.some(store => store.region === region));
+  } else if (groupBy === 'storeType') {
+    keys = storeTypes.filter(storeType => stores.some(store => store.type === storeType));
+  } else if (groupBy === 'category') {
+    keys = categories;
+  } else if (groupBy === 'store') {
+    keys = stores.map(store => store.id);
+  } else {
+    keys = ['total'];
+  }
+  const getStoreKey = store => {
+    if (groupBy === 'region') return store.region;
+    if (groupBy === 'storeType') return store.type;
+    if (groupBy === 'store') return store.id;
+    return 'total';
+  };
+
+  const series = {};
+  keys.forEach(key => {
+    series[key] = buckets.map(createTotals);
+  });
+
+  stores.forEach(store => {
+    const facts = mockDataStore.salesFacts.byStore[store.id];
+    const storeKey = getStoreKey(store);
+
+    for (let day = from; day < to; day++) {
+      for (let index = 0; index < departments.length; index++) {
+        const cell = day * departments.length + index;
+        const key = groupBy === 'category' ? departmentCategories[departments[index]] : storeKey;
+        const totals = series[key][bucketOfDay[day]];
+        totals.sales += facts.sales[cell];
+        totals.units += facts.units[cell];
+        totals.transactions += facts.transactions[cell];
+      }
+    }
+  });
+
+  const storeNames = {};
+  stores.forEach(store => {
+    storeNames[store.id] = store.name;
+  });
+
+  return {
+    period,
+    granularity,
+    groupBy,
+    series: keys.map(key => ({
+      key,
+      ...(groupBy === 'store' ? { storeName: storeNames[key] } : {}),
+      points: buckets.map(({ bucket, startDate, endDate }, index) => {
+        const { sales, transactions } = series[key][index];
+
+        return {
+          bucket,
+          startDate,
+          endDate,
+          sales,
+          transactions,
+          avgValue: transactions ? parseFloat((sales / transactions).toFixed(2)) : 0
+        };
+      })
+    }))
+  };
+}
+
+/**
+ * Period comparisons
+ *
+ * The current period comes from startDate/endDate or timeRange, like
+ * /api/sales. The base period is either given as compareStartDate and
+ * compareEndDate, or derived with `vs`: previousYear is 52 weeks earlier, so
+ * weekdays line up, and previousPeriod the same number of days just before.
+ * Comp-store figures only count stores open by the start of the earlier of
+ * the two periods, so new stores don't pass for growth.
+ */
+
+function resolveBasePeriod(params, current) {
+  const { vs, compareStartDate, compareEndDate } = params;
+
+  if (compareStartDate || compareEndDate) {
+    if (vs) {
+      throw createHttpError(400, 'Use either vs or compareStartDate/compareEndDate, not both');
+    }
+    if (!compareStartDate || !compareEndDate) {
+      throw createHttpError(400, 'compareStartDate and compareEndDate must be given together');
+    }
+    const startDate = parseDateParam(compareStartDate, 'compareStartDate');
+    const endDate = parseDateParam(compareEndDate, 'compareEndDate');
+    if (startDate > endDate) {
+      throw createHttpError(400, `compareStartDate (${startDate}) must not be after compareEndDate (${endDate})`);
+    }
+    return { vs: 'custom', startDate, endDate };
+  }
+
+  const base = vs || comparisonBases[0];
+  if (!comparisonBases.includes(base)) {
+    throw createHttpError(400, `Unknown vs '${vs}'. Expected one of: ${comparisonBases.join(', ')}`);
+  }
+  const offset = base === 'previousYear' ? comparisonOffsetDays : daysBetween(current.startDate, current.endDate) + 1;
+  return { vs: base, startDate: addDays(current.startDate, -offset), endDate: addDays(current.endDate, -offset) };
+}
+
+// Partial periods would read as a drop, so both must lie within the facts
+function checkPeriodCovered({ startDate, endDate }, name) {
+  const { dates } = mockDataStore.salesFacts;
+  if (startDate < dates[0] || endDate > dates[dates.length - 1]) {
+    throw createHttpError(
+      400,
+      `The ${name} period (${startDate} to ${endDate}) falls outside the generated dates (${dates[0]} to ${dates[dates.length - 1]})`
+    );
+  }
+}
+
+// A figure in both periods, with the change between them
+function compareFigure(current, comparison, decimals = 0) {
+  return {
+    current,
+    comparison,
+    change: parseFloat((current - comparison).toFixed(decimals)),
+    percentChange: percentChangeBetween(current, comparison)
+  };
+}
+
+function compareTotals(current, comparison) {
+  const average = totals => (totals.transactions ? parseFloat((totals.sales / totals.transactions).toFixed(2)) : 0);
+
+  return {
+    sales: compareFigure(current.sales, comparison.sales),
+    transactions: compareFigure(current.transactions, comparison.transactions),
+    units: compareFigure(current.units, comparison.units),
+    averageTransactionValue: compareFigure(average(current), average(comparison), 2)
+  };
+}
+
+function handleGetSalesComparison(params = {}) {
+  const { regions, categories } = mockDataStore.tenant;
+  const stores = filterStores(params);
+  const { timeRange, startDate, endDate } = resolvePeriod(params);
+  const { vs, ...base } = resolveBasePeriod(params, { startDate, endDate });
+  checkPeriodCovered({ startDate, endDate }, 'current');
+  checkPeriodCovered(base, 'comparison');
+
+  const window = getDayWindow(startDate, endDate);
+  const baseWindow = getDayWindow(base.startDate, base.endDate);
+  const openedBy = startDate < base.startDate ? startDate : base.startDate;
+  const rows = stores.map(store => ({
+    store,
+    compStore: store.openDate <= openedBy,
+    current: sumStoreFacts(store.id, window),
+    comparison: sumStoreFacts(store.id, baseWindow)
+  }));
+  const compRows = rows.filter(({ compStore }) => compStore);
+
+  // Period totals over some of the rows, optionally for one category
+  const sumRows = (selected, period, category) => selected.reduce((totals, row) => {
+    if (category) {
+      totals.sales += sumCategory(row[period], category);
+      return totals;
+    }
+    totals.sales += row[period].sales;
+    totals.units += row[period].units;
+    totals.transactions += row[period].transactions;
+    return totals;
+  }, createTotals());
+
+  const breakdown = (selected, category) => {
+    const sales = sumRows(selected, 'current', category).sales;
+    const comparisonSales = sumRows(selected, 'comparison', category).sales;
+    const compSelected = selected.filter(({ compStore }) => compStore);
+    return {
+      sales,
+      comparisonSales,
+      change: sales - comparisonSales,
+      percentChange: percentChangeBetween(sales, comparisonSales),
+      compPercentChange: percentChangeBetween(
+        sumRows(compSelected, 'current', category).sales,
+        sumRows(compSelected, 'comparison', category).sales
+      )
+    };
+  };
+
+  const byRegion = regions
+    .map(region => {
+      const regionRows = rows.filter(({ store }) => store.region === region);
+      return {
+        region,
+        storeCount: regionRows.length,
+        compStoreCount: regionRows.filter(({ compStore }) => compStore).length,
+        ...breakdown(regionRows)
+      };
+    })
+    .filter(region => region.storeCount > 0);
+
+  const byCategory = categories.map(category => ({ category, ...breakdown(rows, category) }));
+
+  const byStorePage = queryStoreRows(rows, ({ store, compStore, current, comparison }) => ({
+    storeId: store.id,
+    storeName: store.name,
+    region: store.region,
+    openDate: store.openDate,
+    compStore,
+    sales: current.sales,
+    comparisonSales: comparison.sales,
+    change: current.sales - comparison.sales,
+    percentChange: percentChangeBetween(current.sales, comparison.sales)
+  }), params, salesComparisonByStoreColumns);
+
+  return {
+    vs,
+    period: { timeRange, startDate, endDate, days: window.to - window.from },
+    comparisonPeriod: { ...base, days: baseWindow.to - baseWindow.from },
+    summary: {
+      storeCount: rows.length,
+      ...compareTotals(sumRows(rows, 'current'), sumRows(rows, 'comparison'))
+    },
+    compStores: {
+      openedBy,
+      storeCount: compRows.length,
+      excludedStoreIds: rows.filter(({ compStore }) => !compStore).map(({ store }) => store.id),
+      ...compareTotals(sumRows(compRows, 'current'), sumRows(compRows, 'comparison'))
+    },
+    byRegion,
+    byCategory,
+    byStore: byStorePage.rows,
+    byStorePagination: byStorePage.pagination
+  };
+}
+
+/**
+ * Sales forecasts
+ *
+ * Each store's daily sales up to `today` get a model of their own (see
+ * forecast.js), so stores that opened partway through the history don't read
+ * as growth, and forecasts are the sum over the selected stores. Stores with
+ * under a year of sales take their month effects from the stores that traded
+ * throughout, and stores with under four weeks are left out. The backtest
+ * refits with as many days held out as the forecast covers, and scores its
+ * forecast for them against the generated sales.
+ */
+
+// Days grouped into buckets, the first and last clipped like getBuckets
+function groupDays(dates, granularity) {
+  const buckets = [];
+
+  dates.forEach(date => {
+    const bucket = getBucketStart(date, granularity);
+    const last = buckets[buckets.length - 1];
+    if (last && last.bucket === bucket) {
+      last.endDate = date;
+      last.dates.push(date);
+    } else {
+      buckets.push({ bucket, startDate: date, endDate: date, dates: [date] });
+    }
+  });
+
+  return buckets;
+}
+
+function parseForecastParams(params) {
+  const granularity = parseGranularity(params.granularity, 'week');
+  const horizons = forecastHorizons[granularity];
+  const horizon = params.horizon === undefined ? horizons.default : parsePositiveInt(params.horizon, 'horizon', horizons.max);
+
+  const confidence = params.confidence === undefined ? defaultConfidence : Number(params.confidence);
+  if (!confidenceLevels[confidence]) {
+    throw createHttpError(400, `Unknown confidence '${params.confidence}'. Expected one of: ${Object.keys(confidenceLevels).join(', ')}`);
+  }
+
+  return { granularity, horizon, confidence };
+}
+
+// A store's sales for each of the first `end` days
+function getDailySales(storeId, end) {
+  const { departments } = mockDataStore.tenant;
+  const { sales } = mockDataStore.salesFacts.byStore[storeId];
+  const daily = new Array(end).fill(0);
+
+  for (let day = 0; day < end; day++) {
+    for (let index = 0; index < departments.length; index++) {
+      daily[day] += sales[day * departments.length + index];
+    }
+  }
+
+  return daily;
+}
+
+// Month effects of the stores open since the first day, fitted as one series
+function getChainSeasonality(end) {
+  const { dates } = mockDataStore.salesFacts;
+  const established = mockDataStore.stores.filter(store => store.openDate <= dates[0]);
+  if (!established.length) return null;
+
+  const daily = new Array(end).fill(0);
+  established.forEach(store => {
+    getDailySales(store.id, end).forEach((sales, day) => {
+      daily[day] += sales;
+    });
+  });
+  const model = fitSalesModel(dates.slice(0, end), daily);
+  return model && getMonthEffects(model);
+}
+
+function buildForecast(stores, params) {
+  const { granularity, horizon, confidence } = parseForecastParams(params);
+  const { dates } = mockDataStore.salesFacts;
+  const { to: end } = getDayWindow(dates[0], mockDataStore.today);
+
+  // The next `horizon` buckets after today
+  const futureDates = getDateRange(addDays(mockDataStore.today, 1), addDays(mockDataStore.today, horizon * forecastHorizons[granularity].maxDays));
+  const buckets = groupDays(futureDates, granularity).slice(0, horizon);
+  const heldOutDays = buckets.reduce((sum, bucket) => sum + bucket.dates.length, 0);
+  const cut = end - heldOutDays;
+
+  const seasonality = getChainSeasonality(end);
+  const backtestSeasonality = cut > 0 ? getChainSeasonality(cut) : null;
+  const history = stores.map(store => {
+    const daily = getDailySales(store.id, end);
+    return {
+      store,
+      daily,
+      model: fitSalesModel(dates.slice(0, end), daily, seasonality),
+      backtestModel: cut > 0 ? fitSalesModel(dates.slice(0, cut), daily.slice(0, cut), backtestSeasonality) : null
+    };
+  });
+  const fitted = history.filter(({ model }) => model);
+
+  // Held-out days, scored for the stores that still had enough history
+  let backtest = null;
+  const backtested = history.filter(({ backtestModel }) => backtestModel);
+  if (backtested.length) {
+    const heldOutBuckets = groupDays(dates.slice(cut, end), granularity);
+    const forecast = forecastBuckets(backtested.map(({ backtestModel }) => backtestModel), heldOutBuckets, confidence);
+    let day = cut;
+    const actuals = heldOutBuckets.map(bucket => {
+      const from = day;
+      day += bucket.dates.length;
+      return backtested.reduce((sum, { daily }) => sum + daily.slice(from, day).reduce((total, sales) => total + sales, 0), 0);
+    });
+
+    backtest = {
+      trainingEndDate: dates[cut - 1],
+      startDate: dates[cut],
+      endDate: dates[end - 1],
+      metrics: scoreForecast(forecast, actuals),
+      points: forecast.map(({ sales, ...point }, index) => ({ ...point, actual: actuals[index], forecast: sales }))
+    };
+  }
+
+  return {
+    granularity,
+    horizon,
+    confidence,
+    training: { startDate: dates[0], endDate: dates[end - 1] },
+    fitted,
+    forecast: fitted.length ? forecastBuckets(fitted.map(({ model }) => model), buckets, confidence) : [],
+    backtest
+  };
+}
+
+function handleGetSalesForecast(params = {}) {
+  const stores = filterStores(params);
+  const { fitted, ...forecast } = buildForecast(stores, params);
+  const fittedIds = new Set(fitted.map(({ store }) => store.id));
+
+  return {
+    ...forecast,
+    storeCount: fittedIds.size,
+    excludedStoreIds: stores.map(store => store.id).filter(id => !fittedIds.has(id))
+  };
+}
+
+function handleGetStoreForecast(storeId, params = {}) {
+  const store = mockDataStore.stores.find(s => s.id === storeId);
+  if (!store) return null;
+
+  const { fitted, ...forecast } = buildForecast([store], params);
+  if (!fitted.length) {
+    throw createHttpError(422, `Store ${storeId} has under four weeks of sales to forecast from`);
+  }
+
+  return {
+    storeId,
+    storeName: store.name,
+    ...forecast,
+    model: describeModel(fitted[0].model)
+  };
+}
+
+function handleGetInventory(params = {}) {
+  const { categories, departmentCategories } = mockDataStore.tenant;
+  const stores = filterStores(params);
+  const storeInventory = {};
+  stores.forEach(store => {
+    storeInventory[store.id] = summarizeInventory(store.id);
+  });
+
+  const sumStock = (stock, field) => stock.reduce((sum, item) => sum + item[field], 0);
+  const allStock = stores.flatMap(store => storeInventory[store.id]);
+  const totalValue = sumStock(allStock, 'value');
+  const totalItems = sumStock(allStock, 'itemCount');
+
+  // Inventory by category, rolled up from departments
+  const byCategory = categories.map(category => {
+    const stock = allStock.filter(item => departmentCategories[item.department] === category);
+    const value = sumStock(stock, 'value');
+
+    return {
+      category,
+      value,
+      itemCount: sumStock(stock, 'itemCount'),
+      turnoverRate: calculateTurnover(sumStock(stock, 'annualCostOfSales'), value)
+    };
+  });
+
+  // Inventory by store
+  const byStorePage = queryStoreRows(stores, store => {
+    const stock = storeInventory[store.id];
+    const value = sumStock(stock, 'value');
+
+    return {
+      storeId: store.id,
+      storeName: store.name,
+      value,
+      itemCount: sumStock(stock, 'itemCount'),
+      turnoverRate: calculateTurnover(sumStock(stock, 'annualCostOfSales'), value),
+      outOfStockItems: sumStock(stock, 'outOfStockItems')
+    };
+  }, params, inventoryByStoreColumns);
+
+  return {
+    summary: {
+      totalValue,
+      totalItems,
+      turnoverRate: calculateTurnover(sumStock(allStock, 'annualCostOfSales'), totalValue),
+      outOfStockPercentage: allStock.length
+        ? parseFloat((sumStock(allStock, 'outOfStockItems') / sumStock(allStock, 'skuCount')).toFixed(2))
+        : 0
+    },
+    byCategory,
+    byStore: byStorePage.rows,
+    byStorePagination: byStorePage.pagination
+  };
+}
+
+// Validates the department and category filters used by catalog endpoints
+function filterByDepartment(rows, params) {
+  const { categories, departments } = mockDataStore.tenant;
+  const { department, category } = params;
+  let result = rows;
+
+  if (department) {
+    if (!departments.includes(department)) {
+      throw createHttpError(400, `Unknown department '${department}'. Expected one of: ${departments.join(', ')}`);
+    }
+    result = result.filter(row => row.department === department);
+  }
+
+  if (category) {
+    if (!categories.includes(category)) {
+      throw createHttpError(400, `Unknown category '${category}'. Expected one of: ${categories.join(', ')}`);
+    }
+    result = result.filter(row => row.category === category);
+  }
+
+  return result;
+}
+
+function handleGetProducts(params = {}) {
+  let productList = filterByDepartment(mockDataStore.catalog.products, params);
+
+  if (params.q) {
+    const text = String(params.q).toLowerCase();
+    productList = productList.filter(product => product.name.toLowerCase().includes(text) ||
+      product.variants.some(variant => variant.sku.toLowerCase().includes(text)));
+  }
+
+  const { rows, pagination } = queryRows(productList, params, productColumns);
+
+  return {
+    products: rows,
+    pagination
+  };
+}
+
+function handleGetStoreInventory(storeId, params = {}) {
+  const store = mockDataStore.stores.find(s => s.id === storeId);
+  if (!store) return null;
+
+  const { status } = params;
+  if (status && !stockStatuses.includes(status)) {
+    throw createHttpError(400, `Unknown status '${status}'. Expected one of: ${stockStatuses.join(', ')}`);
+  }
+
+  const inventory = mockDataStore.inventoryData.byStore[storeId];
+  const lastMonth = allocateStoreSales(storeId, getTrailingWindow(storeId, 30));
+  const positions = mockDataStore.catalog.skus.map((sku, index) => {
+    const { department, category, color, size, price, cost } = sku;
+    const onHand = inventory.onHand[index];
+    const parLevel = inventory.parLevels[index];
+
+    return {
+      sku: sku.sku,
+      productId: sku.productId,
+      name: sku.name,
+      department,
+      category,
+      color,
+      size,
+      price,
+      cost,
+      onHand,
+      parLevel,
+      value: parseFloat((onHand * cost).toFixed(2)),
+      status: getStockStatus(onHand, parLevel),
+      unitsSoldLast30Days: lastMonth.units[index]
+    };
+  });
+
+  const stock = summarizeInventory(storeId);
+  const value = stock.reduce((sum, item) => sum + item.value, 0);
+  const items = filterByDepartment(positions, params).filter(position => !status || position.status === status);
+  const { rows, pagination } = queryRows(items, params, storeSkuColumns);
+
+  return {
+    storeId,
+    asOf: inventory.asOf,
+    lastReplenishment: inventory.lastReplenishment,
+    nextReplenishment: inventory.nextReplenishment,
+    summary: {
+      skuCount: positions.length,
+      itemCount: stock.reduce((sum, item) => sum + item.itemCount, 0),
+      value,
+      turnoverRate: calculateTurnover(stock.reduce((sum, item) => sum + item.annualCostOfSales, 0), value),
+      outOfStockItems: positions.filter(position => position.status === 'out_of_stock').length,
+      lowStockItems: positions.filter(position => position.status === 'low_stock').length
+    },
+    items: rows,
+    itemsPagination: pagination
+  };
+}
+
+function handleGetStoreStaff(storeId, params = {}) {
+  const store = mockDataStore.stores.find(s => s.id === storeId);
+  if (!store) return null;
+
+  const period = resolvePeriod(params);
+  const staff = summarizeStaff(storeId, getDayWindow(period.startDate, period.endDate)).map(toStaffPerformance);
+  const { rows, pagination } = queryRows(staff, params, staffColumns);
+
+  return {
+    storeId,
+    period,
+    staff: rows,
+    staffPagination: pagination
+  };
+}
+
+function handleGetEmployee(employeeId, params = {}) {
+  const entry = mockDataStore.staff.byId[employeeId];
+  if (!entry) return null;
+
+  const { storeId, index } = entry;
+  const store = mockDataStore.stores.find(s => s.id === storeId);
+  const employee = mockDataStore.staff.byStore[storeId][index];
+  const granularity = parseGranularity(params.granularity, 'month');
+  const period = resolvePeriod(params);
+  const window = getDayWindow(period.startDate, period.endDate);
+
+  // Per-bucket figures; the totals are their sums so the two always agree
+  const breakdown = getBuckets(window, granularity).map(({ bucket, startDate, endDate, from, to }) => {
+    const { salesTotal, transactionCount, hoursWorked } = summarizeStaff(storeId, { from, to })[index];
+    return { bucket, startDate, endDate, salesTotal, transactionCount, hoursWorked };
+  });
+  const salesTotal = breakdown.reduce((sum, row) => sum + row.salesTotal, 0);
+  const transactionCount = breakdown.reduce((sum, row) => sum + row.transactionCount, 0);
+  const hoursWorked = parseFloat(breakdown.reduce((sum, row) => sum + row.hoursWorked, 0).toFixed(1));
+
+  return {
+    employee: {
+      ...toEmployee(employee),
+      storeName: store.name
+    },
+    period,
+    granularity,
+    totals: {
+      salesTotal,
+      transactionCount,
+      avgPerTransaction: transactionCount ? parseFloat((salesTotal / transactionCount).toFixed(2)) : 0,
+      hoursWorked,
+      salesPerHour: hoursWorked ? parseFloat((salesTotal / hoursWorked).toFixed(2)) : 0
+    },
+    breakdown
+  };
+}
+
+function handleGetStoreDetails(storeId, params = {}) {
+  const { departments } = mockDataStore.tenant;
+  const store = mockDataStore.stores.find(s => s.id === storeId);
+  if (!store) return null;
+
+  const period = resolvePeriod(params);
+  const window = getDayWindow(period.startDate, period.endDate);
+  const comparisonWindow = getComparisonWindow(period);
+  const current = sumStoreFacts(storeId, window);
+  const comparison = comparisonWindow ? sumStoreFacts(storeId, comparisonWindow) : null;
+
+  // Sales by department over the requested period
+  const salesByDepartment = departments.map((department, index) => {
+    const sales = current.byDepartment[index].sales;
+
+    return {
+      department,
+      sales,
+      percentOfStore: current.sales ? parseFloat((sales / current.sales).toFixed(2)) : 0,
+      percentChange: percentChangeBetween(sales, comparison && comparison.byDepartment[index].sales)
+    };
+  });
+
+  // Staff performance over the period, best sellers first
+  const staffPerformance = summarizeStaff(storeId, window)
+    .map(toStaffPerformance)
+    .sort((a, b) => b.salesTotal - a.salesTotal);
+
+  // Inventory details, with the period's best sellers by units
+  const stock = summarizeInventory(storeId);
+  const totalValue = stock.reduce((sum, item) => sum + item.value, 0);
+  const annualCostOfSales = stock.reduce((sum, item) => sum + item.annualCostOfSales, 0);
+  const sold = allocateStoreSales(storeId, window);
+  const topSellingItems = mockDataStore.catalog.skus
+    .map((sku, index) => ({
+      id: sku.sku,
+      productId: sku.productId,
+      name: sku.name,
+      category: sku.category,
+      unitsSold: sold.units[index],
+      revenue: sold.revenue[index]
+    }))
+    .filter(item => item.unitsSold > 0)
+    .sort((a, b) => b.unitsSold - a.unitsSold || b.revenue - a.revenue)
+    .slice(0, 10);
+
+  // Historical performance by quarter
+  const historicalPerformance = getQuarterWindows().map(({ year, quarter, from, to }) => {
+    const { sales, transactions } = sumStoreFacts(storeId, { from, to });
+
+    return {
+      year,
+      quarter,
+      sales,
+      transactions,
+      avgValue: transactions ? parseFloat((sales / transactions).toFixed(2)) : 0
+    };
+  });
+
+  return {
+    period,
+    storeInfo: {
+      ...store,
+      staffCount: staffPerformance.length
+    },
+    salesByDepartment,
+    staffPerformance,
+    inventoryDetails: {
+      totalValue,
+      turnoverRate: calculateTurnover(annualCostOfSales, totalValue),
+      topSellingItems
+    },
+    historicalPerformance
+  };
+}
+
+/**
+ * Store benchmarks
+ *
+ * A store against its peers, the other stores of its region and type that had
+ * opened by the start of the period. Every metric is better when higher.
+ * Percentiles are the share of peers the store is ahead of, counting ties as
+ * half, and the top-quartile gap is how far the store falls short of the
+ * peers' 75th percentile (0 once it is there).
+ */
+
+// Linear interpolation between the closest ranks of sorted values
+function getQuantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function getBenchmarkMetrics(store, window) {
+  const { sales, transactions } = sumStoreFacts(store.id, window);
+  const footTraffic = sumTraffic(store.id, window);
+  const stock = summarizeInventory(store.id);
+  const value = stock.reduce((sum, item) => sum + item.value, 0);
+
+  return {
+    sales,
+    salesPerSqFt: sales / store.size,
+    conversionRate: footTraffic ? transactions / footTraffic : 0,
+    averageTransactionValue: transactions ? sales / transactions : 0,
+    turnoverRate: calculateTurnover(stock.reduce((sum, item) => sum + item.annualCostOfSales, 0), value)
+  };
+}
+
+function handleGetStoreBenchmark(storeId, params = {}) {
+  const store = mockDataStore.stores.find(s => s.id === storeId);
+  if (!store) return null;
+
+  const period = resolvePeriod(params);
+  const window = getDayWindow(period.startDate, period.endDate);
+  const peers = mockDataStore.stores.filter(peer => (
+    peer.id !== store.id && peer.region === store.region && peer.type === store.type && peer.openDate <= period.startDate
+  ));
+  const own = getBenchmarkMetrics(store, window);
+  const peerMetrics = peers.map(peer => getBenchmarkMetrics(peer, window));
+
+  const metrics = {};
+  Object.entries(benchmarkMetrics).forEach(([metric, decimals]) => {
+    const value = own[metric];
+    const round = number => parseFloat(number.toFixed(decimals));
+    const sorted = peerMetrics.map(peer => peer[metric]).sort((a, b) => a - b);
+    const ahead = sorted.filter(peer => peer < value).length;
+    const tied = sorted.filter(peer => peer === value).length;
+    const topQuartile = sorted.length ? getQuantile(sorted, 0.75) : null;
+
+    metrics[metric] = {
+      value: round(value),
+      rank: sorted.length - ahead - tied + 1,
+      percentile: sorted.length ? parseFloat(((ahead + tied / 2) / sorted.length * 100).toFixed(1)) : null,
+      peerMedian: sorted.length ? round(getQuantile(sorted, 0.5)) : null,
+      topQuartile: topQuartile === null ? null : round(topQuartile),
+      topQuartileGap: topQuartile === null ? null : round(Math.max(0, topQuartile - value))
+    };
+  });
+
+  return {
+    storeId,
+    storeName: store.name,
+    period,
+    peerGroup: {
+      region: store.region,
+      type: store.type,
+      peerCount: peers.length
+    },
+    metrics
+  };
+}
+
+/**
+ * Alerts
+ *
+ * Scans each store's data up to `today` for what an alerts panel would flag:
+ * - salesDrop: runs of days in the last `lookbackDays` on which a store sold
+ *   at least `salesDrop` less than its baseline, the mean of the same weekday
+ *   over the previous `baselineWeeks` weeks
+ * - outOfStock: stores with more than `outOfStockRate` of their SKUs out
+ * - departmentDecline: departments whose last `trendDays` days sold at least
+ *   `departmentDecline` less than the same days 52 weeks earlier
+ * - staffOutlier: employees whose sales per hour over the last `trendDays`
+ *   days are under (1 - `staffDeviation`) times the median for their position
+ *   in the store, or over that median divided by it
+ *
+ * Alerts are worked out on every request, so they follow live sales and store
+ * writes. Their ids say what they are about, so acknowledging or dismissing
+ * one sticks for as long as it is detected. States are kept with the data set
+ * and go when it is regenerated or reset.
+ */
+
+// Thresholds in the same compact form as chaos settings, e.g.
+// salesDrop=0.5,lookbackDays=14, over the given base (the defaults otherwise)
+function parseAlertThresholds(spec, base = defaultAlertThresholds) {
+  const thresholds = { ...base };
+  if (spec === undefined || spec === null || String(spec).trim() === '') return thresholds;
+
+  String(spec).split(',').filter(Boolean).forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      throw createHttpError(400, `Invalid alert threshold '${pair}'. Expected name=value`);
+    }
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim();
+    const setting = alertThresholdSettings[name];
+    if (!setting) {
+      throw createHttpError(400, `Unknown alert threshold '${name}'. Expected one of: ${Object.keys(alertThresholdSettings).join(', ')}`);
+    }
+
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number < setting.min || number > setting.max || (setting.integer && !Number.isInteger(number))) {
+      const kind = setting.integer ? 'a whole number' : 'a number';
+      throw createHttpError(400, `Invalid alert threshold ${name} '${value}'. Expected ${kind} from ${setting.min} to ${setting.max}`);
+    }
+    thresholds[name] = number;
+  });
+
+  return thresholds;
+}
+
+// Comma-separated values of an enum, such as the alert types
+function parseEnumFilter(value, allowed, name, defaults = allowed) {
+  if (value === undefined || value === '') return defaults;
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const unknown = values.filter(item => !allowed.includes(item));
+  if (unknown.length > 0) {
+    throw createHttpError(400, `Unknown ${name} '${unknown.join(', ')}'. Expected one of: ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+function formatPercent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
+
+function createAlert(store, { type, subject, severity, metric, startDate, endDate, expected, actual, message, ...fields }) {
+  return {
+    id: [type, store.id, subject].filter(Boolean).join(':'),
+    type,
+    severity,
+    storeId: store.id,
+    storeName: store.name,
+    region: store.region,
+    metric,
+    department: null,
+    employeeId: null,
+    employeeName: null,
+    ...fields,
+    startDate,
+    endDate,
+    expected,
+    actual,
+    deviationPercent: percentChangeBetween(actual, expected),
+    message
+  };
+}
+
+function detectSalesDrops(store, thresholds, today) {
+  const { salesDrop, baselineWeeks, lookbackDays } = thresholds;
+  const { dates } = mockDataStore.salesFacts;
+  const baselineDays = baselineWeeks * 7;
+  const from = Math.max(baselineDays, today + 1 - lookbackDays);
+  if (from > today) return [];
+
+  const daily = sumDailyFacts([store], { from: from - baselineDays, to: today + 1 }).map(totals => totals.sales);
+  const alerts = [];
+  let run = null;
+
+  for (let day = from; day <= today; day++) {
+    const index = day - from + baselineDays;
+    let expected = 0;
+    for (let week = 1; week <= baselineWeeks; week++) expected += daily[index - week * 7];
+    expected /= baselineWeeks;
+
+    const dropped = expected > 0 && daily[index] < expected * (1 - salesDrop);
+    if (dropped) {
+      run = run || { from: day, expected: 0, actual: 0 };
+      run.to = day;
+      run.expected += expected;
+      run.actual += daily[index];
+    }
+
+    // A run is reported once it ends, or when it reaches today
+    if (run && (!dropped || day === today)) {
+      const expectedSales = Math.round(run.expected);
+      const drop = 1 - run.actual / run.expected;
+      alerts.push(createAlert(store, {
+        type: 'salesDrop',
+        subject: dates[run.from],
+        severity: drop >= Math.min(1, salesDrop * 2) ? 'critical' : 'warning',
+        metric: 'sales',
+        startDate: dates[run.from],
+        endDate: dates[run.to],
+        expected: expectedSales,
+        actual: run.actual,
+        message: `Sales ${formatPercent(drop)} below the weekday baseline for ${run.to - run.from + 1} day(s)`
+      }));
+      run = null;
+    }
+  }
+
+  return alerts;
+}
+
+function detectOutOfStock(store, thresholds, today) {
+  const { outOfStockRate } = thresholds;
+  const { onHand } = mockDataStore.inventoryData.byStore[store.id];
+  const outOfStock = onHand.filter(units => units === 0).length;
+  const rate = onHand.length ? outOfStock / onHand.length : 0;
+  if (rate <= outOfStockRate) return [];
+
+  const date = mockDataStore.salesFacts.dates[today];
+  return [createAlert(store, {
+    type: 'outOfStock',
+    severity: rate >= outOfStockRate * 2 ? 'critical' : 'warning',
+    metric: 'outOfStockRate',
+    startDate: date,
+    endDate: date,
+    expected: outOfStockRate,
+    actual: parseFloat(rate.toFixed(3)),
+    message: `${outOfStock} of ${onHand.length} SKUs (${formatPercent(rate)}) out of stock`
+  })];
+}
+
+function detectDepartmentDeclines(store, thresholds, today) {
+  const { departments } = mockDataStore.tenant;
+  const { dates } = mockDataStore.salesFacts;
+  const { departmentDecline, trendDays } = thresholds;
+  const window = { from: today + 1 - trendDays, to: today + 1 };
+  const comparisonWindow = { from: window.from - comparisonOffsetDays, to: window.to - comparisonOffsetDays };
+
+  // Stores that opened since the comparison days began would read as growing
+  if (comparisonWindow.from < 0 || store.openDate > dates[comparisonWindow.from]) return [];
+
+  const current = sumStoreFacts(store.id, window);
+  const comparison = sumStoreFacts(store.id, comparisonWindow);
+  const alerts = [];
+  departments.forEach((department, index) => {
+    const actual = current.byDepartment[index].sales;
+    const expected = comparison.byDepartment[index].sales;
+    if (!expected || actual > expected * (1 - departmentDecline)) return;
+
+    const decline = 1 - actual / expected;
+    alerts.push(createAlert(store, {
+      type: 'departmentDecline',
+      subject: department.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+      severity: decline >= departmentDecline * 2 ? 'warning' : 'info',
+      metric: 'sales',
+      department,
+      startDate: dates[window.from],
+      endDate: dates[today],
+      expected,
+      actual,
+      message: `${department} sales down ${formatPercent(decline)} on the same ${trendDays} days last year`
+    }));
+  });
+
+  return alerts;
+}
+
+function detectStaffOutliers(store, thresholds, today) {
+  const { dates } = mockDataStore.salesFacts;
+  const { staffDeviation, trendDays } = thresholds;
+  const window = { from: Math.max(0, today + 1 - trendDays), to: today + 1 };
+  const byPosition = {};
+  summarizeStaff(store.id, window)
+    .map(toStaffPerformance)
+    .filter(employee => employee.salesTotal > 0 && employee.hoursWorked > 0)
+    .forEach(employee => {
+      byPosition[employee.position] = byPosition[employee.position] || [];
+      byPosition[employee.position].push(employee);
+    });
+
+  const alerts = [];
+  Object.entries(byPosition).forEach(([position, staff]) => {
+    if (staff.length < minAlertPeerStaff) return;
+
+    const sorted = staff.map(employee => employee.salesPerHour).sort((a, b) => a - b);
+    const median = getQuantile(sorted, 0.5);
+    staff.forEach(employee => {
+      const ratio = employee.salesPerHour / median;
+      const low = ratio < 1 - staffDeviation;
+      if (!low && ratio <= 1 / (1 - staffDeviation)) return;
+
+      alerts.push(createAlert(store, {
+        type: 'staffOutlier',
+        subject: employee.id,
+        severity: low ? 'warning' : 'info',
+        metric: 'salesPerHour',
+        employeeId: employee.id,
+        employeeName: employee.name,
+        startDate: dates[window.from],
+        endDate: dates[today],
+        expected: parseFloat(median.toFixed(2)),
+        actual: employee.salesPerHour,
+        message: `Sales per hour ${low ? `${formatPercent(1 - ratio)} below` : `${ratio.toFixed(1)} times`} the median for a ${position}`
+      }));
+    });
+  });
+
+  return alerts;
+}
+
+const alertDetectors = {
+  salesDrop: detectSalesDrops,
+  outOfStock: detectOutOfStock,
+  departmentDecline: detectDepartmentDeclines,
+  staffOutlier: detectStaffOutliers
+};
+
+// Every alert for the stores and types, with its state
+function detectAlerts(stores, types, thresholds) {
+  const today = mockDataStore.salesFacts.dates.indexOf(mockDataStore.today);
+  const { byId } = mockDataStore.alerts;
+  const alerts = [];
+
+  stores.forEach(store => {
+    types.forEach(type => {
+      alertDetectors[type](store, thresholds, today).forEach(alert => {
+        const state = byId[alert.id] || { status: 'open', updatedAt: null, updatedBy: null };
+        alerts.push({ ...alert, ...state });
+      });
+    });
+  });
+
+  return alerts;
+}
+
+/**
+ * @param {Object} params - Store filters, `type`, `severity` and `status`
+ *   (comma-separated; open and acknowledged by default), `thresholds` over
+ *   the base ones, and list parameters
+ * @param {Object} baseThresholds - From parseAlertThresholds, as configured
+ *   at startup
+ */
+function handleGetAlerts(params = {}, baseThresholds = defaultAlertThresholds) {
+  const thresholds = parseAlertThresholds(params.thresholds, baseThresholds);
+  const stores = filterStores(params);
+  const types = parseEnumFilter(params.type, alertTypes, 'type');
+  const severities = parseEnumFilter(params.severity, alertSeverities, 'severity');
+  const statuses = parseEnumFilter(params.status, alertStatuses, 'status', ['open', 'acknowledged']);
+
+  // Most severe first, then the most recent
+  const alerts = detectAlerts(stores, types, thresholds)
+    .filter(alert => severities.includes(alert.severity) && statuses.includes(alert.status))
+    .sort((a, b) => (
+      alertSeverities.indexOf(a.severity) - alertSeverities.indexOf(b.severity) ||
+      b.endDate.localeCompare(a.endDate) ||
+      a.id.localeCompare(b.id)
+    ));
+
+  const countBy = (values, key) => Object.fromEntries(values.map(value => [value, alerts.filter(alert => alert[key] === value).length]));
+  const { rows, pagination } = queryRows(alerts, params, alertColumns);
+
+  return {
+    asOf: mockDataStore.today,
+    thresholds,
+    summary: {
+      total: alerts.length,
+      bySeverity: countBy(alertSeverities, 'severity'),
+      byType: countBy(alertTypes, 'type')
+    },
+    alerts: rows,
+    pagination
+  };
+}
+
+/**
+ * Acknowledge or dismiss an alert. Null when no such alert is detected with
+ * the thresholds given; a dismissed alert can't be acknowledged.
+ */
+function handleUpdateAlert(alertId, status, { thresholds, baseThresholds = defaultAlertThresholds, username = null } = {}) {
+  const [type, storeId] = String(alertId).split(':');
+  const store = mockDataStore.stores.find(s => s.id === storeId);
+  if (!alertTypes.includes(type) || !store) return null;
+
+  const alert = detectAlerts([store], [type], parseAlertThresholds(thresholds, baseThresholds)).find(a => a.id === alertId);
+  if (!alert) return null;
+  if (status === 'acknowledged' && alert.status === 'dismissed') {
+    throw createHttpError(409, `Alert ${alertId} was dismissed`);
+  }
+
+  const state = { status, updatedAt: new Date().toISOString(), updatedBy: username };
+  mockDataStore.alerts.byId[alertId] = state;
+  return { ...alert, ...state };
+}
+
+/**
+ * Customers
+ *
+ * Identified customers make `identifiedShare` of each store's transactions,
+ * with the store's sales for the day split between them. Each purchase is a
+ * new customer's first with probability `newCustomerShare`; otherwise it is
+ * made by the customer behind a random purchase at the store over the last
+ * `returnWindowDays` days, so regulars come back most and customers who stay
+ * away long enough drop off. Customers belong to the store they first bought
+ * at, with ids like ST001-C00001.
+ *
+ * A store's customers are drawn from the seed and store id the first time
+ * they are asked for, up to today, and kept with the data set until the
+ * store's sales change, by a store write or the live feed; new stores get
+ * theirs the same way.
+ *
+ * Loyalty tiers and RFM scores read the trailing year to today. Scores run
+ * from 1 to 5 by `rfmScoreCutoffs`, and segments follow the first rule
+ * that matches:
+ *
+ * - Lost: no purchase in the trailing year
+ * - Champions: recency and frequency of 4 or more
+ * - Loyal: recency and frequency of 3 or more
+ * - New: first purchase in the last 60 days
+ * - Potential Loyalists: recency of 4 or more
+ * - At Risk: recency of 2 or less, frequency of 3 or more
+ * - Hibernating: recency of 2 or less
+ * - Needs Attention: everyone else
+ */
+function generateStoreCustomers(storeId) {
+  const { departments } = mockDataStore.tenant;
+  const { dates, byStore } = mockDataStore.salesFacts;
+  const facts = byStore[storeId];
+  const { to: dayCount } = getDayWindow(dates[0], mockDataStore.today);
+  const purchases = { customer: [], day: [], amount: [] };
+  const dayStart = new Uint32Array(dayCount + 1);
+  const acquisitionDay = [];
+  const propensity = [];
+  const lastDay = [];
+  // Customers who bought in the return window, and where each is in the list
+  const recent = [];
+  const recentPosition = [];
+  let expiring = 0;
+
+  const drawReturningCustomer = day => {
+    for (let attempt = 0; attempt < maxReturnDraws && recent.length > 0; attempt++) {
+      const customer = recent[Math.floor(random() * recent.length)];
+      if (lastDay[customer] < day && random() < propensity[customer]) return customer;
+    }
+    return -1;
+  };
+
+  for (let day = 0; day < dayCount; day++) {
+    dayStart[day] = purchases.customer.length;
+    for (; expiring < dayStart[day] && purchases.day[expiring] < day - returnWindowDays; expiring++) {
+      const customer = purchases.customer[expiring];
+      if (lastDay[customer] >= day - returnWindowDays || recentPosition[customer] === -1) continue;
+
+      const last = recent.pop();
+      if (last !== customer) {
+        recent[recentPosition[customer]] = last;
+        recentPosition[last] = recentPosition[customer];
+      }
+      recentPosition[customer] = -1;
+    }
+
+    let sales = 0;
+    let transactions = 0;
+    for (let index = 0; index < departments.length; index++) {
+      sales += facts.sales[day * departments.length + index];
+      transactions += facts.transactions[day * departments.length + index];
+    }
+
+    const count = Math.round(transactions * identifiedShare);
+    if (!count) continue;
+
+    const amounts = allocate(Math.round(sales * count / transactions), Array.from({ length: count }, () => 0.5 + random()));
+    amounts.forEach(amount => {
+      let customer = random() < newCustomerShare ? -1 : drawReturningCustomer(day);
+      if (customer === -1) {
+        customer = acquisitionDay.length;
+        acquisitionDay.push(day);
+        propensity.push(minPropensity + (1 - minPropensity) * random() ** 3);
+        recentPosition.push(recent.length);
+        recent.push(customer);
+      }
+      lastDay[customer] = day;
+      purchases.customer.push(customer);
+      purchases.day.push(day);
+      purchases.amount.push(amount);
+    });
+  }
+  dayStart[dayCount] = purchases.customer.length;
+
+  const count = acquisitionDay.length;
+  const customers = {
+    acquisitionDay: Uint16Array.from(acquisitionDay),
+    firstName: Uint8Array.from(acquisitionDay, () => Math.floor(random() * firstNames.length)),
+    lastName: Uint8Array.from(acquisitionDay, () => Math.floor(random() * lastNames.length)),
+    transactionCount: new Uint32Array(count),
+    totalSpend: new Uint32Array(count),
+    lastDay: new Uint16Array(count),
+    yearCount: new Uint32Array(count),
+    yearSpend: new Uint32Array(count)
+  };
+  const yearStart = dayCount - customerYearDays;
+  purchases.customer.forEach((customer, index) => {
+    const day = purchases.day[index];
+    const amount = purchases.amount[index];
+    customers.transactionCount[customer]++;
+    customers.totalSpend[customer] += amount;
+    customers.lastDay[customer] = day;
+    if (day >= yearStart) {
+      customers.yearCount[customer]++;
+      customers.yearSpend[customer] += amount;
+    }
+  });
+
+  return {
+    dayCount,
+    count,
+    dayStart,
+    purchases: {
+      customer: Uint32Array.from(purchases.customer),
+      day: Uint16Array.from(purchases.day),
+      amount: Uint32Array.from(purchases.amount)
+    },
+    customers
+  };
+}
+
+function getStoreCustomers(storeId) {
+  const { byStore } = mockDataStore.customers;
+  if (!byStore[storeId]) {
+    byStore[storeId] = withRandomSeed(`${mockDataStore.seed}:customers:${storeId}`, () => generateStoreCustomers(storeId));
+  }
+  return byStore[storeId];
+}
+
+function formatCustomerId(storeId, index) {
+  return `${storeId}-C${String(index + 1).padStart(5, '0')}`;
+}
+
+// The home store and index a customer id points at, or null
+function parseCustomerId(customerId) {
+  const match = /^(.+)-C(\d+)$/.exec(String(customerId));
+  return match ? { storeId: match[1], index: Number(match[2]) - 1 } : null;
+}
+
+function getLoyaltyTierIndex(yearSpend) {
+  return loyaltyTiers.findIndex(({ minSpend }) => yearSpend >= minSpend);
+}
+
+function getRfm({ dayCount, customers }, index) {
+  const recencyDays = dayCount - 1 - customers.lastDay[index];
+  const purchases = customers.yearCount[index];
+  const spend = customers.yearSpend[index];
+  const scores = {
+    recency: 1 + rfmScoreCutoffs.recency.filter(days => recencyDays <= days).length,
+    frequency: 1 + rfmScoreCutoffs.frequency.filter(count => purchases >= count).length,
+    monetary: 1 + rfmScoreCutoffs.monetary.filter(amount => spend >= amount).length
+  };
+
+  let segment = 'Needs Attention';
+  if (!purchases) segment = 'Lost';
+  else if (scores.recency >= 4 && scores.frequency >= 4) segment = 'Champions';
+  else if (scores.recency >= 3 && scores.frequency >= 3) segment = 'Loyal';
+  else if (dayCount - 1 - customers.acquisitionDay[index] <= rfmScoreCutoffs.recency[2]) segment = 'New';
+  else if (scores.recency >= 4) segment = 'Potential Loyalists';
+  else if (scores.recency <= 2) segment = scores.frequency >= 3 ? 'At Risk' : 'Hibernating';
+
+  return { recencyDays, purchases, spend, scores, segment };
+}
+
+function toCustomerRow(store, data, index) {
+  const { dates } = mockDataStore.salesFacts;
+  const { customers } = data;
+  const rfm = getRfm(data, index);
+
+  return {
+    id: formatCustomerId(store.id, index),
+    name: `${firstNames[customers.firstName[index]]} ${lastNames[customers.lastName[index]]}`,
+    homeStoreId: store.id,
+    loyaltyTier: loyaltyTiers[getLoyaltyTierIndex(customers.yearSpend[index])].tier,
+    acquisitionDate: dates[customers.acquisitionDay[index]],
+    lastPurchaseDate: dates[customers.lastDay[index]],
+    transactionCount: customers.transactionCount[index],
+    totalSpend: customers.totalSpend[index],
+    recencyDays: rfm.recencyDays,
+    segment: rfm.segment
+  };
+}
+
+/**
+ * @param {Object} params - Store filters, `loyaltyTier` and `segment`
+ *   (comma-separated), and list parameters. Customers come a page at a
+ *   time, `defaultPageSize` unless pageSize is given.
+ */
+function handleGetCustomers(params = {}) {
+  const stores = filterStores(params);
+  const tiers = parseEnumFilter(params.loyaltyTier, loyaltyTiers.map(({ tier }) => tier), 'loyaltyTier');
+  const segments = parseEnumFilter(params.segment, rfmSegments, 'segment');
+
+  const customers = [];
+  stores.forEach(store => {
+    const data = getStoreCustomers(store.id);
+    for (let index = 0; index < data.count; index++) {
+      const row = toCustomerRow(store, data, index);
+      if (tiers.includes(row.loyaltyTier) && segments.includes(row.segment)) customers.push(row);
+    }
+  });
+
+  const { rows, pagination } = queryRows(customers, { ...params, pageSize: params.pageSize === undefined ? defaultPageSize : params.pageSize }, customerColumns);
+  return {
+    asOf: mockDataStore.today,
+    customers: rows,
+    pagination
+  };
+}
+
+// A customer with their RFM scores and purchases, newest first; null when
+// their home store isn't in the data set
+function handleGetCustomer(customerId) {
+  const { dates } = mockDataStore.salesFacts;
+  const parsed = parseCustomerId(customerId);
+  const store = parsed && mockDataStore.stores.find(s => s.id === parsed.storeId);
+  if (!store) return null;
+
+  const data = getStoreCustomers(store.id);
+  const { index } = parsed;
+  if (index < 0 || index >= data.count || formatCustomerId(store.id, index) !== customerId) return null;
+
+  const { recencyDays, purchases, spend, scores } = getRfm(data, index);
+  const transactions = [];
+  const start = data.dayStart[data.customers.acquisitionDay[index]];
+  for (let purchase = data.purchases.customer.length - 1; purchase >= start; purchase--) {
+    if (data.purchases.customer[purchase] === index) {
+      transactions.push({ date: dates[data.purchases.day[purchase]], amount: data.purchases.amount[purchase] });
+    }
+  }
+
+  return {
+    ...toCustomerRow(store, data, index),
+    homeStoreName: store.name,
+    region: store.region,
+    rfm: { purchases, spend, scores },
+    transactions
+  };
+}
+
+function createCustomerTotals() {
+  return {
+    footTraffic: 0,
+    transactions: 0,
+    sales: 0,
+    units: 0,
+    identifiedTransactions: 0,
+    identifiedSales: 0,
+    customers: 0,
+    newCustomers: 0,
+    byTier: loyaltyTiers.map(() => 0)
+  };
+}
+
+// Customers are counted once per store they bought at in the window, which
+// is their home store
+function addStoreCustomerTotals(totals, storeId, window) {
+  const data = getStoreCustomers(storeId);
+  const { sales, units, transactions } = sumStoreFacts(storeId, window);
+  totals.footTraffic += sumTraffic(storeId, window);
+  totals.transactions += transactions;
+  totals.sales += sales;
+  totals.units += units;
+
+  const to = Math.min(window.to, data.dayCount);
+  const from = Math.min(window.from, to);
+  const counted = new Uint8Array(data.count);
+  for (let purchase = data.dayStart[from]; purchase < data.dayStart[to]; purchase++) {
+    const customer = data.purchases.customer[purchase];
+    totals.identifiedTransactions++;
+    totals.identifiedSales += data.purchases.amount[purchase];
+    if (counted[customer]) continue;
+
+    counted[customer] = 1;
+    totals.customers++;
+    if (data.customers.acquisitionDay[customer] >= from) totals.newCustomers++;
+    totals.byTier[getLoyaltyTierIndex(data.customers.yearSpend[customer])]++;
+  }
+  return totals;
+}
+
+function toCustomerMetrics(totals) {
+  const ratio = (value, total, decimals) => (total ? parseFloat((value / total).toFixed(decimals)) : 0);
+  return {
+    footTraffic: totals.footTraffic,
+    transactions: totals.transactions,
+    conversionRate: ratio(totals.transactions, totals.footTraffic, 3),
+    identifiedTransactions: totals.identifiedTransactions,
+    identifiedShare: ratio(totals.identifiedTransactions, totals.transactions, 3),
+    customers: totals.customers,
+    newCustomers: totals.newCustomers,
+    returningCustomers: totals.customers - totals.newCustomers,
+    transactionsPerCustomer: ratio(totals.identifiedTransactions, totals.customers, 2),
+    averageCustomerSpend: ratio(totals.identifiedSales, totals.customers, 2),
+    averageBasketValue: ratio(totals.sales, totals.transactions, 2),
+    averageBasketUnits: ratio(totals.units, totals.transactions, 2)
+  };
+}
+
+/**
+ * Customer counts for a period: traffic and conversion, active customers,
+ * new (first purchase in the period) and returning, loyalty tiers and basket
+ * size, in total and by region or store with `groupBy`. Customer figures
+ * stop at today.
+ */
+function handleGetCustomerSummary(params = {}) {
+  const period = resolvePeriod(params);
+  const stores = filterStores(params);
+  const { groupBy } = params;
+  if (groupBy !== undefined && !customerGroupings.includes(groupBy)) {
+    throw createHttpError(400, `Unknown groupBy '${groupBy}'. Expected one of: ${customerGroupings.join(', ')}`);
+  }
+
+  // Each store is counted once, into its group (one for all stores without
+  // groupBy), and the groups are summed for the totals
+  const window = getDayWindow(period.startDate, period.endDate);
+  const groups = new Map();
+  stores.forEach(store => {
+    const key = groupBy === 'region' ? store.region : groupBy === 'store' ? store.id : null;
+    if (!groups.has(key)) groups.set(key, { key, name: groupBy === 'store' ? store.name : key, totals: createCustomerTotals() });
+    addStoreCustomerTotals(groups.get(key).totals, store.id, window);
+  });
+
+  const totals = createCustomerTotals();
+  groups.forEach(({ totals: groupTotals }) => {
+    Object.keys(totals).forEach(field => {
+      if (field === 'byTier') groupTotals.byTier.forEach((count, index) => { totals.byTier[index] += count; });
+      else totals[field] += groupTotals[field];
+    });
+  });
+
+  return {
+    period,
+    summary: toCustomerMetrics(totals),
+    byTier: loyaltyTiers.map(({ tier }, index) => ({
+      tier,
+      customers: totals.byTier[index],
+      percentOfCustomers: totals.customers ? parseFloat((totals.byTier[index] / totals.customers * 100).toFixed(1)) : 0
+    })),
+    groupBy: groupBy || null,
+    groups: groupBy ? [...groups.values()].map(({ key, name, totals: groupTotals }) => ({ key, name, ...toCustomerMetrics(groupTotals) })) : []
+  };
+}
+
+/**
+ * Retention by acquisition month: for each month's new customers, how many
+ * bought again in each month since, up to today. Months come from startDate
+ * and endDate, the last 12 up to today by default.
+ */
+function handleGetCustomerCohorts(params = {}) {
+  const { dates } = mockDataStore.salesFacts;
+  const { today } = mockDataStore;
+  const stores = filterStores(params);
+  const [year, month] = today.split('-').map(Number);
+  const range = resolveDateRange(params, isoDate(year, month - defaultCohortMonths + 1, 1), today);
+
+  // Month of each day, as an index into the months the facts cover
+  const months = [];
+  const dayMonth = dates.map(date => {
+    if (months[months.length - 1] !== date.slice(0, 7)) months.push(date.slice(0, 7));
+    return months.length - 1;
+  });
+  const firstCohort = months.findIndex(key => key >= range.startDate.slice(0, 7));
+  const lastCohort = months.findLastIndex(key => key <= range.endDate.slice(0, 7) && key <= today.slice(0, 7));
+  const currentMonth = months.indexOf(today.slice(0, 7));
+  const cohortCount = firstCohort === -1 ? 0 : Math.max(0, lastCohort - firstCohort + 1);
+  const active = Array.from({ length: cohortCount }, (_, cohort) => new Array(currentMonth - firstCohort - cohort + 1).fill(0));
+
+  stores.forEach(store => {
+    const data = getStoreCustomers(store.id);
+    const lastCounted = new Int32Array(data.count).fill(-1);
+    for (let purchase = 0; purchase < data.purchases.customer.length; purchase++) {
+      const customer = data.purchases.customer[purchase];
+      const cohort = dayMonth[data.customers.acquisitionDay[customer]] - firstCohort;
+      const purchaseMonth = dayMonth[data.purchases.day[purchase]];
+      if (cohort < 0 || cohort >= cohortCount || lastCounted[customer] === purchaseMonth) continue;
+
+      lastCounted[customer] = purchaseMonth;
+      active[cohort][purchaseMonth - firstCohort - cohort]++;
+    }
+  });
+
+  return {
+    asOf: today,
+    cohorts: active.map((counts, cohort) => ({
+      cohort: months[firstCohort + cohort],
+      customers: counts[0],
+      retention: counts.map((activeCustomers, monthsSince) => ({
+        monthsSince,
+        month: months[firstCohort + cohort + monthsSince],
+        activeCustomers,
+        retentionRate: counts[0] ? parseFloat((activeCustomers / counts[0] * 100).toFixed(1)) : 0
+      }))
+    }))
+  };
+}
+
+// Customers in each RFM segment as of today, with their average recency,
+// purchases and spend over the trailing year
+function handleGetCustomerSegments(params = {}) {
+  const stores = filterStores(params);
+  const segments = rfmSegments.map(segment => ({ segment, customers: 0, recencyDays: 0, purchases: 0, spend: 0 }));
+  let total = 0;
+
+  stores.forEach(store => {
+    const data = getStoreCustomers(store.id);
+    for (let index = 0; index < data.count; index++) {
+      const { segment, recencyDays, purchases, spend } = getRfm(data, index);
+      const totals = segments[rfmSegments.indexOf(segment)];
+      totals.customers++;
+      totals.recencyDays += recencyDays;
+      totals.purchases += purchases;
+      totals.spend += spend;
+      total++;
+    }
+  });
+
+  const average = (value, count, decimals) => (count ? parseFloat((value / count).toFixed(decimals)) : 0);
+  return {
+    asOf: mockDataStore.today,
+    windowDays: customerYearDays,
+    customers: total,
+    segments: segments.map(({ segment, customers, recencyDays, purchases, spend }) => ({
+      segment,
+      customers,
+      percentOfCustomers: average(customers * 100, total, 1),
+      averageRecencyDays: average(recencyDays, customers, 1),
+      averagePurchases: average(purchases, customers, 2),
+      averageSpend: average(spend, customers, 2),
+      totalSpend: spend
+    }))
+  };
+}
+
+/**
+ * Store writes
+ *
+ * Every change is recorded in the data set's mutation log with what it
+ * replaced, so changes can be listed and undone newest first. New stores get
+ * facts, stock and a roster drawn from the seed and store id, so the same
+ * writes always produce the same data. Edits keep the generated history;
+ * only a manager change reaches another section, renaming the store manager
+ * on the roster.
+ */
+function validateText(value, field, errors) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push({ field, message: 'Expected a non-empty string' });
+  } else if (value.length > maxTextLength) {
+    errors.push({ field, message: `Expected at most ${maxTextLength} characters` });
+  }
+}
+
+function validateStoreBody(body, existing, partial) {
+  const { regions, cityByRegion } = mockDataStore.tenant;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createValidationError([{ field: null, message: 'Expected a JSON object' }]);
+  }
+
+  const errors = [];
+  const store = { ...existing, ...body };
+
+  Object.keys(body).forEach(field => {
+    if (field === 'id') {
+      if (existing && body.id !== existing.id) errors.push({ field, message: 'Does not match the store id in the URL' });
+    } else if (!editableStoreFields.includes(field)) {
+      errors.push({ field, message: 'Unknown field' });
+    }
+  });
+  if (!partial) {
+    requiredStoreFields
+      .filter(field => body[field] === undefined)
+      .forEach(field => errors.push({ field, message: 'Required' }));
+  }
+
+  ['name', 'address', 'manager']
+    .filter(field => body[field] !== undefined)
+    .forEach(field => validateText(body[field], field, errors));
+
+  if (body.region !== undefined && !regions.includes(body.region)) {
+    errors.push({ field: 'region', message: `Expected one of: ${regions.join(', ')}` });
+  }
+  // A new region needs a city in that region
+  if ((body.city !== undefined || body.region !== undefined) && regions.includes(store.region) &&
+      !cityByRegion[store.region].includes(store.city)) {
+    errors.push({ field: 'city', message: `Expected a ${store.region} city: ${cityByRegion[store.region].join(', ')}` });
+  }
+  if (body.type !== undefined && !storeTypes.includes(body.type)) {
+    errors.push({ field: 'type', message: `Expected one of: ${storeTypes.join(', ')}` });
+  }
+
+  if (body.openDate !== undefined) {
+    if (existing && body.openDate !== existing.openDate) {
+      errors.push({ field: 'openDate', message: 'Cannot be changed once a store exists' });
+    } else if (!isIsoDate(body.openDate)) {
+      errors.push({ field: 'openDate', message: 'Expected a date in YYYY-MM-DD format' });
+    }
+  }
+
+  if (body.size !== undefined &&
+      (!Number.isInteger(body.size) || body.size < storeSizeRange.min || body.size > storeSizeRange.max)) {
+    errors.push({ field: 'size', message: `Expected a whole number of square feet from ${storeSizeRange.min} to ${storeSizeRange.max}` });
+  }
+
+  if (body.coordinates !== undefined) {
+    const { lat, lng } = body.coordinates || {};
+    if (typeof lat !== 'number' || typeof lng !== 'number' || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      errors.push({ field: 'coordinates', message: 'Expected { lat, lng } in degrees' });
+    }
+  }
+
+  if (errors.length) throw createValidationError(errors);
+  return store;
+}
+
+// Columns in the same order as generated stores. Without coordinates the pin
+// stays put, or lands near the city center for a new store or a new city.
+function toStoreRecord(storeId, store, body, existing) {
+  let coordinates;
+  if (body.coordinates) {
+    coordinates = { lat: body.coordinates.lat, lng: body.coordinates.lng };
+  } else if (existing && existing.city === store.city) {
+    coordinates = existing.coordinates;
+  } else {
+    coordinates = withRandomSeed(`${mockDataStore.seed}:${storeId}:${store.city}`, () => getRandomCoordinates(store.city));
+  }
+
+  return {
+    id: storeId,
+    name: store.name,
+    region: store.region,
+    city: store.city,
+    type: store.type,
+    address: store.address,
+    openDate: store.openDate,
+    size: store.size,
+    coordinates,
+    manager: store.manager
+  };
+}
+
+function getNextStoreId() {
+  const highest = mockDataStore.stores.reduce((max, store) => {
+    const match = /^ST(\d+)$/.exec(store.id);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `ST${String(highest + 1).padStart(3, '0')}`;
+}
+
+// Facts, stock and roster for a store that was not part of the generated set
+function generateStoreData(store) {
+  const { salesFacts, catalog, today, scenario } = mockDataStore;
+
+  return withRandomSeed(`${mockDataStore.seed}:${store.id}`, () => {
+    const facts = generateStoreFacts(store, salesFacts.dates, scenario);
+    const inventory = generateInventoryData(
+      [store],
+      { dates: salesFacts.dates, byStore: { [store.id]: facts } },
+      catalog,
+      today
+    ).byStore[store.id];
+    return { facts, inventory, roster: generateStoreRoster(store, today) };
+  });
+}
+
+function attachStore(store, storeData, position = mockDataStore.stores.length) {
+  const { salesFacts, inventoryData, staff } = mockDataStore;
+  mockDataStore.stores.splice(position, 0, store);
+  salesFacts.byStore[store.id] = storeData.facts;
+  inventoryData.byStore[store.id] = storeData.inventory;
+  staff.byStore[store.id] = storeData.roster;
+  storeData.roster.forEach((employee, index) => {
+    staff.byId[employee.id] = { storeId: store.id, index };
+  });
+  delete mockDataStore.customers.byStore[store.id];
+}
+
+function detachStore(storeId) {
+  const { salesFacts, inventoryData, staff } = mockDataStore;
+  const position = mockDataStore.stores.findIndex(store => store.id === storeId);
+  const storeData = {
+    facts: salesFacts.byStore[storeId],
+    inventory: inventoryData.byStore[storeId],
+    roster: staff.byStore[storeId]
+  };
+
+  mockDataStore.stores.splice(position, 1);
+  delete salesFacts.byStore[storeId];
+  delete inventoryData.byStore[storeId];
+  delete staff.byStore[storeId];
+  storeData.roster.forEach(employee => delete staff.byId[employee.id]);
+  delete mockDataStore.customers.byStore[storeId];
+  return { position, storeData };
+}
+
+// Swap in a new version of a store's attributes, keeping its place in the list
+function replaceStore(store) {
+  const position = mockDataStore.stores.findIndex(({ id }) => id === store.id);
+  mockDataStore.stores[position] = store;
+  const roster = mockDataStore.staff.byStore[store.id];
+  roster[0] = { ...roster[0], name: store.manager };
+}
+
+function recordMutation(type, storeId, before, after, undoData = null) {
+  const { mutations } = mockDataStore;
+  const mutation = {
+    id: `M${String(mutations.nextId++).padStart(4, '0')}`,
+    type,
+    storeId,
+    at: new Date().toISOString(),
+    before,
+    after,
+    undoData
+  };
+  mutations.log.push(mutation);
+  return mutation;
+}
+
+function toMutation({ undoData, ...mutation }) {
+  return mutation;
+}
+
+// Without an id in the URL, the body's id or the next free STnnn id is used
+function handleCreateStore(storeId, body) {
+  const bodyId = body && typeof body === 'object' ? body.id : undefined;
+  const id = storeId !== undefined ? storeId : bodyId !== undefined ? bodyId : getNextStoreId();
+  if (typeof id !== 'string' || !storeIdPattern.test(id)) {
+    throw createValidationError([{ field: 'id', message: 'Expected 2 to 20 capital letters, digits or dashes' }]);
+  }
+  if (mockDataStore.stores.some(store => store.id === id)) {
+    throw createHttpError(409, `Store ${id} already exists`);
+  }
+  if (bodyId !== undefined && bodyId !== id) {
+    throw createValidationError([{ field: 'id', message: 'Does not match the store id in the URL' }]);
+  }
+
+  const store = toStoreRecord(id, validateStoreBody(body, null, false), body, null);
+  attachStore(store, generateStoreData(store));
+
+  return { store, mutation: toMutation(recordMutation('create', id, null, store)) };
+}
+
+function handleUpdateStore(storeId, body, partial) {
+  const existing = mockDataStore.stores.find(store => store.id === storeId);
+  if (!existing) return null;
+
+  const store = toStoreRecord(storeId, validateStoreBody(body, existing, partial), body, existing);
+  replaceStore(store);
+
+  return { store, mutation: toMutation(recordMutation(partial ? 'update' : 'replace', storeId, existing, store)) };
+}
+
+function handleDeleteStore(storeId) {
+  const existing = mockDataStore.stores.find(store => store.id === storeId);
+  if (!existing) return null;
+
+  const removed = detachStore(storeId);
+  return { store: existing, mutation: toMutation(recordMutation('delete', storeId, existing, null, removed)) };
+}
+
+function handleGetStore(storeId) {
+  return mockDataStore.stores.find(store => store.id === storeId) || null;
+}
+
+function handleGetMutations() {
+  return { mutations: mockDataStore.mutations.log.map(toMutation) };
+}
+
+// Undo the given mutation and everything after it, or just the latest
+function handleUndoMutations(mutationId) {
+  const { log } = mockDataStore.mutations;
+  if (log.length === 0) {
+    throw createHttpError(409, 'There are no mutations to undo');
+  }
+
+  const position = mutationId === undefined ? log.length - 1 : log.findIndex(mutation => mutation.id === mutationId);
+  if (position === -1) return null;
+
+  const undone = log.splice(position).reverse();
+  undone.forEach(mutation => {
+    if (mutation.type === 'create') {
+      detachStore(mutation.storeId);
+    } else if (mutation.type === 'delete') {
+      attachStore(mutation.before, mutation.undoData.storeData, mutation.undoData.position);
+    } else {
+      replaceStore(mutation.before);
+    }
+  });
+
+  return { undone: undone.map(toMutation) };
+}
+
+/**
+ * Fixtures
+ *
+ * A fixture is a hand-written JSON file holding only the data a bug
+ * reproduction needs. Its options pick the data set to generate, then each
+ * section is laid over it:
+ * - stores: changes to generated stores, or new stores with any details left
+ *   out drawn from the seed and store id. A new openDate, type or size
+ *   regenerates the store's facts, stock and roster
+ * - sales: a day's sales, units or transactions at a store, for one
+ *   department or split across all of them in the day's existing proportions
+ * - inventory: onHand and parLevel of a SKU at a store
+ * - staff: changes to employees, or new employees on a store's roster
+ * Stock is drawn from the generated sales, so changing sales leaves it as is.
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Check the layout before anything is generated
+function checkFixture(fixture) {
+  if (!isPlainObject(fixture)) {
+    throw createValidationError([{ field: null, message: 'Expected a JSON object' }], 'Invalid fixture');
+  }
+
+  const errors = [];
+  Object.keys(fixture)
+    .filter(key => !fixtureOptions.includes(key) && !fixtureSections[key])
+    .forEach(key => errors.push({ field: key, message: 'Unknown field' }));
+
+  Object.entries(fixtureSections)
+    .filter(([section]) => fixture[section] !== undefined)
+    .forEach(([section, fields]) => {
+      if (!Array.isArray(fixture[section])) {
+        errors.push({ field: section, message: 'Expected an array' });
+        return;
+      }
+      fixture[section].forEach((entry, index) => {
+        const path = `${section}[${index}]`;
+        if (!isPlainObject(entry)) {
+          errors.push({ field: path, message: 'Expected an object' });
+          return;
+        }
+        Object.keys(entry)
+          .filter(key => !fields.includes(key))
+          .forEach(key => errors.push({ field: `${path}.${key}`, message: 'Unknown field' }));
+      });
+    });
+
+  if (errors.length) throw createValidationError(errors, 'Invalid fixture');
+}
+
+// The store an entry refers to, or undefined once the reason is recorded
+function findFixtureStore(entry, path, errors) {
+  if (entry.storeId === undefined) {
+    errors.push({ field: `${path}.storeId`, message: 'Required' });
+    return undefined;
+  }
+
+  const store = mockDataStore.stores.find(({ id }) => id === entry.storeId);
+  if (!store) {
+    errors.push({ field: `${path}.storeId`, message: `Unknown store '${entry.storeId}'. It is neither generated nor listed in stores` });
+  }
+  return store;
+}
+
+function applyFixtureStore(entry, path, errors) {
+  const { regions, cityByRegion } = mockDataStore.tenant;
+  const { id, ...fields } = entry;
+  if (typeof id !== 'string' || !storeIdPattern.test(id)) {
+    errors.push({ field: `${path}.id`, message: 'Expected 2 to 20 capital letters, digits or dashes' });
+    return;
+  }
+
+  // A changed city is checked against the store's region unless that changes too
+  const position = mockDataStore.stores.findIndex(store => store.id === id);
+  const existing = mockDataStore.stores[position];
+  const location = existing ? { region: existing.region, city: existing.city } : {};
+  try {
+    validateStoreBody({ ...location, ...fields }, null, true);
+  } catch (error) {
+    error.fields.forEach(({ field, message }) => errors.push({ field: `${path}.${field}`, message }));
+    return;
+  }
+  if (!existing && fields.region === undefined && fields.city !== undefined && !getCityRegion(fields.city)) {
+    errors.push({ field: `${path}.city`, message: `Expected one of: ${regions.flatMap(region => cityByRegion[region]).join(', ')}` });
+    return;
+  }
+
+  if (!existing) {
+    const openingDates = getOpeningDates(addDays(mockDataStore.dataRange.endDate, -storeOpeningLeadDays));
+    const store = withRandomSeed(`${mockDataStore.seed}:${id}`, () => generateStore(id, openingDates, fields));
+    attachStore(store, generateStoreData(store));
+    return;
+  }
+
+  const store = toStoreRecord(id, { ...existing, ...fields }, fields, existing);
+  if (['openDate', 'type', 'size'].some(field => store[field] !== existing[field])) {
+    detachStore(id);
+    attachStore(store, generateStoreData(store), position);
+  } else {
+    replaceStore(store);
+  }
+}
+
+function applyFixtureSales(entry, path, errors) {
+  const { departments } = mockDataStore.tenant;
+  const errorCount = errors.length;
+  const store = findFixtureStore(entry, path, errors);
+  const { dates } = mockDataStore.salesFacts;
+  const firstDate = dates[0];
+  const lastDate = dates[dates.length - 1];
+
+  if (!isIsoDate(entry.date)) {
+    errors.push({ field: `${path}.date`, message: 'Expected a date in YYYY-MM-DD format' });
+  } else if (entry.date < firstDate || entry.date > lastDate) {
+    errors.push({ field: `${path}.date`, message: `Expected a date from ${firstDate} to ${lastDate}` });
+  }
+  if (entry.department !== undefined && !departments.includes(entry.department)) {
+    errors.push({ field: `${path}.department`, message: `Expected one of: ${departments.join(', ')}` });
+  }
+
+  const metrics = ['sales', 'units', 'transactions'].filter(metric => entry[metric] !== undefined);
+  if (!metrics.length) {
+    errors.push({ field: path, message: 'Expected at least one of: sales, units, transactions' });
+  }
+  metrics
+    .filter(metric => !isCount(entry[metric]))
+    .forEach(metric => errors.push({ field: `${path}.${metric}`, message: 'Expected a whole number of at least 0' }));
+  if (errors.length > errorCount) return;
+
+  const facts = mockDataStore.salesFacts.byStore[store.id];
+  const day = daysBetween(firstDate, entry.date);
+  const cells = (entry.department === undefined ? departments : [entry.department])
+    .map(department => day * departments.length + departments.indexOf(department));
+  metrics.forEach(metric => {
+    const weights = cells.map(cell => facts[metric][cell]);
+    const shares = allocate(entry[metric], weights.some(weight => weight > 0) ? weights : weights.map(() => 1));
+    cells.forEach((cell, index) => {
+      facts[metric][cell] = shares[index];
+    });
+  });
+}
+
+function applyFixtureInventory(entry, path, errors) {
+  const errorCount = errors.length;
+  const store = findFixtureStore(entry, path, errors);
+  const skuIndex = mockDataStore.catalog.skus.findIndex(({ sku }) => sku === entry.sku);
+
+  if (entry.sku === undefined) {
+    errors.push({ field: `${path}.sku`, message: 'Required' });
+  } else if (skuIndex === -1) {
+    errors.push({ field: `${path}.sku`, message: `Unknown SKU '${entry.sku}'` });
+  }
+
+  const levels = ['onHand', 'parLevel'].filter(level => entry[level] !== undefined);
+  if (!levels.length) {
+    errors.push({ field: path, message: 'Expected at least one of: onHand, parLevel' });
+  }
+  levels
+    .filter(level => !isCount(entry[level]))
+    .forEach(level => errors.push({ field: `${path}.${level}`, message: 'Expected a whole number of at least 0' }));
+  if (errors.length > errorCount) return;
+
+  const inventory = mockDataStore.inventoryData.byStore[store.id];
+  if (entry.onHand !== undefined) inventory.onHand[skuIndex] = entry.onHand;
+  if (entry.parLevel !== undefined) inventory.parLevels[skuIndex] = entry.parLevel;
+}
+
+function getNextEmployeeId(storeId) {
+  const { staff } = mockDataStore;
+  for (let number = staff.byStore[storeId].length + 1; ; number++) {
+    const id = `${storeId}-E${String(number).padStart(3, '0')}`;
+    if (!staff.byId[id]) return id;
+  }
+}
+
+// Employees not yet on any roster are added with defaults for what's left out
+function applyFixtureEmployee(entry, path, errors) {
+  const errorCount = errors.length;
+  const store = findFixtureStore(entry, path, errors);
+  const { storeId, id, ...fields } = entry;
+  const location = id === undefined ? undefined : mockDataStore.staff.byId[id];
+
+  if (id !== undefined) validateText(id, `${path}.id`, errors);
+  if (location && store && location.storeId !== store.id) {
+    errors.push({ field: `${path}.storeId`, message: `Employee ${id} works at store ${location.storeId}` });
+  }
+  if (fields.name !== undefined) validateText(fields.name, `${path}.name`, errors);
+  if (fields.position !== undefined && !positions.includes(fields.position)) {
+    errors.push({ field: `${path}.position`, message: `Expected one of: ${positions.join(', ')}` });
+  }
+  if (fields.hireDate !== undefined && !isIsoDate(fields.hireDate)) {
+    errors.push({ field: `${path}.hireDate`, message: 'Expected a date in YYYY-MM-DD format' });
+  }
+  if (fields.weeklyHours !== undefined &&
+      (typeof fields.weeklyHours !== 'number' || !(fields.weeklyHours > 0) || fields.weeklyHours > maxWeeklyHours)) {
+    errors.push({ field: `${path}.weeklyHours`, message: `Expected a number of hours above 0 and at most ${maxWeeklyHours}` });
+  }
+  if (errors.length > errorCount) return;
+
+  const roster = mockDataStore.staff.byStore[storeId];
+  if (location) {
+    const employee = { ...roster[location.index], ...fields };
+    if (fields.position !== undefined) employee.salesWeight = positionProfiles[fields.position].salesWeight;
+    roster[location.index] = employee;
+
+    // The head of the roster is also the store's manager
+    if (location.index === 0 && fields.name !== undefined) {
+      mockDataStore.stores[mockDataStore.stores.indexOf(store)] = { ...store, manager: fields.name };
+    }
+    return;
+  }
+
+  const employeeId = id !== undefined ? id : getNextEmployeeId(storeId);
+  const position = fields.position || 'Sales Associate';
+  const profile = positionProfiles[position];
+  const employee = withRandomSeed(`${mockDataStore.seed}:${employeeId}`, () => ({
+    id: employeeId,
+    storeId,
+    name: fields.name !== undefined ? fields.name : `${getRandomElement(firstNames)} ${getRandomElement(lastNames)}`,
+    position,
+    hireDate: fields.hireDate || store.openDate,
+    weeklyHours: fields.weeklyHours !== undefined ? fields.weeklyHours : profile.weeklyHours,
+    salesWeight: profile.salesWeight
+  }));
+  mockDataStore.staff.byId[employeeId] = { storeId, index: roster.length };
+  roster.push(employee);
+}
+
+// Lay a checked fixture over the current data set, reporting every bad entry
+// as { field, message } with its path in the fixture
+function applyFixture(fixture) {
+  const applyEntries = (section, applyEntry) => {
+    const errors = [];
+    (fixture[section] || []).forEach((entry, index) => applyEntry(entry, `${section}[${index}]`, errors));
+    return errors;
+  };
+
+  // Stores go first, so the other sections can refer to the fixture's new ones
+  const storeErrors = applyEntries('stores', applyFixtureStore);
+  if (storeErrors.length) throw createValidationError(storeErrors, 'Invalid fixture');
+
+  const errors = [
+    ...applyEntries('sales', applyFixtureSales),
+    ...applyEntries('inventory', applyFixtureInventory),
+    ...applyEntries('staff', applyFixtureEmployee)
+  ];
+  if (errors.length) throw createValidationError(errors, 'Invalid fixture');
+}
+
+/**
+ * Generate a data set from a fixture's options and lay the fixture over it
+ *
+ * Options the fixture leaves out come from `defaults`, such as the command
+ * line's, then the usual defaults. The fixture is kept with the generation
+ * options, so resets and the other scenarios include it.
+ */
+function loadFixture(fixture, defaults = {}) {
+  checkFixture(fixture);
+
+  const options = { ...defaults };
+  fixtureOptions
+    .filter(option => option !== 'description' && fixture[option] !== undefined)
+    .forEach(option => {
+      options[option] = fixture[option];
+    });
+
+  return initializeMockData({ ...options, fixture });
+}
+
+/**
+ * Live trading
+ *
+ * The live feed's simulated clock starts at opening time on `today` and only
+ * moves when the feed advances it, trading the stores someone is watching.
+ * Transactions drawn along the way are added to the sales facts, so reports
+ * include them, and the generated sales make way for them in proportion to
+ * the trading time each store has traded live: a store watched all day holds
+ * only what the feed sold, one watched for an hour keeps the rest of its
+ * generated day, and one nobody watched is left alone. Each store trades at
+ * its average hourly rate over the previous four weeks unless a rate is
+ * given, scaled by the scenario's factor for the day.
+ */
+function getRandomNormal() {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+// Number of events in an interval expected to hold `mean` of them (Poisson)
+function getRandomCount(mean) {
+  if (mean > 30) return Math.max(0, Math.round(mean + Math.sqrt(mean) * getRandomNormal()));
+
+  const limit = Math.exp(-mean);
+  let count = 0;
+  for (let product = random(); product > limit; product *= random()) count++;
+  return count;
+}
+
+function getRandomIndex(weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let target = random() * total;
+  const index = weights.findIndex(weight => (target -= weight) < 0);
+  return index === -1 ? weights.length - 1 : index;
+}
+
+function getLiveProfile(storeId, day) {
+  const { departments, departmentPrices } = mockDataStore.tenant;
+  const window = { from: Math.max(0, day - liveProfileDays), to: day };
+  const totals = sumStoreFacts(storeId, window);
+  const tradingDays = Math.max(1, window.to - window.from);
+
+  return {
+    hourlyRate: totals.transactions / tradingDays / (tradingHours.close - tradingHours.open),
+    unitsPerTransaction: totals.transactions ? totals.units / totals.transactions : 1.5,
+    departmentWeights: totals.byDepartment.map(department => department.sales || 1),
+    unitPrices: totals.byDepartment.map((department, index) =>
+      department.units ? department.sales / department.units : departmentPrices[departments[index]])
+  };
+}
+
+// Take the generated share of `tradedMs` of a store's day out of its facts,
+// measured against the day as generated, so rounding never drifts
+function clearLiveTime(storeId, day, tradedMs) {
+  const { departments } = mockDataStore.tenant;
+  const { traded } = mockDataStore.live;
+  const facts = mockDataStore.salesFacts.byStore[storeId];
+  const from = day * departments.length;
+  const key = `${storeId}:${day}`;
+  if (!traded[key]) {
+    traded[key] = { ms: 0, generated: {} };
+    liveMeasures.forEach(measure => {
+      traded[key].generated[measure] = facts[measure].slice(from, from + departments.length);
+    });
+  }
+
+  const tradingMs = (tradingHours.close - tradingHours.open) * 60 * 60 * 1000;
+  const before = Math.min(1, traded[key].ms / tradingMs);
+  traded[key].ms += tradedMs;
+  const after = Math.min(1, traded[key].ms / tradingMs);
+  liveMeasures.forEach(measure => {
+    traded[key].generated[measure].forEach((value, index) => {
+      facts[measure][from + index] -= Math.round(value * after) - Math.round(value * before);
+    });
+  });
+  delete mockDataStore.customers.byStore[storeId];
+}
+
+function recordLiveTransaction(store, day, time, profile) {
+  const { departments, departmentCategories } = mockDataStore.tenant;
+  const index = getRandomIndex(profile.departmentWeights);
+  const department = departments[index];
+  const units = Math.max(1, Math.round(profile.unitsPerTransaction * getRandomFloat(0.5, 1.5)));
+  const amount = Math.max(1, Math.round(units * profile.unitPrices[index] * getRandomFloat(0.85, 1.15)));
+
+  const facts = mockDataStore.salesFacts.byStore[store.id];
+  const cell = day * departments.length + index;
+  facts.sales[cell] += amount;
+  facts.units[cell] += units;
+  facts.transactions[cell] += 1;
+  // Customers are drawn from the sales, so the store's are drawn again
+  delete mockDataStore.customers.byStore[store.id];
+
+  return {
+    time,
+    storeId: store.id,
+    storeName: store.name,
+    region: store.region,
+    storeType: store.type,
+    department,
+    category: departmentCategories[department],
+    amount,
+    units
+  };
+}
+
+// Check live feed filters like the report filters, and return a test that
+// picks out matching transactions, including those of stores opened later
+function createTransactionFilter(params) {
+  filterStores(params);
+
+  const { storeIds, region, storeType } = params;
+  const ids = storeIds ? String(storeIds).split(',').map(id => id.trim()) : null;
+  return transaction => (!ids || ids.includes(transaction.storeId)) &&
+    (!region || transaction.region === region) &&
+    (!storeType || transaction.storeType === storeType);
+}
+
+/**
+ * Move the live clock forward, recording the transactions made meanwhile
+ *
+ * @param {Object} options - `elapsedMs` of simulated time; optionally a
+ *   `rate` of transactions per store per trading hour; and `trades`, a test
+ *   picking the stores to trade, all of them by default
+ * @returns {Object} The new clock time, the transactions in time order, and
+ *   whether the clock has reached closing time on the last generated day
+ */
+function handleAdvanceLiveClock({ elapsedMs, rate, trades = () => true }) {
+  const { live, salesFacts, scenario } = mockDataStore;
+  const { dates } = salesFacts;
+  const hour = 60 * 60 * 1000;
+  const start = live.clock !== null ? live.clock : Date.parse(mockDataStore.today) + tradingHours.open * hour;
+  const lastClose = Date.parse(dates[dates.length - 1]) + tradingHours.close * hour;
+  const end = Math.min(start + elapsedMs, lastClose);
+  const drawn = [];
+
+  withRandomSeed(`${mockDataStore.seed}:live:${start}`, () => {
+    for (let dayStart = start - (start % oneDay); dayStart < end; dayStart += oneDay) {
+      const from = Math.max(start, dayStart + tradingHours.open * hour);
+      const to = Math.min(end, dayStart + tradingHours.close * hour);
+      if (from >= to) continue;
+
+      const date = formatDate(new Date(dayStart));
+      const day = daysBetween(dates[0], date);
+      mockDataStore.stores.forEach(store => {
+        if (date < store.openDate || !trades(store)) return;
+
+        const profile = getLiveProfile(store.id, day);
+        clearLiveTime(store.id, day, to - from);
+        const hourlyRate = rate !== undefined ? rate : profile.hourlyRate;
+        const count = getRandomCount(hourlyRate * getScenarioFactor(scenario, store, date) * (to - from) / hour);
+        for (let i = 0; i < count; i++) {
+          drawn.push(recordLiveTransaction(store, day, from + Math.floor(random() * (to - from)), profile));
+        }
+      });
+    }
+  });
+
+  live.clock = end;
+  const transactions = drawn
+    .sort((a, b) => a.time - b.time)
+    .map(transaction => ({
+      id: `TX${String(live.nextId++).padStart(6, '0')}`,
+      ...transaction,
+      time: new Date(transaction.time).toISOString()
+    }));
+
+  return { clock: new Date(end).toISOString(), transactions, ended: end >= lastClose };
+}
+
+function handleGetFilters() {
+  const { id, name, currency, regions, categories, departments } = mockDataStore.tenant;
+
+  return {
+    tenant: { id, name, currency },
+    regions,
+    storeTypes,
+    categories,
+    departments,
+    timeRanges
+  };
+}
+
+function handleGetScenarios() {
+  const { name, description, closure } = mockDataStore.scenario;
+
+  return {
+    current: { name, description, closure },
+    scenarios: Object.entries(scenarios).map(([scenarioName, scenario]) => ({
+      name: scenarioName,
+      description: scenario.description
+    }))
+  };
+}
+
+function getSeed() {
+  return mockDataStore.seed;
+}
+
+// Allowed values, for the OpenAPI document; regions, categories and
+// departments are the built-in default tenant's (see getTenantEnums)
+const defaultBrand = normalizeTenant(builtInTenants[0], maxStoreCount);
+const enums = {
+  regions: defaultBrand.regions,
+  storeTypes,
+  categories: defaultBrand.categories,
+  departments: defaultBrand.departments,
+  timeRanges,
+  positions,
+  granularities,
+  seriesGroupings,
+  comparisonBases,
+  benchmarkMetrics: Object.keys(benchmarkMetrics),
+  alertTypes,
+  alertSeverities,
+  alertStatuses,
+  alertThresholds: Object.keys(alertThresholdSettings),
+  loyaltyTiers: loyaltyTiers.map(({ tier }) => tier),
+  rfmSegments,
+  customerGroupings,
+  stockStatuses,
+  scenarios: Object.keys(scenarios)
+};
+
+// Export the initialized data and handlers
+module.exports = {
+  enums,
+  initializeMockData,
+  handleGetStores,
+  handleSearchStores,
+  handleGetSales,
+  handleGetSalesTimeseries,
+  handleGetSalesComparison,
+  handleGetSalesForecast,
+  handleGetStoreForecast,
+  handleGetInventory,
+  handleGetProducts,
+  handleGetStoreInventory,
+  handleGetStoreStaff,
+  handleGetEmployee,
+  handleGetStoreDetails,
+  handleGetStoreBenchmark,
+  parseAlertThresholds,
+  handleGetAlerts,
+  handleUpdateAlert,
+  parseCustomerId,
+  handleGetCustomers,
+  handleGetCustomer,
+  handleGetCustomerSummary,
+  handleGetCustomerCohorts,
+  handleGetCustomerSegments,
+  handleGetFilters,
+  handleGetScenarios,
+  getDataStore,
+  withDataStore,
+  configureTenants,
+  withTenant,
+  resolveTenantId,
+  getTenantIds,
+  getTenantEnums,
+  handleGetTenants,
+  handleGetStore,
+  handleCreateStore,
+  handleUpdateStore,
+  handleDeleteStore,
+  handleGetMutations,
+  handleUndoMutations,
+  handleAdvanceLiveClock,
+  createTransactionFilter,
+  resetMockData,
+  setDefaultScenario,
+  getGenerationStats,
+  getGenerationOptions,
+  createSnapshot,
+  parseJson,
+  loadSnapshot,
+  loadFixture,
+  snapshotVersion,
+  getSeed,
+  createRandom,
+  createHttpError
+};
@@ -0,0 +1,290 @@
+/**
+ * RetailMetrics Mock Server Data Files
+ *
+ * Saves a data set to disk and starts the server from one instead of
+ * generating. Files are either SQLite databases, with a table per section so
+ * the data can be inspected with any SQLite client, or JSON: a snapshot like
+ * GET /__admin/snapshot returns, or a hand-written fixture (see data.js).
+ * Saving picks the format from the extension (.sqlite, .sqlite3 or .db for
+ * SQLite); loading looks at the contents.
+ *
+ * SQLite goes through Bun's built-in bun:sqlite, so it needs the server to
+ * run under Bun. Mutation logs and the live clock are not saved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mockData = require('./data');
+
+const sqliteExtensions = ['.sqlite', '.sqlite3', '.db'];
+const sqliteHeader = Buffer.from('SQLite format 3\0');
+const sqliteSchema = `
+  CREATE TABLE metadata (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE stores (
+    id TEXT PRIMARY KEY, position INTEGER NOT NULL, name TEXT NOT NULL, region TEXT NOT NULL, city TEXT NOT NULL,
+    type TEXT NOT NULL, address TEXT NOT NULL, open_date TEXT NOT NULL, size INTEGER NOT NULL, lat REAL NOT NULL,
+    lng REAL NOT NULL, manager TEXT NOT NULL, conversion_rate REAL NOT NULL
+  );
+  CREATE TABLE sales_facts (
+    store_id TEXT NOT NULL, date TEXT NOT NULL, department TEXT NOT NULL, sales INTEGER NOT NULL,
+    units INTEGER NOT NULL, transactions INTEGER NOT NULL, PRIMARY KEY (store_id, date, department)
+  ) WITHOUT ROWID;
+  CREATE TABLE inventory (
+    store_id TEXT PRIMARY KEY, as_of TEXT NOT NULL, last_replenishment TEXT NOT NULL, next_replenishment TEXT NOT NULL
+  );
+  CREATE TABLE inventory_skus (
+    store_id TEXT NOT NULL, sku TEXT NOT NULL, weight REAL NOT NULL, par_level INTEGER NOT NULL,
+    on_hand INTEGER NOT NULL, PRIMARY KEY (store_id, sku)
+  ) WITHOUT ROWID;
+  CREATE TABLE employees (
+    id TEXT PRIMARY KEY, store_id TEXT NOT NULL, roster_index INTEGER NOT NULL, name TEXT NOT NULL,
+    position TEXT NOT NULL, hire_date TEXT NOT NULL, weekly_hours REAL NOT NULL, sales_weight REAL NOT NULL
+  );
+`;
+// Settings and small sections, stored as JSON in the metadata table
+const metadataKeys = [
+  'version', 'createdAt', 'generationOptions', 'tenant', 'seed', 'scenario', 'dataRange', 'today', 'generation',
+  'dates', 'departments', 'catalog'
+];
+
+function getDatabase() {
+  try {
+    return require('bun:sqlite').Database;
+  } catch (error) {
+    throw new Error('SQLite data files need the server to run under Bun (bun:sqlite is not available)');
+  }
+}
+
+function isSqlite(buffer) {
+  return buffer.length >= sqliteHeader.length && buffer.subarray(0, sqliteHeader.length).equals(sqliteHeader);
+}
+
+/**
+ * Write a data set as a SQLite database, returning the file's bytes. Only
+ * sales fact cells with something in them get a row.
+ */
+function createSqliteSnapshot(dataStore) {
+  const Database = getDatabase();
+  const db = new Database(':memory:');
+  const { stores, salesFacts, catalog, inventoryData, staff } = dataStore;
+  const metadata = {
+    version: mockData.snapshotVersion,
+    createdAt: new Date().toISOString(),
+    generationOptions: mockData.getGenerationOptions(),
+    tenant: dataStore.tenant,
+    seed: dataStore.seed,
+    scenario: dataStore.scenario,
+    dataRange: dataStore.dataRange,
+    today: dataStore.today,
+    generation: dataStore.generation,
+    dates: salesFacts.dates,
+    departments: salesFacts.departments,
+    catalog
+  };
+
+  try {
+    db.exec(sqliteSchema);
+    const insertMetadata = db.prepare('INSERT INTO metadata VALUES (?, ?)');
+    const insertStore = db.prepare('INSERT INTO stores VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+    const insertFact = db.prepare('INSERT INTO sales_facts VALUES (?, ?, ?, ?, ?, ?)');
+    const insertInventory = db.prepare('INSERT INTO inventory VALUES (?, ?, ?, ?)');
+    const insertSku = db.prepare('INSERT INTO inventory_skus VALUES (?, ?, ?, ?, ?)');
+    const insertEmployee = db.prepare('INSERT INTO employees VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+
+    db.transaction(() => {
+      metadataKeys.forEach(key => insertMetadata.run(key, JSON.stringify(metadata[key] === undefined ? null : metadata[key])));
+
+      stores.forEach((store, position) => {
+        const facts = salesFacts.byStore[store.id];
+        insertStore.run(
+          store.id, position, store.name, store.region, store.city, store.type, store.address, store.openDate,
+          store.size, store.coordinates.lat, store.coordinates.lng, store.manager, facts.conversionRate
+        );
+
+        salesFacts.dates.forEach((date, day) => {
+          salesFacts.departments.forEach((department, index) => {
+            const cell = day * salesFacts.departments.length + index;
+            if (facts.sales[cell] || facts.units[cell] || facts.transactions[cell]) {
+              insertFact.run(store.id, date, department, facts.sales[cell], facts.units[cell], facts.transactions[cell]);
+            }
+          });
+        });
+
+        const inventory = inventoryData.byStore[store.id];
+        insertInventory.run(store.id, inventory.asOf, inventory.lastReplenishment, inventory.nextReplenishment);
+        catalog.skus.forEach(({ sku }, index) => {
+          insertSku.run(store.id, sku, inventory.weights[index], inventory.parLevels[index], inventory.onHand[index]);
+        });
+
+        staff.byStore[store.id].forEach((employee, index) => {
+          insertEmployee.run(
+            employee.id, store.id, index, employee.name, employee.position, employee.hireDate,
+            employee.weeklyHours, employee.salesWeight
+          );
+        });
+      });
+    })();
+
+    return db.serialize();
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Read a database written by createSqliteSnapshot back into a snapshot for
+ * mockData.loadSnapshot, which checks it is complete
+ */
+function parseSqliteSnapshot(buffer) {
+  const Database = getDatabase();
+  let db;
+  try {
+    db = Database.deserialize(buffer);
+    const metadata = Object.fromEntries(db.query('SELECT key, value FROM metadata').all()
+      .map(({ key, value }) => [key, JSON.parse(value)]));
+    const { dates, departments, catalog } = metadata;
+    const dayByDate = new Map(dates.map((date, day) => [date, day]));
+    const skuIndexes = new Map(catalog.skus.map(({ sku }, index) => [sku, index]));
+    const cellCount = dates.length * departments.length;
+
+    const stores = [];
+    const salesFacts = { dates, departments, byStore: {} };
+    db.query('SELECT * FROM stores ORDER BY position').all().forEach(row => {
+      stores.push({
+        id: row.id,
+        name: row.name,
+        region: row.region,
+        city: row.city,
+        type: row.type,
+        address: row.address,
+        openDate: row.open_date,
+        size: row.size,
+        coordinates: { lat: row.lat, lng: row.lng },
+        manager: row.manager
+      });
+      salesFacts.byStore[row.id] = {
+        sales: new Uint32Array(cellCount),
+        units: new Uint32Array(cellCount),
+        transactions: new Uint32Array(cellCount),
+        conversionRate: row.conversion_rate
+      };
+    });
+
+    // Facts are read a row at a time; there can be millions
+    for (const row of db.query('SELECT * FROM sales_facts').iterate()) {
+      const facts = salesFacts.byStore[row.store_id];
+      const day = dayByDate.get(row.date);
+      const index = departments.indexOf(row.department);
+      if (!facts || day === undefined || index === -1) {
+        throw mockData.createHttpError(400, `Invalid snapshot: sales fact for unknown store, date or department (${row.store_id}, ${row.date}, ${row.department})`);
+      }
+      const cell = day * departments.length + index;
+      facts.sales[cell] = row.sales;
+      facts.units[cell] = row.units;
+      facts.transactions[cell] = row.transactions;
+    }
+
+    const inventoryData = { byStore: {} };
+    db.query('SELECT * FROM inventory').all().forEach(row => {
+      inventoryData.byStore[row.store_id] = {
+        asOf: row.as_of,
+        lastReplenishment: row.last_replenishment,
+        nextReplenishment: row.next_replenishment,
+        weights: new Float64Array(catalog.skus.length),
+        parLevels: new Uint32Array(catalog.skus.length),
+        onHand: new Uint32Array(catalog.skus.length)
+      };
+    });
+    db.query('SELECT * FROM inventory_skus').all().forEach(row => {
+      const inventory = inventoryData.byStore[row.store_id];
+      const index = skuIndexes.get(row.sku);
+      if (!inventory || index === undefined) {
+        throw mockData.createHttpError(400, `Invalid snapshot: stock for unknown store or SKU (${row.store_id}, ${row.sku})`);
+      }
+      inventory.weights[index] = row.weight;
+      inventory.parLevels[index] = row.par_level;
+      inventory.onHand[index] = row.on_hand;
+    });
+
+    const staff = { byStore: {}, byId: {} };
+    stores.forEach(store => {
+      staff.byStore[store.id] = [];
+    });
+    db.query('SELECT * FROM employees ORDER BY store_id, roster_index').all().forEach(row => {
+      const roster = staff.byStore[row.store_id];
+      if (!roster) {
+        throw mockData.createHttpError(400, `Invalid snapshot: employee ${row.id} works at unknown store ${row.store_id}`);
+      }
+      staff.byId[row.id] = { storeId: row.store_id, index: roster.length };
+      roster.push({
+        id: row.id,
+        storeId: row.store_id,
+        name: row.name,
+        position: row.position,
+        hireDate: row.hire_date,
+        weeklyHours: row.weekly_hours,
+        salesWeight: row.sales_weight
+      });
+    });
+
+    return {
+      version: metadata.version,
+      createdAt: metadata.createdAt,
+      generationOptions: metadata.generationOptions,
+      dataStore: {
+        tenant: metadata.tenant,
+        seed: metadata.seed,
+        scenario: metadata.scenario,
+        dataRange: metadata.dataRange,
+        today: metadata.today,
+        generation: metadata.generation,
+        stores,
+        salesFacts,
+        catalog,
+        inventoryData,
+        staff
+      }
+    };
+  } catch (error) {
+    if (error.status) throw error;
+    throw mockData.createHttpError(400, `Invalid snapshot: ${error.message}`);
+  } finally {
+    if (db) db.close();
+  }
+}
+
+/**
+ * Load a data file's contents, making it the default data set
+ *
+ * @param {Buffer} buffer - A SQLite database, snapshot JSON or fixture JSON
+ * @param {Object} defaults - Generation options for what a fixture leaves out
+ */
+function loadData(buffer, defaults = {}) {
+  if (isSqlite(buffer)) {
+    return mockData.loadSnapshot(parseSqliteSnapshot(buffer));
+  }
+
+  // Snapshots carry a version; fixtures don't
+  const value = mockData.parseJson(buffer.toString('utf8'), 'data file');
+  return value && (value.version !== undefined || value.dataStore !== undefined)
+    ? mockData.loadSnapshot(value)
+    : mockData.loadFixture(value, defaults);
+}
+
+function loadDataFile(filePath, defaults) {
+  console.log(`Loading data from ${filePath}...`);
+  return loadData(fs.readFileSync(filePath), defaults);
+}
+
+function saveDataFile(filePath, dataStore) {
+  const sqlite = sqliteExtensions.includes(path.extname(filePath).toLowerCase());
+  fs.writeFileSync(filePath, sqlite ? createSqliteSnapshot(dataStore) : mockData.createSnapshot(dataStore));
+  console.log(`Saved the ${dataStore.scenario.name} data set to ${filePath}`);
+}
+
+module.exports = {
+  createSqliteSnapshot,
+  loadData,
+  loadDataFile,
+  saveDataFile
+};
@@ -0,0 +1,313 @@
+/**
+ * RetailMetrics Mock Server Report Exports
+ *
+ * Serves the tabular sections of a report (byDate, byStore and so on) as
+ * CSV, NDJSON or XLSX instead of JSON, picked with `format=` or the Accept
+ * header. CSV and NDJSON carry one section, chosen with `section=` and
+ * defaulting to byStore. XLSX holds every section as its own sheet. Every
+ * format is streamed a batch of rows at a time, reading the sections as
+ * iterables, so store rows the handler builds lazily are never all in memory.
+ */
+
+const zlib = require('zlib');
+const { createHttpError } = require('./data');
+
+const xlsxType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const exportFormats = {
+  json: { type: 'application/json' },
+  csv: { type: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { type: xlsxType, extension: 'xlsx' }
+};
+const defaultSection = 'byStore';
+const batchSize = 200;
+
+// ?format= wins over Accept; a browser's */* gets JSON
+function getExportFormat(req) {
+  const { format } = req.query;
+  if (format !== undefined) {
+    if (!exportFormats[format]) {
+      throw createHttpError(400, `Unknown format '${format}'. Expected one of: ${Object.keys(exportFormats).join(', ')}`);
+    }
+    return format;
+  }
+
+  const mediaType = name => exportFormats[name].type.split(';')[0];
+  const accepted = req.accepts(Object.keys(exportFormats).map(mediaType));
+  return Object.keys(exportFormats).find(name => mediaType(name) === accepted) || 'json';
+}
+
+/**
+ * Format rows from any iterable a batch at a time. The columns come from the
+ * first row; `formatHeader` gets them to write what goes before it.
+ */
+function* batchChunks(rows, formatRow, formatHeader) {
+  let columns = null;
+  let batch = [];
+  let index = 0;
+  for (const row of rows) {
+    if (!columns) {
+      columns = Object.keys(row);
+      if (formatHeader) batch.push(formatHeader(columns));
+    }
+    batch.push(formatRow(row, columns, index++));
+    if (batch.length >= batchSize) {
+      yield batch.join('');
+      batch = [];
+    }
+  }
+  if (batch.length) yield batch.join('');
+}
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvChunks(rows) {
+  return batchChunks(
+    rows,
+    (row, columns) => `${columns.map(column => toCsvCell(row[column])).join(',')}\r\n`,
+    columns => `${columns.map(toCsvCell).join(',')}\r\n`
+  );
+}
+
+function ndjsonChunks(rows) {
+  return batchChunks(rows, row => `${JSON.stringify(row)}\n`);
+}
+
+// Write chunks as the client reads them, stopping if it goes away. Once the
+// first chunk is out the status is sent, so a failure building a later one
+// can only cut the download short.
+function streamChunks(res, chunks) {
+  const writeNext = () => {
+    try {
+      while (!res.destroyed) {
+        const { value, done } = chunks.next();
+        if (done) {
+          res.end();
+          return;
+        }
+        if (!res.write(value)) {
+          res.once('drain', writeNext);
+          return;
+        }
+      }
+    } catch (error) {
+      if (!res.headersSent) throw error;
+      console.error(error.stack);
+      res.destroy(error);
+    }
+  };
+
+  writeNext();
+}
+
+const crcTable = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+// Pass the previous result to carry the checksum on across pieces
+function crc32(buffer, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files into a deflated zip archive a piece at a time. Each file's
+ * content is a string or an iterable of strings, deflated piece by piece with a sync
+ * flush so the pieces join into one stream. Sizes and checksums aren't known
+ * until a file is written, so they follow its data in a descriptor.
+ * Timestamps are fixed so the same data always produces the same bytes.
+ */
+function* zipChunks(files) {
+  const dosTime = 0;
+  const dosDate = (1 << 5) | 1;
+  const sizesFollow = 0x0008;
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, content } of files) {
+    const fileName = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(sizesFollow, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt16LE(fileName.length, 26);
+    yield Buffer.concat([local, fileName]);
+
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+    for (const piece of typeof content === 'string' ? [content] : content) {
+      const data = Buffer.from(piece);
+      const compressed = zlib.deflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      crc = crc32(data, crc);
+      size += data.length;
+      compressedSize += compressed.length;
+      yield compressed;
+    }
+    // An empty final block closes the deflate stream
+    const last = zlib.deflateRawSync(Buffer.alloc(0));
+    compressedSize += last.length;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    yield Buffer.concat([last, descriptor]);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(sizesFollow, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressedSize, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, fileName);
+
+    offset += local.length + fileName.length + compressedSize + descriptor.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  yield Buffer.concat([centralDirectory, end]);
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+}
+
+// Column letters for a zero-based index: 0 is A, 26 is AA
+function columnName(index) {
+  let name = '';
+  for (let remaining = index + 1; remaining > 0; remaining = Math.floor((remaining - 1) / 26)) {
+    name = String.fromCharCode(65 + ((remaining - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function toXlsxCell(value, reference) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return `<c r="${reference}"><v>${value}</v></c>`;
+  return `<c r="${reference}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+}
+
+function toXlsxRow(row, columns, rowNumber) {
+  const cells = columns.map((column, columnIndex) => toXlsxCell(row[column], `${columnName(columnIndex)}${rowNumber}`));
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+// Rows are numbered from 2, under the header row of column names
+function* sheetChunks(rows) {
+  yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+  yield* batchChunks(
+    rows,
+    (row, columns, index) => toXlsxRow(row, columns, index + 2),
+    columns => toXlsxRow(Object.fromEntries(columns.map(column => [column, column])), columns, 1)
+  );
+  yield '</sheetData></worksheet>';
+}
+
+/**
+ * Stream an XLSX workbook with one sheet per section, headed by its column
+ * names. Strings are written inline, so no shared string table is needed.
+ */
+function workbookChunks(sections) {
+  const names = Object.keys(sections);
+  const relationshipsNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const packageRelationshipsNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+  return zipChunks([
+    {
+      name: '[Content_Types].xml',
+      content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        names.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xmlHeader}<Relationships xmlns="${packageRelationshipsNs}">` +
+        `<Relationship Id="rId1" Type="${relationshipsNs}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationshipsNs}"><sheets>` +
+        names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+        '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xmlHeader}<Relationships xmlns="${packageRelationshipsNs}">` +
+        names.map((_, index) => `<Relationship Id="rId${index + 1}" Type="${relationshipsNs}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+        '</Relationships>'
+    },
+    ...names.map((name, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheetChunks(sections[name]) }))
+  ]);
+}
+
+/**
+ * Send a report as a file when the request asks for one. Returns false for
+ * JSON, leaving the route to respond as usual.
+ *
+ * @param {Object} report - Handler result holding the sections
+ * @param {Object} options - `fileName` without extension, and the
+ *   `sections` of the report that hold rows
+ */
+function sendExport(req, res, report, { fileName, sections }) {
+  const format = getExportFormat(req);
+  if (format === 'json') return false;
+
+  // Workbooks hold every section unless one is asked for; the other formats hold one
+  const section = req.query.section || (format === 'xlsx' ? null : defaultSection);
+  if (section !== null && !sections.includes(section)) {
+    throw createHttpError(400, `Unknown section '${section}'. Expected one of: ${sections.join(', ')}`);
+  }
+
+  const { type, extension } = exportFormats[format];
+  res.set('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+  res.set('Content-Type', type);
+
+  if (format === 'xlsx') {
+    const sheets = section ? [section] : sections;
+    streamChunks(res, workbookChunks(Object.fromEntries(sheets.map(name => [name, report[name]]))));
+  } else {
+    streamChunks(res, format === 'csv' ? csvChunks(report[section]) : ndjsonChunks(report[section]));
+  }
+  return true;
+}
+
+module.exports = {
+  exportFormats,
+  getExportFormat,
+  sendExport
+};
@@ -0,0 +1,277 @@
+/**
+ * RetailMetrics Mock Server Sales Forecasting
+ *
+ * Projects a daily sales series forward with a log-linear model: a trend,
+ * day-of-week effects and, given a year of history, month-of-year effects,
+ * fitted by least squares to the log of each day's sales. Shorter series can
+ * borrow month effects from another model, so a store that opened in the
+ * autumn doesn't read the holiday season as growth. Days without sales
+ * (before a store opened, or while it was closed) are left out of the fit.
+ *
+ * Bounds come from the spread of the fitted days around the model, narrowed
+ * for buckets of several days and widened with distance from the last fitted
+ * day. data.js fits one model per store and sums them; nothing here reads the
+ * data set.
+ */
+
+const oneDay = 24 * 60 * 60 * 1000;
+// Fewer days than this can't separate the weekday effects from the noise
+const minHistoryDays = 28;
+// Months with fewer fitted days than this share the first month's level
+const minMonthDays = 14;
+// Two-sided normal quantiles for each confidence level, in percent
+const confidenceLevels = { 80: 1.2816, 90: 1.6449, 95: 1.96 };
+const ridge = 1e-6;
+const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const months = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Day number, weekday and month of each date seen, since every store's model
+// reads the same few hundred dates
+const calendar = new Map();
+
+function getCalendarDay(date) {
+  if (!calendar.has(date)) {
+    const current = new Date(date);
+    calendar.set(date, { dayNumber: current.getTime() / oneDay, weekday: current.getUTCDay(), month: current.getUTCMonth() });
+  }
+  return calendar.get(date);
+}
+
+function dayNumber(date) {
+  return getCalendarDay(date).dayNumber;
+}
+
+function getMonth(date) {
+  return getCalendarDay(date).month;
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, index) => sum + value * b[index], 0);
+}
+
+function round(value, decimals = 0) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+// Intercept, years since the first fitted day, Monday to Saturday against
+// Sunday, and each fitted month after the first against it
+function getFeatures({ startDate, fittedMonths }, date) {
+  const day = getCalendarDay(date);
+  const features = [1, (day.dayNumber - dayNumber(startDate)) / 365];
+  for (let weekday = 1; weekday < weekdays.length; weekday++) {
+    features.push(day.weekday === weekday ? 1 : 0);
+  }
+  fittedMonths.slice(1).forEach(month => features.push(day.month === month ? 1 : 0));
+  return features;
+}
+
+// Least squares by the normal equations, with a touch of ridge so a feature
+// that never varies can't make them singular
+function solveLeastSquares(rows, targets) {
+  const size = rows[0].length;
+  const matrix = Array.from({ length: size }, (_, i) => Array.from({ length: size + 1 }, (__, j) => (i === j && i > 0 ? ridge : 0)));
+
+  // Rows are mostly zeros, so only their non-zero features are multiplied
+  rows.forEach((row, index) => {
+    const active = [];
+    row.forEach((value, feature) => {
+      if (value !== 0) active.push(feature);
+    });
+    active.forEach(i => {
+      active.forEach(j => {
+        matrix[i][j] += row[i] * row[j];
+      });
+      matrix[i][size] += row[i] * targets[index];
+    });
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row;
+    }
+    [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+
+    for (let row = column + 1; row < size; row++) {
+      const factor = matrix[row][column] / matrix[column][column];
+      for (let j = column; j <= size; j++) matrix[row][j] -= factor * matrix[column][j];
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let value = matrix[row][size];
+    for (let j = row + 1; j < size; j++) value -= matrix[row][j] * solution[j];
+    solution[row] = value / matrix[row][row];
+  }
+  return solution;
+}
+
+/**
+ * Fit a model to daily sales
+ *
+ * @param {string[]} dates - Consecutive days, as YYYY-MM-DD
+ * @param {number[]} values - Sales for each day
+ * @param {number[]} [seasonality] - Month effects from getMonthEffects, used
+ *   when the series covers under a year
+ * @returns {Object|null} The model, or null with under four weeks of sales
+ */
+function fitSalesModel(dates, values, seasonality = null) {
+  const days = [];
+  dates.forEach((date, index) => {
+    if (values[index] > 0) days.push({ date, value: values[index] });
+  });
+  if (days.length < minHistoryDays) return null;
+
+  const startDate = days[0].date;
+  const endDate = days[days.length - 1].date;
+
+  // Month effects can't be told apart from the trend in under a year
+  let fittedMonths = [];
+  if (dayNumber(endDate) - dayNumber(startDate) >= 364) {
+    const counts = new Array(months.length).fill(0);
+    days.forEach(({ date }) => counts[getMonth(date)]++);
+    fittedMonths = counts.map((count, month) => (count >= minMonthDays ? month : -1)).filter(month => month >= 0);
+  }
+
+  const monthOffsets = fittedMonths.length ? null : seasonality;
+  const model = { startDate, endDate, dayCount: days.length, fittedMonths, monthOffsets };
+  const rows = days.map(({ date }) => getFeatures(model, date));
+  const targets = days.map(({ date, value }) => Math.log(value) - getMonthOffset(model, date));
+  model.coefficients = solveLeastSquares(rows, targets);
+
+  // The residual spread sets the bounds, and their mean in sales terms turns
+  // the fitted median back into an expected value
+  const residuals = rows.map((row, index) => targets[index] - dot(row, model.coefficients));
+  const degreesOfFreedom = Math.max(1, residuals.length - model.coefficients.length);
+  model.sigma = Math.sqrt(residuals.reduce((sum, residual) => sum + residual * residual, 0) / degreesOfFreedom);
+  model.smearing = residuals.reduce((sum, residual) => sum + Math.exp(residual), 0) / residuals.length;
+
+  return model;
+}
+
+function getMonthOffset({ monthOffsets }, date) {
+  return monthOffsets ? monthOffsets[getMonth(date)] : 0;
+}
+
+function predictDay(model, date) {
+  return Math.exp(dot(getFeatures(model, date), model.coefficients) + getMonthOffset(model, date)) * model.smearing;
+}
+
+/**
+ * A model's month effects on the log scale, averaging 0 over the months it
+ * has; months it lacks are 0. Null when it has none, fitted or borrowed.
+ */
+function getMonthEffects(model) {
+  if (model.monthOffsets) return model.monthOffsets;
+  if (!model.fittedMonths.length) return null;
+
+  const effects = new Array(months.length).fill(0);
+  model.fittedMonths.forEach((month, index) => {
+    effects[month] = index === 0 ? 0 : model.coefficients[weekdays.length + index];
+  });
+  const mean = model.fittedMonths.reduce((sum, month) => sum + effects[month], 0) / model.fittedMonths.length;
+  model.fittedMonths.forEach(month => {
+    effects[month] -= mean;
+  });
+  return effects;
+}
+
+/**
+ * Forecast buckets of days as the sum of several models, such as one per
+ * store. Their errors are taken as independent.
+ *
+ * @param {Object[]} models - From fitSalesModel
+ * @param {Object[]} buckets - `{ bucket, startDate, endDate, dates }`
+ * @param {number} confidence - 80, 90 or 95 percent
+ */
+function forecastBuckets(models, buckets, confidence) {
+  const z = confidenceLevels[confidence];
+
+  return buckets.map(({ bucket, startDate, endDate, dates }) => {
+    let sales = 0;
+    let variance = 0;
+
+    models.forEach(model => {
+      const expected = dates.reduce((sum, date) => sum + predictDay(model, date), 0);
+      const daysAhead = dayNumber(endDate) - dayNumber(model.endDate);
+      const spread = model.sigma * Math.sqrt(1 / dates.length + daysAhead / model.dayCount);
+      sales += expected;
+      variance += (expected * spread) ** 2;
+    });
+
+    const spread = sales ? Math.sqrt(variance) / sales : 0;
+    return {
+      bucket,
+      startDate,
+      endDate,
+      sales: Math.round(sales),
+      lower: Math.round(sales * Math.exp(-z * spread)),
+      upper: Math.round(sales * Math.exp(z * spread))
+    };
+  });
+}
+
+/**
+ * Error metrics for a forecast against what actually sold: mean absolute and
+ * root mean square error in sales, mean absolute percentage error, bias as
+ * the percentage by which the total was over-forecast, and the percentage of
+ * buckets inside the bounds
+ */
+function scoreForecast(forecast, actuals) {
+  const errors = forecast.map((point, index) => point.sales - actuals[index]);
+  const count = errors.length;
+  const percentErrors = [];
+  errors.forEach((error, index) => {
+    if (actuals[index] > 0) percentErrors.push(Math.abs(error) / actuals[index]);
+  });
+  const totalActual = actuals.reduce((sum, actual) => sum + actual, 0);
+  const totalForecast = forecast.reduce((sum, point) => sum + point.sales, 0);
+  const covered = forecast.filter((point, index) => actuals[index] >= point.lower && actuals[index] <= point.upper).length;
+
+  return {
+    mae: Math.round(errors.reduce((sum, error) => sum + Math.abs(error), 0) / count),
+    rmse: Math.round(Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / count)),
+    mape: percentErrors.length ? round(percentErrors.reduce((sum, error) => sum + error, 0) / percentErrors.length * 100, 1) : null,
+    bias: totalActual ? round((totalForecast - totalActual) / totalActual * 100, 1) : null,
+    coverage: round(covered / count * 100, 1)
+  };
+}
+
+/**
+ * A model's trend as annual growth, and its weekday and month effects as
+ * factors averaging 1. Months are null when the model has none, and
+ * `borrowedMonths` says whether they came from another model.
+ */
+function describeModel(model) {
+  const { coefficients, fittedMonths, monthOffsets } = model;
+  const toFactors = effects => {
+    const mean = effects.reduce((sum, effect) => sum + effect, 0) / effects.length;
+    return effects.map(effect => round(effect / mean, 3));
+  };
+
+  const weekdayFactors = toFactors(weekdays.map((weekday, index) => (index === 0 ? 1 : Math.exp(coefficients[1 + index]))));
+  const monthEffects = getMonthEffects(model);
+  const listedMonths = monthOffsets ? months.map((month, index) => index) : fittedMonths;
+  const monthFactors = monthEffects && toFactors(listedMonths.map(month => Math.exp(monthEffects[month])));
+
+  return {
+    annualTrendPercent: round((Math.exp(coefficients[1]) - 1) * 100, 1),
+    weekdayFactors: weekdays.map((weekday, index) => ({ weekday, factor: weekdayFactors[index] })),
+    monthFactors: monthFactors && listedMonths.map((month, index) => ({ month: months[month], factor: monthFactors[index] })),
+    borrowedMonths: Boolean(monthOffsets)
+  };
+}
+
+module.exports = {
+  confidenceLevels,
+  fitSalesModel,
+  getMonthEffects,
+  forecastBuckets,
+  scoreForecast,
+  describeModel
+};
@@ -0,0 +1,518 @@
+/**
+ * RetailMetrics Mock Server GraphQL API
+ *
+ * A /graphql endpoint over the same handlers as the REST routes, so a widget
+ * can fetch stores with their details, staff, stock and sales in one request.
+ * Arguments mirror the REST query parameters, and enum values are the REST
+ * values in GraphQL style: `Last 7 Days` is LAST_7_DAYS and `Men's` is MENS.
+ *
+ * Queries run against the request's data set, chosen like any other API
+ * request. Each tenant gets a schema of its own, since regions, categories
+ * and departments are enums. Introspection is on, and opening /graphql in a
+ * browser shows GraphiQL, served with React from node_modules so it works
+ * offline.
+ */
+
+const path = require('path');
+const { buildSchema, graphqlSync, defaultFieldResolver, getNamedType, isEnumType } = require('graphql');
+const mockData = require('./data');
+
+// GraphQL enum types and the REST values behind them
+function getEnumTypes(enums) {
+  return {
+    Region: enums.regions,
+    StoreType: enums.storeTypes,
+    Category: enums.categories,
+    Department: enums.departments,
+    TimeRange: enums.timeRanges,
+    Position: enums.positions,
+    Granularity: enums.granularities,
+    StockStatus: enums.stockStatuses
+  };
+}
+
+function toEnumName(value) {
+  return value.replace(/'/g, '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase();
+}
+
+const periodArgs = `
+    "First day, as YYYY-MM-DD"
+    startDate: String
+    "Last day, as YYYY-MM-DD"
+    endDate: String
+    "Preset period, used instead of startDate and endDate"
+    timeRange: TimeRange`;
+const storeFilterArgs = `
+    storeIds: [ID!]
+    region: Region
+    storeType: StoreType`;
+const listArgs = `
+    "field:asc or field:desc, comma-separated for tie-breakers"
+    sort: String
+    page: Int
+    pageSize: Int
+    cursor: String`;
+
+const createSchema = enumTypes => buildSchema(`
+${Object.entries(enumTypes).map(([type, values]) => `enum ${type} { ${values.map(toEnumName).join(' ')} }`).join('\n')}
+
+type Query {
+  "Stores matching a text or location search, nearest first when lat and lng are given"
+  stores(
+    q: String
+    region: Region
+    storeType: StoreType
+    lat: Float
+    lng: Float
+    radiusKm: Float
+    "Bounding box as minLat,minLng,maxLat,maxLng"
+    bbox: String${listArgs}
+  ): [Store!]!
+  store(id: ID!): Store
+  sales(${periodArgs}${storeFilterArgs}${listArgs}
+  ): SalesSummary!
+  inventory(${storeFilterArgs}${listArgs}
+  ): InventorySummary!
+  employee(id: ID!${periodArgs}
+    granularity: Granularity
+  ): EmployeePerformance
+  filters: Filters!
+}
+
+type Coordinates {
+  lat: Float!
+  lng: Float!
+}
+
+type Store {
+  id: ID!
+  name: String!
+  region: Region!
+  city: String!
+  type: StoreType!
+  address: String!
+  openDate: String!
+  "Square feet"
+  size: Int!
+  coordinates: Coordinates!
+  manager: String!
+  "Set by a stores search with lat and lng"
+  distanceKm: Float
+  details(${periodArgs}
+  ): StoreDetails!
+  staff(${periodArgs}${listArgs}
+  ): [StaffMember!]!
+  inventory(
+    department: Department
+    category: Category
+    status: StockStatus${listArgs}
+  ): StoreInventory!
+  sales(${periodArgs}
+  ): SalesSummary!
+}
+
+type Period {
+  timeRange: TimeRange
+  startDate: String!
+  endDate: String!
+  comparisonStartDate: String!
+  comparisonEndDate: String!
+}
+
+type Pagination {
+  total: Int!
+  page: Int!
+  pageSize: Int!
+  pageCount: Int!
+  nextCursor: String
+  prevCursor: String
+}
+
+type SalesSummary {
+  period: Period!
+  summary: SalesTotals!
+  byDate: [DailySales!]!
+  byRegion: [RegionSales!]!
+  byCategory: [CategorySales!]!
+  byStore: [StoreSales!]!
+  byStorePagination: Pagination!
+}
+
+type SalesTotals {
+  totalSales: Int!
+  comparisonSales: Int
+  percentChange: Float
+  averageTransactionValue: Float!
+  transactionCount: Int!
+  footTraffic: Int!
+  conversionRate: Float!
+}
+
+type DailySales {
+  date: String!
+  sales: Int!
+  transactions: Int!
+  avgValue: Float!
+}
+
+type RegionSales {
+  region: Region!
+  sales: Int!
+  percentOfTotal: Float!
+  storeCount: Int!
+}
+
+type CategorySales {
+  category: Category!
+  sales: Int!
+  percentOfTotal: Float!
+  comparisonSales: Int
+  percentChange: Float
+}
+
+type StoreSales {
+  storeId: ID!
+  storeName: String!
+  sales: Int!
+  rank: Int!
+  percentOfRegion: Float!
+  percentChange: Float
+  store: Store!
+}
+
+type InventorySummary {
+  summary: InventoryTotals!
+  byCategory: [CategoryInventory!]!
+  byStore: [StoreInventoryTotals!]!
+  byStorePagination: Pagination!
+}
+
+type InventoryTotals {
+  totalValue: Float!
+  totalItems: Int!
+  turnoverRate: Float!
+  outOfStockPercentage: Float!
+}
+
+type CategoryInventory {
+  category: Category!
+  value: Float!
+  itemCount: Int!
+  turnoverRate: Float!
+}
+
+type StoreInventoryTotals {
+  storeId: ID!
+  storeName: String!
+  value: Float!
+  itemCount: Int!
+  turnoverRate: Float!
+  outOfStockItems: Int!
+  store: Store!
+}
+
+type StoreInventory {
+  asOf: String!
+  lastReplenishment: String!
+  nextReplenishment: String!
+  summary: StoreStockSummary!
+  items: [StockItem!]!
+  itemsPagination: Pagination!
+}
+
+type StoreStockSummary {
+  skuCount: Int!
+  itemCount: Int!
+  value: Float!
+  turnoverRate: Float!
+  outOfStockItems: Int!
+  lowStockItems: Int!
+}
+
+type StockItem {
+  sku: ID!
+  productId: ID!
+  name: String!
+  department: Department!
+  category: Category!
+  color: String!
+  size: String!
+  price: Float!
+  cost: Float!
+  onHand: Int!
+  parLevel: Int!
+  value: Float!
+  status: StockStatus!
+  unitsSoldLast30Days: Int!
+}
+
+type StaffMember {
+  id: ID!
+  storeId: ID!
+  name: String!
+  position: Position!
+  hireDate: String!
+  weeklyHours: Float!
+  salesTotal: Int!
+  transactionCount: Int!
+  avgPerTransaction: Float!
+  hoursWorked: Float!
+  salesPerHour: Float!
+}
+
+type Employee {
+  id: ID!
+  storeId: ID!
+  storeName: String!
+  name: String!
+  position: Position!
+  hireDate: String!
+  weeklyHours: Float!
+}
+
+type EmployeePerformance {
+  employee: Employee!
+  period: Period!
+  granularity: Granularity!
+  totals: StaffTotals!
+  breakdown: [StaffPeriod!]!
+}
+
+type StaffTotals {
+  salesTotal: Int!
+  transactionCount: Int!
+  avgPerTransaction: Float!
+  hoursWorked: Float!
+  salesPerHour: Float!
+}
+
+type StaffPeriod {
+  bucket: String!
+  startDate: String!
+  endDate: String!
+  salesTotal: Int!
+  transactionCount: Int!
+  hoursWorked: Float!
+}
+
+type StoreDetails {
+  period: Period!
+  staffCount: Int!
+  salesByDepartment: [DepartmentSales!]!
+  staffPerformance: [StaffMember!]!
+  inventoryDetails: InventoryDetails!
+  historicalPerformance: [QuarterSales!]!
+}
+
+type DepartmentSales {
+  department: Department!
+  sales: Int!
+  percentOfStore: Float!
+  percentChange: Float
+}
+
+type InventoryDetails {
+  totalValue: Float!
+  turnoverRate: Float!
+  topSellingItems: [TopSellingItem!]!
+}
+
+type TopSellingItem {
+  id: ID!
+  productId: ID!
+  name: String!
+  category: Category!
+  unitsSold: Int!
+  revenue: Int!
+}
+
+type QuarterSales {
+  year: Int!
+  quarter: Int!
+  sales: Int!
+  transactions: Int!
+  avgValue: Float!
+}
+
+type Tenant {
+  id: ID!
+  name: String!
+  currency: String!
+}
+
+type Filters {
+  tenant: Tenant!
+  regions: [Region!]!
+  storeTypes: [StoreType!]!
+  categories: [Category!]!
+  departments: [Department!]!
+  timeRanges: [TimeRange!]!
+}
+`);
+
+// Schemas and enum lookups per tenant, built on first use
+const tenantSchemas = new Map();
+
+function getSchema(tenantId) {
+  if (!tenantSchemas.has(tenantId)) {
+    const enumTypes = getEnumTypes(mockData.getTenantEnums(tenantId));
+    const enumNames = {};
+    const enumValues = {};
+    Object.entries(enumTypes).forEach(([type, values]) => {
+      enumNames[type] = Object.fromEntries(values.map(value => [value, toEnumName(value)]));
+      enumValues[type] = Object.fromEntries(values.map(value => [toEnumName(value), value]));
+    });
+    tenantSchemas.set(tenantId, { schema: createSchema(enumTypes), enumNames, enumValues });
+  }
+  return tenantSchemas.get(tenantId);
+}
+
+// Arguments as the handlers take them: enum names become REST values and
+// lists become comma-separated strings
+function toParams(args, { enumValues }, info) {
+  const { args: definitions } = info.parentType.getFields()[info.fieldName];
+  const params = {};
+
+  definitions.forEach(({ name, type }) => {
+    const value = args[name];
+    if (value === undefined || value === null) return;
+
+    const namedType = getNamedType(type);
+    const toValue = item => (isEnumType(namedType) ? enumValues[namedType.name][item] : item);
+    params[name] = Array.isArray(value) ? value.map(toValue).join(',') : toValue(value);
+  });
+
+  return params;
+}
+
+const findStore = storeId => mockData.handleGetStore(storeId);
+
+const resolvers = {
+  Query: {
+    stores: (root, params) => mockData.handleSearchStores(params).stores,
+    store: (root, { id }) => findStore(id),
+    sales: (root, params) => mockData.handleGetSales(params),
+    inventory: (root, params) => mockData.handleGetInventory(params),
+    employee: (root, { id, ...params }) => mockData.handleGetEmployee(id, params),
+    filters: () => mockData.handleGetFilters()
+  },
+  Store: {
+    details: (store, params) => {
+      const details = mockData.handleGetStoreDetails(store.id, params);
+      return { ...details, staffCount: details.storeInfo.staffCount };
+    },
+    staff: (store, params) => mockData.handleGetStoreStaff(store.id, params).staff,
+    inventory: (store, params) => mockData.handleGetStoreInventory(store.id, params),
+    sales: (store, params) => mockData.handleGetSales({ ...params, storeIds: store.id })
+  },
+  StoreSales: {
+    store: row => findStore(row.storeId)
+  },
+  StoreInventoryTotals: {
+    store: row => findStore(row.storeId)
+  }
+};
+
+// Runs the resolver above for the field if there is one, then turns REST
+// values into enum names on the way out
+function fieldResolver(source, args, context, info) {
+  const resolver = resolvers[info.parentType.name] && resolvers[info.parentType.name][info.fieldName];
+  const value = resolver ? resolver(source, toParams(args, context, info)) : defaultFieldResolver(source, args, context, info);
+
+  const namedType = getNamedType(info.returnType);
+  if (!isEnumType(namedType) || value === null || value === undefined) return value;
+  const names = context.enumNames[namedType.name];
+  return Array.isArray(value) ? value.map(item => names[item]) : names[value];
+}
+
+// Bad arguments raised by the handlers keep their HTTP status as an extension
+function formatError(error) {
+  const { message, locations, path } = error;
+  const status = error.originalError && error.originalError.status;
+  return { message, locations, path, ...(status ? { extensions: { status } } : {}) };
+}
+
+// Files the playground page loads from /graphql/assets, by package
+const playgroundAssets = {
+  'graphiql.min.css': ['graphiql', 'graphiql.min.css'],
+  'graphiql.min.js': ['graphiql', 'graphiql.min.js'],
+  'react.production.min.js': ['react', 'umd/react.production.min.js'],
+  'react-dom.production.min.js': ['react-dom', 'umd/react-dom.production.min.js']
+};
+
+// GraphiQL, with its scripts served by handlePlaygroundAsset
+const playgroundPage = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>RetailMetrics GraphQL</title>
+  <style>body { margin: 0; height: 100vh; } #graphiql { height: 100vh; }</style>
+  <link rel="stylesheet" href="/graphql/assets/graphiql.min.css">
+</head>
+<body>
+  <div id="graphiql"></div>
+  <script src="/graphql/assets/react.production.min.js"></script>
+  <script src="/graphql/assets/react-dom.production.min.js"></script>
+  <script src="/graphql/assets/graphiql.min.js"></script>
+  <script>
+    ReactDOM.createRoot(document.getElementById('graphiql')).render(
+      React.createElement(GraphiQL, { fetcher: GraphiQL.createFetcher({ url: location.pathname }) })
+    );
+  </script>
+</body>
+</html>
+`;
+
+// Express handler for GET /graphql/assets/:file; unknown files fall through to a 404
+function handlePlaygroundAsset(req, res, next) {
+  const asset = playgroundAssets[req.params.file];
+  if (!asset) return next();
+
+  const [packageName, file] = asset;
+  res.sendFile(path.join(path.dirname(require.resolve(`${packageName}/package.json`)), file), { maxAge: '1d' });
+}
+
+/**
+ * Express handler for GET and POST /graphql. Takes `query`, `variables` and
+ * `operationName` from a JSON body or the query string.
+ */
+function handleGraphQL(req, res) {
+  const input = req.method === 'POST' ? req.body || {} : req.query;
+  if (!input.query) {
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+      return res.type('html').send(playgroundPage);
+    }
+    return res.status(400).json({ errors: [{ message: 'Send a GraphQL query as `query`' }] });
+  }
+
+  let variableValues = input.variables;
+  if (typeof variableValues === 'string') {
+    try {
+      variableValues = JSON.parse(variableValues);
+    } catch (error) {
+      return res.status(400).json({ errors: [{ message: 'variables must be a JSON object' }] });
+    }
+  }
+
+  const { schema, enumNames, enumValues } = getSchema(req.tenant);
+  const result = mockData.withDataStore(req.dataStore, () => graphqlSync({
+    schema,
+    source: input.query,
+    variableValues,
+    operationName: input.operationName,
+    contextValue: { enumNames, enumValues },
+    fieldResolver
+  }));
+
+  // Errors before execution (syntax, validation) leave no data and are the client's fault
+  res.status(result.data === undefined ? 400 : 200).json({
+    ...(result.errors ? { errors: result.errors.map(formatError) } : {}),
+    ...(result.data !== undefined ? { data: result.data } : {})
+  });
+}
+
+module.exports = {
+  getSchema,
+  handleGraphQL,
+  handlePlaygroundAsset
+};
@@ -0,0 +1,178 @@
+/**
+ * RetailMetrics Mock Server Live Sales Feed
+ *
+ * Streams simulated transactions as Server-Sent Events from
+ * /api/sales/stream, or over a WebSocket when the same URL is opened with an
+ * upgrade. Listeners pick stores with the storeIds, region and storeType
+ * filters, the data set with `scenario` or the X-Mock-Scenario header, and
+ * the tenant like any other request. Signed-in listeners only get their own
+ * stores' transactions; see auth.js.
+ *
+ * One feed runs per tenant and data set while anyone is listening. It trades
+ * the stores its listeners are watching, and every transaction it draws for
+ * them is added to the sales facts; other stores keep their generated sales.
+ * Its clock starts at opening time on the data set's `today`, runs `speed`
+ * times faster than real time (so --live-speed 3600 trades a day in 12
+ * seconds) and pauses while nobody listens. The feed ends at closing time on
+ * the last generated day.
+ */
+
+const { STATUS_CODES } = require('http');
+const { WebSocketServer } = require('ws');
+const mockData = require('./data');
+const { selectTenant } = require('./tenants');
+const { isInScope } = require('./auth');
+
+const tickMs = 250;
+const keepAliveMs = 15000;
+
+function parseSetting(value, name) {
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid live ${name} '${value}'. Expected a number of at least 0`);
+  }
+  return number;
+}
+
+/**
+ * @param {Object} options - `speed`, how many times faster than real time the
+ *   clock runs, and `rate`, transactions per store per trading hour in place
+ *   of each store's recent average. Either may be a string from the command line.
+ *   `auth` signs in WebSocket listeners, which skip Express.
+ */
+function createLiveFeed({ speed = 1, rate, auth } = {}) {
+  const clockSpeed = parseSetting(speed, 'speed');
+  const storeRate = rate === undefined ? undefined : parseSetting(rate, 'rate');
+  const feeds = new Map();
+  const webSocketServer = new WebSocketServer({ noServer: true });
+
+  // Every listener gets each tick's clock and transactions, and filters them
+  // itself; only the stores someone watches trade
+  function tick(feed) {
+    const watching = [...feed.listeners.values()];
+    const trades = store => watching.some(watches => watches({ storeId: store.id, region: store.region, storeType: store.type }));
+    const options = { elapsedMs: tickMs * clockSpeed, rate: storeRate, trades };
+    const update = mockData.withTenant(feed.tenant, () => {
+      const dataStore = mockData.getDataStore(feed.scenario);
+      return mockData.withDataStore(dataStore, () => mockData.handleAdvanceLiveClock(options));
+    });
+    feed.listeners.forEach((watches, listener) => listener(update));
+  }
+
+  // Listeners are kept with the test for the transactions they want
+  function subscribe({ tenant, scenario }, listener, matches) {
+    const key = `${tenant}:${scenario}`;
+    let feed = feeds.get(key);
+    if (!feed) {
+      feed = { tenant, scenario, listeners: new Map() };
+      feed.timer = setInterval(() => tick(feed), tickMs);
+      feeds.set(key, feed);
+    }
+    feed.listeners.set(listener, matches);
+
+    return function unsubscribe() {
+      feed.listeners.delete(listener);
+      if (feed.listeners.size === 0) {
+        clearInterval(feed.timer);
+        feeds.delete(key);
+      }
+    };
+  }
+
+  // Check the filters against the user's view of the data set, throwing a 400
+  // for unknown values
+  function createListener(query, dataStore, user, send, close) {
+    const { storeIds, region, storeType } = query;
+    const matchesFilters = mockData.withDataStore(dataStore, () => mockData.createTransactionFilter({ storeIds, region, storeType }));
+    const matches = transaction => isInScope(user, transaction) && matchesFilters(transaction);
+    let hour = null;
+
+    return {
+      feed: { tenant: dataStore.tenant.id, scenario: dataStore.scenario.name },
+      matches,
+      listener: ({ clock, transactions, ended }) => {
+        transactions.filter(matches).forEach(transaction => send('transaction', transaction, transaction.id));
+
+        // The clock is reported once per simulated hour, and when the feed ends
+        if (clock.slice(0, 13) !== hour) {
+          hour = clock.slice(0, 13);
+          send('clock', { time: clock });
+        }
+        if (ended) {
+          send('end', { time: clock });
+          close();
+        }
+      }
+    };
+  }
+
+  function handleEventStream(req, res) {
+    const { feed, matches, listener } = createListener(
+      req.query,
+      req.dataStore,
+      req.user,
+      (event, data, id) => res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+      () => res.end()
+    );
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+
+    const unsubscribe = subscribe(feed, listener, matches);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), keepAliveMs);
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  }
+
+  // Upgrades for anything but the stream URL are refused; bad filters and
+  // tokens get a plain HTTP error, since the socket isn't open yet. Upgrades
+  // skip Express, so the tenant is picked and the token checked here.
+  function handleUpgrade(req, socket, head) {
+    const { tenantId, url: path } = selectTenant(req, mockData.getTenantIds());
+    const url = new URL(path, 'http://localhost');
+    const refuse = (status, message) => {
+      const body = JSON.stringify({ error: message });
+      socket.end(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+    };
+    if (url.pathname.replace(/\/$/, '') !== '/api/sales/stream') {
+      return refuse(404, 'Not found');
+    }
+
+    const query = Object.fromEntries(url.searchParams);
+    let webSocket;
+    let subscription;
+    try {
+      const scenario = query.scenario || req.headers['x-mock-scenario'];
+      const dataStore = mockData.withTenant(tenantId, () => mockData.getDataStore(scenario));
+      const { user, dataStore: view } = auth
+        ? auth.authenticate(auth.getToken(req.headers, query), dataStore)
+        : { user: null, dataStore };
+      subscription = createListener(
+        query,
+        view,
+        user,
+        (type, data) => webSocket.send(JSON.stringify({ type, data })),
+        () => webSocket.close(1000, 'Feed ended')
+      );
+    } catch (error) {
+      return refuse(error.status || 500, error.message);
+    }
+
+    webSocketServer.handleUpgrade(req, socket, head, connection => {
+      webSocket = connection;
+      const unsubscribe = subscribe(subscription.feed, subscription.listener, subscription.matches);
+      webSocket.on('close', unsubscribe);
+    });
+  }
+
+  return {
+    handleEventStream,
+    handleUpgrade
+  };
+}
+
+module.exports = {
+  createLiveFeed
+};
@@ -0,0 +1,1215 @@
+/**
+ * RetailMetrics Mock API OpenAPI Document
+ *
+ * Describes every route in server.js and admin.js. Served at /openapi.json,
+ * browsable at /docs, and used by validation.js to check query parameters
+ * and responses. Enums come from data.js so they can't drift from the
+ * generator; getOpenApiSpec swaps in a tenant's regions, categories and
+ * departments.
+ *
+ * Rows of lists that accept `fields` list no required properties, since a
+ * projection may leave any of them out. Bearer tokens are optional unless the
+ * server runs with --auth required, so security lists both; admin routes
+ * always need one.
+ */
+
+const { enums, getTenantEnums } = require('./data');
+const { exportFormats } = require('./export');
+const { roles } = require('./auth');
+const { confidenceLevels } = require('./forecast');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = type => ({ type: [type, 'null'] });
+const date = { type: 'string', format: 'date' };
+const dateTime = { type: 'string', format: 'date-time' };
+const integer = { type: 'integer', minimum: 0 };
+const number = { type: 'number' };
+const string = { type: 'string' };
+const arrayOf = items => ({ type: 'array', items });
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+function row(properties) {
+  return object(properties, []);
+}
+
+function queryParam(name, schema, description) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+function pathParam(name, description) {
+  return { name, in: 'path', required: true, description, schema: string };
+}
+
+function jsonResponse(description, schema, headers) {
+  const response = { description, content: { 'application/json': { schema } } };
+  if (headers) response.headers = headers;
+  return response;
+}
+
+// Reports that can also be downloaded as files, one table or sheet per section
+function exportParams(sections) {
+  return [
+    { $ref: '#/components/parameters/format' },
+    queryParam('section', { type: 'string', enum: sections }, 'Table to download as CSV or NDJSON (byStore by default), or the only sheet in an XLSX workbook')
+  ];
+}
+
+function exportResponse(description, schema) {
+  const response = jsonResponse(description, schema);
+  Object.entries(exportFormats)
+    .filter(([format]) => format !== 'json')
+    .forEach(([format, { type }]) => {
+      response.content[type.split(';')[0]] = { schema: format === 'xlsx' ? { type: 'string', format: 'binary' } : string };
+    });
+  response.headers = { 'Content-Disposition': { description: 'File name for downloads', schema: string } };
+  return response;
+}
+
+const paramRefs = names => names.map(name => ({ $ref: `#/components/parameters/${name}` }));
+const periodParams = ['startDate', 'endDate', 'timeRange'];
+const storeFilterParams = ['storeIds', 'region', 'storeType'];
+const listParams = ['sort', 'fields', 'page', 'pageSize', 'cursor'];
+const notFound = jsonResponse('Not found', ref('Error'));
+const pageHeaders = {
+  'X-Total-Count': { description: 'Rows matching the filters', schema: { type: 'integer' } },
+  Link: { description: 'Next and previous page URLs', schema: string }
+};
+
+const storeFields = {
+  id: string,
+  name: string,
+  region: { type: 'string', enum: enums.regions },
+  city: string,
+  type: { type: 'string', enum: enums.storeTypes },
+  address: string,
+  openDate: date,
+  size: { type: 'integer', minimum: 1 },
+  coordinates: ref('Coordinates'),
+  manager: string
+};
+const employeeFields = {
+  id: string,
+  storeId: string,
+  name: string,
+  position: { type: 'string', enum: enums.positions },
+  hireDate: date,
+  weeklyHours: number
+};
+const comparedFigure = type => object({ current: type, comparison: type, change: number, percentChange: nullable('number') });
+const comparedTotals = {
+  sales: comparedFigure(integer),
+  transactions: comparedFigure(integer),
+  units: comparedFigure(integer),
+  averageTransactionValue: comparedFigure(number)
+};
+const comparedSales = {
+  sales: integer,
+  comparisonSales: integer,
+  change: { type: 'integer' },
+  percentChange: nullable('number'),
+  compPercentChange: nullable('number')
+};
+const alertFields = {
+  id: string,
+  type: { type: 'string', enum: enums.alertTypes },
+  severity: { type: 'string', enum: enums.alertSeverities },
+  status: { type: 'string', enum: enums.alertStatuses },
+  storeId: string,
+  storeName: string,
+  region: { type: 'string', enum: enums.regions },
+  metric: { type: 'string', enum: ['sales', 'outOfStockRate', 'salesPerHour'] },
+  department: { anyOf: [{ type: 'string', enum: enums.departments }, { type: 'null' }] },
+  employeeId: nullable('string'),
+  employeeName: nullable('string'),
+  startDate: date,
+  endDate: date,
+  expected: number,
+  actual: number,
+  deviationPercent: nullable('number'),
+  message: string,
+  updatedAt: { type: ['string', 'null'], format: 'date-time' },
+  updatedBy: nullable('string')
+};
+const customerFields = {
+  id: string,
+  name: string,
+  homeStoreId: string,
+  loyaltyTier: { type: 'string', enum: enums.loyaltyTiers },
+  acquisitionDate: date,
+  lastPurchaseDate: date,
+  transactionCount: integer,
+  totalSpend: integer,
+  recencyDays: integer,
+  segment: { type: 'string', enum: enums.rfmSegments }
+};
+const customerMetrics = {
+  footTraffic: integer,
+  transactions: integer,
+  conversionRate: number,
+  identifiedTransactions: integer,
+  identifiedShare: number,
+  customers: integer,
+  newCustomers: integer,
+  returningCustomers: integer,
+  transactionsPerCustomer: number,
+  averageCustomerSpend: number,
+  averageBasketValue: number,
+  averageBasketUnits: number
+};
+const rfmScore = { type: 'integer', minimum: 1, maximum: 5 };
+const confidenceSchema = { type: 'integer', enum: Object.keys(confidenceLevels).map(Number) };
+const forecastFields = {
+  granularity: { type: 'string', enum: enums.granularities },
+  horizon: { type: 'integer', minimum: 1 },
+  confidence: confidenceSchema,
+  training: object({ startDate: date, endDate: date }),
+  forecast: arrayOf(ref('ForecastPoint')),
+  backtest: { anyOf: [ref('Backtest'), { type: 'null' }] }
+};
+const staffPerformanceFields = {
+  ...employeeFields,
+  salesTotal: integer,
+  transactionCount: integer,
+  avgPerTransaction: number,
+  hoursWorked: number,
+  salesPerHour: number
+};
+
+const schemas = {
+  Error: object({
+    error: string,
+    fields: arrayOf(object({ field: nullable('string'), message: string }))
+  }, ['error']),
+  Coordinates: object({ lat: number, lng: number }),
+  Store: object(storeFields),
+  StoreRow: row(storeFields),
+  StoreSearchRow: row({ ...storeFields, distanceKm: number }),
+  StoreInput: object(storeFields, ['name', 'region', 'city', 'type', 'address', 'openDate', 'size', 'manager']),
+  StorePatch: object(storeFields, []),
+  Period: object({
+    timeRange: { type: ['string', 'null'], enum: [...enums.timeRanges, null] },
+    startDate: date,
+    endDate: date,
+    comparisonStartDate: date,
+    comparisonEndDate: date
+  }),
+  Pagination: object({
+    total: integer,
+    page: { type: 'integer', minimum: 1 },
+    pageSize: integer,
+    pageCount: { type: 'integer', minimum: 1 },
+    nextCursor: nullable('string'),
+    prevCursor: nullable('string'),
+    next: nullable('string'),
+    prev: nullable('string')
+  }, ['total', 'page', 'pageSize', 'pageCount', 'nextCursor', 'prevCursor']),
+  Sales: object({
+    period: ref('Period'),
+    summary: object({
+      totalSales: integer,
+      comparisonSales: nullable('integer'),
+      percentChange: nullable('number'),
+      averageTransactionValue: number,
+      transactionCount: integer,
+      footTraffic: integer,
+      conversionRate: number
+    }),
+    byDate: arrayOf(object({ date, sales: integer, transactions: integer, avgValue: number })),
+    byRegion: arrayOf(object({
+      region: { type: 'string', enum: enums.regions },
+      sales: integer,
+      percentOfTotal: number,
+      storeCount: integer
+    })),
+    byCategory: arrayOf(object({
+      category: { type: 'string', enum: enums.categories },
+      sales: integer,
+      percentOfTotal: number,
+      comparisonSales: nullable('integer'),
+      percentChange: nullable('number')
+    })),
+    byStore: arrayOf(row({
+      storeId: string,
+      storeName: string,
+      sales: integer,
+      rank: { type: 'integer', minimum: 1 },
+      percentOfRegion: number,
+      percentChange: nullable('number')
+    })),
+    byStorePagination: ref('Pagination')
+  }),
+  SalesTimeseries: object({
+    period: ref('Period'),
+    granularity: { type: 'string', enum: enums.granularities },
+    groupBy: { type: ['string', 'null'], enum: [...enums.seriesGroupings, null] },
+    series: arrayOf(object({
+      key: string,
+      storeName: string,
+      points: arrayOf(object({
+        bucket: string,
+        startDate: date,
+        endDate: date,
+        sales: integer,
+        transactions: integer,
+        avgValue: number
+      }))
+    }, ['key', 'points']))
+  }),
+  SalesComparison: object({
+    vs: { type: 'string', enum: [...enums.comparisonBases, 'custom'] },
+    period: object({
+      timeRange: { type: ['string', 'null'], enum: [...enums.timeRanges, null] },
+      startDate: date,
+      endDate: date,
+      days: integer
+    }),
+    comparisonPeriod: object({ startDate: date, endDate: date, days: integer }),
+    summary: object({ storeCount: integer, ...comparedTotals }),
+    compStores: object({ openedBy: date, storeCount: integer, excludedStoreIds: arrayOf(string), ...comparedTotals }),
+    byRegion: arrayOf(object({
+      region: { type: 'string', enum: enums.regions },
+      storeCount: integer,
+      compStoreCount: integer,
+      ...comparedSales
+    })),
+    byCategory: arrayOf(object({ category: { type: 'string', enum: enums.categories }, ...comparedSales })),
+    byStore: arrayOf(row({
+      storeId: string,
+      storeName: string,
+      region: { type: 'string', enum: enums.regions },
+      openDate: date,
+      compStore: { type: 'boolean' },
+      sales: integer,
+      comparisonSales: integer,
+      change: { type: 'integer' },
+      percentChange: nullable('number')
+    })),
+    byStorePagination: ref('Pagination')
+  }),
+  ForecastPoint: object({
+    bucket: string,
+    startDate: date,
+    endDate: date,
+    sales: integer,
+    lower: integer,
+    upper: integer
+  }),
+  Backtest: object({
+    trainingEndDate: date,
+    startDate: date,
+    endDate: date,
+    metrics: object({
+      mae: integer,
+      rmse: integer,
+      mape: nullable('number'),
+      bias: nullable('number'),
+      coverage: { type: 'number', minimum: 0, maximum: 100 }
+    }),
+    points: arrayOf(object({
+      bucket: string,
+      startDate: date,
+      endDate: date,
+      actual: integer,
+      forecast: integer,
+      lower: integer,
+      upper: integer
+    }))
+  }),
+  SalesForecast: object({
+    ...forecastFields,
+    storeCount: integer,
+    excludedStoreIds: arrayOf(string)
+  }),
+  Alert: object(alertFields),
+  AlertRow: row(alertFields),
+  Alerts: object({
+    asOf: date,
+    thresholds: object(Object.fromEntries(enums.alertThresholds.map(name => [name, number]))),
+    summary: object({
+      total: integer,
+      bySeverity: object(Object.fromEntries(enums.alertSeverities.map(severity => [severity, integer]))),
+      byType: object(Object.fromEntries(enums.alertTypes.map(type => [type, integer])))
+    }),
+    alerts: arrayOf(ref('AlertRow')),
+    pagination: ref('Pagination')
+  }),
+  CustomerRow: row(customerFields),
+  Customers: object({
+    asOf: date,
+    customers: arrayOf(ref('CustomerRow')),
+    pagination: ref('Pagination')
+  }),
+  Customer: object({
+    ...customerFields,
+    homeStoreName: string,
+    region: { type: 'string', enum: enums.regions },
+    rfm: object({
+      purchases: integer,
+      spend: integer,
+      scores: object({ recency: rfmScore, frequency: rfmScore, monetary: rfmScore })
+    }),
+    transactions: arrayOf(object({ date, amount: integer }))
+  }),
+  CustomerSummary: object({
+    period: ref('Period'),
+    summary: object(customerMetrics),
+    byTier: arrayOf(object({ tier: { type: 'string', enum: enums.loyaltyTiers }, customers: integer, percentOfCustomers: number })),
+    groupBy: { type: ['string', 'null'], enum: [...enums.customerGroupings, null] },
+    groups: arrayOf(object({ key: string, name: string, ...customerMetrics }))
+  }),
+  CustomerCohorts: object({
+    asOf: date,
+    cohorts: arrayOf(object({
+      cohort: string,
+      customers: integer,
+      retention: arrayOf(object({ monthsSince: integer, month: string, activeCustomers: integer, retentionRate: number }))
+    }))
+  }),
+  CustomerSegments: object({
+    asOf: date,
+    windowDays: integer,
+    customers: integer,
+    segments: arrayOf(object({
+      segment: { type: 'string', enum: enums.rfmSegments },
+      customers: integer,
+      percentOfCustomers: number,
+      averageRecencyDays: number,
+      averagePurchases: number,
+      averageSpend: number,
+      totalSpend: integer
+    }))
+  }),
+  BenchmarkMetric: object({
+    value: number,
+    rank: { type: 'integer', minimum: 1 },
+    percentile: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+    peerMedian: nullable('number'),
+    topQuartile: nullable('number'),
+    topQuartileGap: { type: ['number', 'null'], minimum: 0 }
+  }),
+  StoreBenchmark: object({
+    storeId: string,
+    storeName: string,
+    period: ref('Period'),
+    peerGroup: object({
+      region: { type: 'string', enum: enums.regions },
+      type: { type: 'string', enum: enums.storeTypes },
+      peerCount: integer
+    }),
+    metrics: object(Object.fromEntries(enums.benchmarkMetrics.map(metric => [metric, ref('BenchmarkMetric')])))
+  }),
+  StoreForecast: object({
+    storeId: string,
+    storeName: string,
+    ...forecastFields,
+    model: object({
+      annualTrendPercent: number,
+      weekdayFactors: arrayOf(object({ weekday: string, factor: number })),
+      monthFactors: { anyOf: [arrayOf(object({ month: string, factor: number })), { type: 'null' }] },
+      borrowedMonths: { type: 'boolean' }
+    })
+  }),
+  Inventory: object({
+    summary: object({ totalValue: number, totalItems: integer, turnoverRate: number, outOfStockPercentage: number }),
+    byCategory: arrayOf(object({
+      category: { type: 'string', enum: enums.categories },
+      value: number,
+      itemCount: integer,
+      turnoverRate: number
+    })),
+    byStore: arrayOf(row({
+      storeId: string,
+      storeName: string,
+      value: number,
+      itemCount: integer,
+      turnoverRate: number,
+      outOfStockItems: integer
+    })),
+    byStorePagination: ref('Pagination')
+  }),
+  ProductRow: row({
+    id: string,
+    name: string,
+    department: { type: 'string', enum: enums.departments },
+    category: { type: 'string', enum: enums.categories },
+    price: number,
+    cost: number,
+    variants: arrayOf(object({ sku: string, color: string, size: string }))
+  }),
+  StoreInventory: object({
+    storeId: string,
+    asOf: date,
+    lastReplenishment: date,
+    nextReplenishment: date,
+    summary: object({
+      skuCount: integer,
+      itemCount: integer,
+      value: number,
+      turnoverRate: number,
+      outOfStockItems: integer,
+      lowStockItems: integer
+    }),
+    items: arrayOf(row({
+      sku: string,
+      productId: string,
+      name: string,
+      department: { type: 'string', enum: enums.departments },
+      category: { type: 'string', enum: enums.categories },
+      color: string,
+      size: string,
+      price: number,
+      cost: number,
+      onHand: integer,
+      parLevel: integer,
+      value: number,
+      status: { type: 'string', enum: enums.stockStatuses },
+      unitsSoldLast30Days: integer
+    })),
+    itemsPagination: ref('Pagination')
+  }),
+  StaffPerformance: object(staffPerformanceFields),
+  StoreStaff: object({
+    storeId: string,
+    period: ref('Period'),
+    staff: arrayOf(row(staffPerformanceFields)),
+    staffPagination: ref('Pagination')
+  }),
+  EmployeeDetail: object({
+    employee: object({ ...employeeFields, storeName: string }),
+    period: ref('Period'),
+    granularity: { type: 'string', enum: enums.granularities },
+    totals: object({
+      salesTotal: integer,
+      transactionCount: integer,
+      avgPerTransaction: number,
+      hoursWorked: number,
+      salesPerHour: number
+    }),
+    breakdown: arrayOf(object({
+      bucket: string,
+      startDate: date,
+      endDate: date,
+      salesTotal: integer,
+      transactionCount: integer,
+      hoursWorked: number
+    }))
+  }),
+  StoreDetails: object({
+    period: ref('Period'),
+    storeInfo: object({ ...storeFields, staffCount: integer }),
+    salesByDepartment: arrayOf(object({
+      department: { type: 'string', enum: enums.departments },
+      sales: integer,
+      percentOfStore: number,
+      percentChange: nullable('number')
+    })),
+    staffPerformance: arrayOf(ref('StaffPerformance')),
+    inventoryDetails: object({
+      totalValue: number,
+      turnoverRate: number,
+      topSellingItems: arrayOf(object({
+        id: string,
+        productId: string,
+        name: string,
+        category: { type: 'string', enum: enums.categories },
+        unitsSold: integer,
+        revenue: integer
+      }))
+    }),
+    historicalPerformance: arrayOf(object({
+      year: integer,
+      quarter: { type: 'integer', minimum: 1, maximum: 4 },
+      sales: integer,
+      transactions: integer,
+      avgValue: number
+    }))
+  }),
+  Filters: object({
+    tenant: object({ id: string, name: string, currency: string }),
+    regions: arrayOf(string),
+    storeTypes: arrayOf(string),
+    categories: arrayOf(string),
+    departments: arrayOf(string),
+    timeRanges: arrayOf(string)
+  }),
+  Tenants: object({
+    defaultTenant: string,
+    tenants: arrayOf(object({ id: string, name: string, currency: string, storeCount: integer, loaded: { type: 'boolean' } }))
+  }),
+  Scenarios: object({
+    current: object({
+      name: { type: 'string', enum: enums.scenarios },
+      description: string,
+      closure: {
+        anyOf: [
+          object({ region: { type: 'string', enum: enums.regions }, startDate: date, endDate: date }),
+          { type: 'null' }
+        ]
+      }
+    }),
+    scenarios: arrayOf(object({ name: { type: 'string', enum: enums.scenarios }, description: string }))
+  }),
+  Mutation: object({
+    id: string,
+    type: { type: 'string', enum: ['create', 'replace', 'update', 'delete'] },
+    storeId: string,
+    at: dateTime,
+    before: { anyOf: [ref('Store'), { type: 'null' }] },
+    after: { anyOf: [ref('Store'), { type: 'null' }] }
+  }),
+  User: object({
+    username: string,
+    name: string,
+    role: { type: 'string', enum: roles },
+    region: { type: 'string', enum: enums.regions },
+    storeId: string
+  }, ['username', 'name', 'role']),
+  LoginResult: object({
+    token: string,
+    tokenType: { type: 'string', enum: ['Bearer'] },
+    expiresAt: dateTime,
+    user: ref('User')
+  }),
+  GraphQLResult: object({
+    data: { type: ['object', 'null'] },
+    errors: arrayOf({ type: 'object' })
+  }, []),
+  Stats: object({
+    tenant: string,
+    seed: string,
+    scenario: { type: 'string', enum: enums.scenarios },
+    defaultScenario: { type: 'string', enum: enums.scenarios },
+    loadedScenarios: arrayOf({ type: 'string', enum: enums.scenarios }),
+    dataRange: object({ startDate: date, endDate: date }),
+    today: date,
+    storeCount: integer,
+    days: integer,
+    factCells: integer,
+    productCount: integer,
+    skuCount: integer,
+    employeeCount: integer,
+    generatedAt: dateTime,
+    durationMs: integer,
+    memory: object({ rssBytes: integer, heapUsedBytes: integer })
+  }, [
+    'tenant', 'seed', 'scenario', 'defaultScenario', 'loadedScenarios', 'dataRange', 'today', 'storeCount',
+    'days', 'factCells', 'productCount', 'skuCount', 'employeeCount', 'memory'
+  ])
+};
+
+const parameters = {
+  startDate: queryParam('startDate', date, 'First day of the period'),
+  endDate: queryParam('endDate', date, 'Last day of the period'),
+  timeRange: queryParam('timeRange', string, `Preset period, used instead of startDate/endDate: ${enums.timeRanges.join(', ')}`),
+  storeIds: queryParam('storeIds', string, 'Comma-separated store ids'),
+  region: queryParam('region', { type: 'string', enum: enums.regions }, 'Only stores in this region'),
+  storeType: queryParam('storeType', { type: 'string', enum: enums.storeTypes }, 'Only stores of this type'),
+  department: queryParam('department', { type: 'string', enum: enums.departments }, 'Only this department'),
+  category: queryParam('category', { type: 'string', enum: enums.categories }, 'Only this category'),
+  sort: queryParam('sort', string, 'field:asc or field:desc, comma-separated for tie-breakers'),
+  fields: queryParam('fields', string, 'Comma-separated columns to return'),
+  page: queryParam('page', { type: 'integer', minimum: 1 }, 'Page number, from 1'),
+  pageSize: queryParam('pageSize', { type: 'integer', minimum: 1, maximum: 500 }, 'Rows per page'),
+  cursor: queryParam('cursor', string, 'Cursor from a previous page, used instead of page'),
+  format: queryParam('format', { type: 'string', enum: Object.keys(exportFormats) }, 'Response format, used instead of the Accept header'),
+  scenario: queryParam('scenario', string, `Data set to read: ${enums.scenarios.join(', ')}. Also accepted as the X-Mock-Scenario header`),
+  tenant: {
+    name: 'X-Mock-Tenant',
+    in: 'header',
+    required: false,
+    description: 'Tenant whose data to serve; see /api/tenants. Also picked by a /tenants/{tenantId} path prefix or a subdomain',
+    schema: string
+  },
+  compareStartDate: queryParam('compareStartDate', date, 'First day of the period to compare with, used instead of vs'),
+  compareEndDate: queryParam('compareEndDate', date, 'Last day of the period to compare with'),
+  vs: queryParam('vs', { type: 'string', enum: enums.comparisonBases }, 'Period to compare with: previousYear (52 weeks earlier, the default) or previousPeriod (as many days just before)'),
+  alertThresholds: queryParam('thresholds', string, `Alert thresholds over the configured ones, e.g. salesDrop=0.5,lookbackDays=14: ${enums.alertThresholds.join(', ')}`),
+  horizon: queryParam('horizon', { type: 'integer', minimum: 1 }, 'Buckets to forecast: by default 28 days, 12 weeks, 6 months or 4 quarters, and at most 366, 52, 12 or 4'),
+  forecastGranularity: queryParam('granularity', { type: 'string', enum: enums.granularities }, 'Bucket size, week by default'),
+  confidence: queryParam('confidence', confidenceSchema, 'Percent of outcomes the bounds should cover, 80 by default'),
+  chaos: queryParam('chaos', string, 'Fault injection settings for this request, e.g. latency=200,errorRate=0.5. Also accepted as the X-Mock-Chaos header')
+};
+
+function body(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+const forbidden = jsonResponse('Outside the signed-in user\'s scope', ref('Error'));
+const unauthorized = jsonResponse('Missing, invalid or expired token', ref('Error'));
+
+const storeWriteResponses = {
+  404: notFound,
+  422: jsonResponse('Invalid fields', ref('Error'))
+};
+
+const paths = {
+  '/api/auth/login': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Sign in a seeded user and get a bearer token',
+      description: 'Users are `exec`, `regional-<region>` and `manager-<store id>`, e.g. `regional-northeast` or `manager-st001`; see /api/auth/users. `expiresIn` sets the token lifetime in seconds, so 0 gives an already expired token.',
+      security: [],
+      requestBody: body(object({
+        username: string,
+        password: string,
+        expiresIn: { type: 'integer', minimum: 0 }
+      }, ['username', 'password'])),
+      responses: { 200: jsonResponse('Token', ref('LoginResult')), 401: jsonResponse('Wrong username or password', ref('Error')) }
+    }
+  },
+  '/api/auth/me': {
+    get: {
+      tags: ['Auth'],
+      summary: 'The signed-in user',
+      responses: { 200: jsonResponse('User', object({ user: ref('User') })), 401: unauthorized }
+    }
+  },
+  '/api/auth/users': {
+    get: {
+      tags: ['Auth'],
+      summary: 'Users that can sign in, all sharing the server\'s password',
+      security: [],
+      responses: { 200: jsonResponse('Users', object({ users: arrayOf(ref('User')) })) }
+    }
+  },
+  '/api/stores': {
+    get: {
+      tags: ['Stores'],
+      summary: 'List stores',
+      parameters: paramRefs(listParams),
+      responses: { 200: jsonResponse('Stores', arrayOf(ref('StoreRow')), pageHeaders) }
+    },
+    post: {
+      tags: ['Stores'],
+      summary: 'Open a store with the id in the body or the next free STnnn id',
+      requestBody: body(ref('StoreInput')),
+      responses: {
+        201: jsonResponse('The new store', ref('Store')),
+        409: jsonResponse('The id is taken', ref('Error')),
+        422: storeWriteResponses[422]
+      }
+    }
+  },
+  '/api/stores/search': {
+    get: {
+      tags: ['Stores'],
+      summary: 'Find stores by text or location',
+      parameters: [
+        queryParam('q', string, 'Text matched against name, city, address and manager'),
+        queryParam('lat', number, 'Latitude to measure distance from'),
+        queryParam('lng', number, 'Longitude to measure distance from'),
+        queryParam('radiusKm', { type: 'number', minimum: 0 }, 'Only stores within this distance of lat/lng'),
+        queryParam('bbox', string, 'Bounding box as minLat,minLng,maxLat,maxLng'),
+        ...paramRefs(['region', 'storeType', ...listParams])
+      ],
+      responses: { 200: jsonResponse('Matching stores', arrayOf(ref('StoreSearchRow')), pageHeaders) }
+    }
+  },
+  '/api/stores/{storeId}': {
+    parameters: [pathParam('storeId', 'Store id, e.g. ST001')],
+    get: {
+      tags: ['Stores'],
+      summary: 'Get a store',
+      responses: { 200: jsonResponse('The store', ref('Store')), 403: forbidden, 404: notFound }
+    },
+    post: {
+      tags: ['Stores'],
+      summary: 'Open a store with the given id',
+      requestBody: body(ref('StoreInput')),
+      responses: {
+        201: jsonResponse('The new store', ref('Store')),
+        409: jsonResponse('The id is taken', ref('Error')),
+        422: storeWriteResponses[422]
+      }
+    },
+    put: {
+      tags: ['Stores'],
+      summary: 'Replace a store\'s fields',
+      requestBody: body(ref('StoreInput')),
+      responses: { 200: jsonResponse('The updated store', ref('Store')), ...storeWriteResponses }
+    },
+    patch: {
+      tags: ['Stores'],
+      summary: 'Update some of a store\'s fields',
+      requestBody: body(ref('StorePatch')),
+      responses: { 200: jsonResponse('The updated store', ref('Store')), ...storeWriteResponses }
+    },
+    delete: {
+      tags: ['Stores'],
+      summary: 'Close a store, removing its sales, stock and staff',
+      responses: { 204: { description: 'Closed' }, 404: notFound }
+    }
+  },
+  '/api/sales': {
+    get: {
+      tags: ['Sales'],
+      summary: 'Sales summary and breakdowns for the selected stores and period',
+      parameters: [
+        ...paramRefs([...periodParams, ...storeFilterParams, ...listParams]),
+        ...exportParams(['byDate', 'byRegion', 'byCategory', 'byStore'])
+      ],
+      responses: { 200: exportResponse('Sales', ref('Sales')) }
+    }
+  },
+  '/api/sales/timeseries': {
+    get: {
+      tags: ['Sales'],
+      summary: 'Sales bucketed over time, optionally split into series',
+      parameters: [
+        ...paramRefs([...periodParams, ...storeFilterParams]),
+        queryParam('granularity', { type: 'string', enum: enums.granularities }, 'Bucket size, day by default'),
+        queryParam('groupBy', { type: 'string', enum: enums.seriesGroupings }, 'One series per group')
+      ],
+      responses: { 200: jsonResponse('Series', ref('SalesTimeseries')) }
+    }
+  },
+  '/api/sales/compare': {
+    get: {
+      tags: ['Sales'],
+      summary: 'Two periods side by side, with changes and comp-store sales',
+      description: 'Comp stores are those open by the start of the earlier period; `excludedStoreIds` lists the rest of the selection. Both periods must fall within the generated dates.',
+      parameters: [
+        ...paramRefs([...periodParams, 'compareStartDate', 'compareEndDate', 'vs', ...storeFilterParams, ...listParams]),
+        ...exportParams(['byRegion', 'byCategory', 'byStore'])
+      ],
+      responses: { 200: exportResponse('Comparison', ref('SalesComparison')) }
+    }
+  },
+  '/api/sales/forecast': {
+    get: {
+      tags: ['Sales'],
+      summary: 'Sales forecast for the buckets after today, with bounds and a backtest',
+      description: 'Each store is fitted with a trend and weekday and month effects on its daily sales up to today, and the forecast is the sum over the selected stores. Stores with under four weeks of sales are left out and listed in `excludedStoreIds`. The backtest refits with as many days held out as the forecast covers, and scores its forecast for them.',
+      parameters: paramRefs([...storeFilterParams, 'forecastGranularity', 'horizon', 'confidence']),
+      responses: { 200: jsonResponse('Forecast', ref('SalesForecast')) }
+    }
+  },
+  '/api/sales/stream': {
+    get: {
+      tags: ['Sales'],
+      summary: 'Live transactions as Server-Sent Events, or over a WebSocket when upgraded',
+      description: 'Emits `transaction` events for the selected stores, a `clock` event each simulated hour and an `end` event when the simulated clock reaches closing time on the last generated day. WebSocket messages are `{ type, data }` objects with the same events.',
+      parameters: [
+        ...paramRefs(storeFilterParams),
+        queryParam('access_token', string, 'Bearer token, for EventSource and WebSocket clients that can\'t send an Authorization header')
+      ],
+      responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: string } } } }
+    }
+  },
+  '/api/inventory': {
+    get: {
+      tags: ['Inventory'],
+      summary: 'Stock rolled up for the selected stores',
+      parameters: [...paramRefs([...storeFilterParams, ...listParams]), ...exportParams(['byCategory', 'byStore'])],
+      responses: { 200: exportResponse('Inventory', ref('Inventory')) }
+    }
+  },
+  '/api/products': {
+    get: {
+      tags: ['Inventory'],
+      summary: 'Product catalog',
+      parameters: [
+        ...paramRefs(['department', 'category']),
+        queryParam('q', string, 'Text matched against product names and SKUs'),
+        ...paramRefs(listParams)
+      ],
+      responses: { 200: jsonResponse('Products', arrayOf(ref('ProductRow')), pageHeaders) }
+    }
+  },
+  '/api/stores/{storeId}/inventory': {
+    parameters: [pathParam('storeId', 'Store id')],
+    get: {
+      tags: ['Inventory'],
+      summary: 'Stock on hand for every SKU at a store',
+      parameters: [
+        ...paramRefs(['department', 'category']),
+        queryParam('status', { type: 'string', enum: enums.stockStatuses }, 'Only SKUs with this stock status'),
+        ...paramRefs(listParams)
+      ],
+      responses: { 200: jsonResponse('Store inventory', ref('StoreInventory')), 403: forbidden, 404: notFound }
+    }
+  },
+  '/api/stores/{storeId}/staff': {
+    parameters: [pathParam('storeId', 'Store id')],
+    get: {
+      tags: ['Staff'],
+      summary: 'Store roster with performance for the period',
+      parameters: paramRefs([...periodParams, ...listParams]),
+      responses: { 200: jsonResponse('Store staff', ref('StoreStaff')), 403: forbidden, 404: notFound }
+    }
+  },
+  '/api/staff/{employeeId}': {
+    parameters: [pathParam('employeeId', 'Employee id, e.g. ST001-E001')],
+    get: {
+      tags: ['Staff'],
+      summary: 'One employee with a performance breakdown',
+      parameters: [
+        ...paramRefs(periodParams),
+        queryParam('granularity', { type: 'string', enum: enums.granularities }, 'Breakdown bucket size, month by default')
+      ],
+      responses: { 200: jsonResponse('Employee', ref('EmployeeDetail')), 403: forbidden, 404: notFound }
+    }
+  },
+  '/api/stores/{storeId}/forecast': {
+    parameters: [pathParam('storeId', 'Store id')],
+    get: {
+      tags: ['Sales'],
+      summary: 'Sales forecast for one store, with its fitted trend and seasonality',
+      parameters: paramRefs(['forecastGranularity', 'horizon', 'confidence']),
+      responses: {
+        200: jsonResponse('Store forecast', ref('StoreForecast')),
+        403: forbidden,
+        404: notFound,
+        422: jsonResponse('Under four weeks of sales to forecast from', ref('Error'))
+      }
+    }
+  },
+  '/api/stores/{storeId}/benchmark': {
+    parameters: [pathParam('storeId', 'Store id')],
+    get: {
+      tags: ['Stores'],
+      summary: 'A store ranked against the stores of its region and type',
+      description: 'Peers are the other stores of the same region and type that had opened by the start of the period. Each metric reports the store\'s rank and percentile among them, their median and 75th percentile, and how far the store falls short of it. Turnover covers the trailing year; the other metrics cover the period.',
+      parameters: paramRefs(periodParams),
+      responses: { 200: jsonResponse('Benchmark', ref('StoreBenchmark')), 403: forbidden, 404: notFound }
+    }
+  },
+  '/api/stores/{storeId}/details': {
+    parameters: [pathParam('storeId', 'Store id')],
+    get: {
+      tags: ['Stores'],
+      summary: 'Store information, department sales, staff, stock and history',
+      parameters: paramRefs(periodParams),
+      responses: { 200: jsonResponse('Store details', ref('StoreDetails')), 403: forbidden, 404: notFound }
+    }
+  },
+  '/api/alerts': {
+    get: {
+      tags: ['Alerts'],
+      summary: 'Sales drops, stock-outs, declining departments and staff outliers, most severe first',
+      description: 'Alerts are detected in the data up to today on every request. Dismissed alerts are left out unless `status` asks for them.',
+      parameters: [
+        ...paramRefs([...storeFilterParams, 'alertThresholds']),
+        queryParam('type', string, `Comma-separated alert types: ${enums.alertTypes.join(', ')}`),
+        queryParam('severity', string, `Comma-separated severities: ${enums.alertSeverities.join(', ')}`),
+        queryParam('status', string, `Comma-separated statuses: ${enums.alertStatuses.join(', ')}. open and acknowledged by default`),
+        ...paramRefs(listParams)
+      ],
+      responses: { 200: jsonResponse('Alerts', ref('Alerts')) }
+    }
+  },
+  ...Object.fromEntries(['acknowledge', 'dismiss'].map(action => [`/api/alerts/{alertId}/${action}`, {
+    parameters: [pathParam('alertId', 'Alert id')],
+    post: {
+      tags: ['Alerts'],
+      summary: action === 'acknowledge' ? 'Acknowledge an alert' : 'Dismiss an alert',
+      parameters: paramRefs(['alertThresholds']),
+      responses: {
+        200: jsonResponse('The alert', ref('Alert')),
+        404: notFound,
+        ...(action === 'acknowledge' ? { 409: jsonResponse('The alert was dismissed', ref('Error')) } : {})
+      }
+    }
+  }])),
+  '/api/customers': {
+    get: {
+      tags: ['Customers'],
+      summary: 'Generated customers with their loyalty tier and RFM segment',
+      description: 'Customers come a page at a time, 50 unless pageSize is given. Tiers and segments are worked out from the trailing year to today.',
+      parameters: [
+        ...paramRefs(storeFilterParams),
+        queryParam('loyaltyTier', string, `Comma-separated loyalty tiers: ${enums.loyaltyTiers.join(', ')}`),
+        queryParam('segment', string, `Comma-separated RFM segments: ${enums.rfmSegments.join(', ')}`),
+        ...paramRefs(listParams)
+      ],
+      responses: { 200: jsonResponse('Customers', ref('Customers')) }
+    }
+  },
+  '/api/customers/summary': {
+    get: {
+      tags: ['Customers'],
+      summary: 'Traffic, conversion, new and returning customers, tiers and basket size for the period',
+      description: 'Conversion is transactions over foot traffic. New customers made their first purchase in the period; customer figures stop at today.',
+      parameters: [
+        ...paramRefs([...periodParams, ...storeFilterParams]),
+        queryParam('groupBy', { type: 'string', enum: enums.customerGroupings }, 'Also break the figures down by region or store')
+      ],
+      responses: { 200: jsonResponse('Customer summary', ref('CustomerSummary')) }
+    }
+  },
+  '/api/customers/cohorts': {
+    get: {
+      tags: ['Customers'],
+      summary: 'Retention of each month\'s new customers in the months since',
+      parameters: [
+        queryParam('startDate', date, 'A day in the first acquisition month; 11 months before today\'s by default'),
+        queryParam('endDate', date, 'A day in the last acquisition month; today\'s by default'),
+        ...paramRefs(storeFilterParams)
+      ],
+      responses: { 200: jsonResponse('Cohorts', ref('CustomerCohorts')) }
+    }
+  },
+  '/api/customers/segments': {
+    get: {
+      tags: ['Customers'],
+      summary: 'Customers in each RFM segment as of today',
+      parameters: paramRefs(storeFilterParams),
+      responses: { 200: jsonResponse('Segments', ref('CustomerSegments')) }
+    }
+  },
+  '/api/customers/{customerId}': {
+    parameters: [pathParam('customerId', 'Customer id, e.g. ST001-C00001')],
+    get: {
+      tags: ['Customers'],
+      summary: 'One customer with their RFM scores and purchase history',
+      responses: { 200: jsonResponse('Customer', ref('Customer')), 403: forbidden, 404: notFound }
+    }
+  },
+  '/api/filters': {
+    get: {
+      tags: ['Reference'],
+      summary: 'Filter options for the dashboard',
+      responses: { 200: jsonResponse('Filters', ref('Filters')) }
+    }
+  },
+  '/api/tenants': {
+    get: {
+      tags: ['Reference'],
+      summary: 'Tenants this server mocks, and the one served by default',
+      responses: { 200: jsonResponse('Tenants', ref('Tenants')) }
+    }
+  },
+  '/api/scenarios': {
+    get: {
+      tags: ['Reference'],
+      summary: 'Available scenarios and the one serving this request',
+      responses: { 200: jsonResponse('Scenarios', ref('Scenarios')) }
+    }
+  },
+  '/graphql': {
+    get: {
+      tags: ['GraphQL'],
+      summary: 'Run a GraphQL query from the query string, or open GraphiQL in a browser',
+      parameters: [
+        queryParam('query', string, 'GraphQL query'),
+        queryParam('variables', string, 'Variables as a JSON object'),
+        queryParam('operationName', string, 'Operation to run when the query holds several')
+      ],
+      responses: { 200: jsonResponse('Query result', ref('GraphQLResult')), 400: jsonResponse('Invalid query', ref('GraphQLResult')) }
+    },
+    post: {
+      tags: ['GraphQL'],
+      summary: 'Run a GraphQL query',
+      requestBody: body(object({ query: string, variables: { type: ['object', 'null'] }, operationName: nullable('string') }, ['query'])),
+      responses: { 200: jsonResponse('Query result', ref('GraphQLResult')), 400: jsonResponse('Invalid query', ref('GraphQLResult')) }
+    }
+  },
+  '/__admin/stats': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Generation stats',
+      parameters: paramRefs(['scenario']),
+      responses: { 200: jsonResponse('Stats', ref('Stats')) }
+    }
+  },
+  '/__admin/regenerate': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Regenerate every data set',
+      requestBody: body(object({
+        seed: string,
+        storeCount: { type: 'integer', minimum: 0, maximum: 500 },
+        startDate: date,
+        endDate: date,
+        today: date,
+        scenario: { type: 'string', enum: enums.scenarios }
+      }, [])),
+      responses: { 200: jsonResponse('Stats for the new data', ref('Stats')) }
+    }
+  },
+  '/__admin/reset': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Regenerate with the last seed and options, discarding changes',
+      responses: { 200: jsonResponse('Stats for the new data', ref('Stats')) }
+    }
+  },
+  '/__admin/scenario': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Set the default scenario',
+      requestBody: body(object({ scenario: { type: 'string', enum: enums.scenarios } })),
+      responses: { 200: jsonResponse('Stats for the scenario', ref('Stats')) }
+    }
+  },
+  '/__admin/snapshot': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Download a data set as JSON or a SQLite database',
+      parameters: [
+        queryParam('format', { type: 'string', enum: ['json', 'sqlite'] }, 'File format, json by default'),
+        ...paramRefs(['scenario'])
+      ],
+      responses: {
+        200: {
+          description: 'Snapshot',
+          content: {
+            'application/json': { schema: { type: 'object' } },
+            'application/vnd.sqlite3': { schema: { type: 'string', format: 'binary' } }
+          }
+        }
+      }
+    },
+    post: {
+      tags: ['Admin'],
+      summary: 'Load a snapshot in either format, or a fixture, as the default data set',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': { schema: { type: 'object' } },
+          'application/vnd.sqlite3': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      responses: {
+        200: jsonResponse('Stats for the loaded data', ref('Stats')),
+        422: jsonResponse('Fixture entries that could not be applied', ref('Error'))
+      }
+    }
+  },
+  '/__admin/mutations': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Store writes, oldest first',
+      parameters: paramRefs(['scenario']),
+      responses: { 200: jsonResponse('Mutations', object({ mutations: arrayOf(ref('Mutation')) })) }
+    }
+  },
+  '/__admin/mutations/undo': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Undo the latest store write',
+      parameters: paramRefs(['scenario']),
+      responses: {
+        200: jsonResponse('Undone mutations', object({ undone: arrayOf(ref('Mutation')) })),
+        409: jsonResponse('Nothing to undo', ref('Error'))
+      }
+    }
+  },
+  '/__admin/mutations/{mutationId}/undo': {
+    parameters: [pathParam('mutationId', 'Mutation id, e.g. M0001')],
+    post: {
+      tags: ['Admin'],
+      summary: 'Undo a store write and every later one',
+      parameters: paramRefs(['scenario']),
+      responses: {
+        200: jsonResponse('Undone mutations, newest first', object({ undone: arrayOf(ref('Mutation')) })),
+        404: notFound,
+        409: jsonResponse('Nothing to undo', ref('Error'))
+      }
+    }
+  }
+};
+
+// Every API route takes the scenario and fault injection overrides, every
+// route takes the tenant, API and admin routes can answer 401, admin routes
+// need a token and answer 403 for anyone but executives, and any route can
+// answer with an error body
+Object.entries(paths).forEach(([path, pathItem]) => {
+  Object.entries(pathItem)
+    .filter(([method]) => method !== 'parameters')
+    .forEach(([, operation]) => {
+      if (path.startsWith('/api/')) {
+        operation.parameters = [...(operation.parameters || []), ...paramRefs(['scenario', 'chaos'])];
+      }
+      operation.parameters = [...(operation.parameters || []), ...paramRefs(['tenant'])];
+      if ((path.startsWith('/api/') || path.startsWith('/__admin/')) && operation.security === undefined) {
+        operation.responses[401] = operation.responses[401] || unauthorized;
+      }
+      if (path.startsWith('/__admin/')) {
+        operation.security = [{ bearerAuth: [] }];
+        operation.responses[403] = jsonResponse('Signed in as someone other than an executive', ref('Error'));
+      }
+      operation.responses.default = jsonResponse('Error', ref('Error'));
+    });
+});
+
+const openApiSpec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'RetailMetrics Mock API',
+    version: '1.0.0',
+    description: 'Seeded mock data for the RetailMetrics retail dashboard, for one or more retailers. Every response carries X-Mock-Tenant, X-Mock-Seed and X-Mock-Scenario headers. With a token from /api/auth/login, responses only cover the signed-in user\'s region or store.'
+  },
+  tags: [
+    { name: 'Auth', description: 'Seeded users whose tokens scope every response' },
+    { name: 'Stores' },
+    { name: 'Sales' },
+    { name: 'Inventory' },
+    { name: 'Staff' },
+    { name: 'Alerts', description: 'Anomalies found in the sales, stock and staff data' },
+    { name: 'Customers', description: 'Generated loyalty customers behind the identified share of transactions' },
+    { name: 'Reference' },
+    { name: 'GraphQL', description: 'The same data as a graph; see /graphql' },
+    { name: 'Admin', description: 'Runtime controls for tests' }
+  ],
+  security: [{}, { bearerAuth: [] }],
+  paths,
+  components: {
+    schemas,
+    parameters,
+    securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } }
+  }
+};
+
+// Swagger UI, loaded from a CDN
+const docsPage = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>RetailMetrics Mock API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: './openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+// Copies of the document per tenant, with its lists in place of the default
+// tenant's. Enum arrays are shared by reference above, so they are swapped by
+// identity.
+const tenantSpecs = new Map();
+
+function replaceArrays(value, replacements) {
+  if (Array.isArray(value)) {
+    return replacements.has(value) ? replacements.get(value) : value.map(item => replaceArrays(item, replacements));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceArrays(item, replacements)]));
+  }
+  return value;
+}
+
+function getOpenApiSpec(tenantId) {
+  if (!tenantId) return openApiSpec;
+
+  if (!tenantSpecs.has(tenantId)) {
+    const tenantEnums = getTenantEnums(tenantId);
+    const replacements = new Map(['regions', 'categories', 'departments'].map(key => [enums[key], tenantEnums[key]]));
+    tenantSpecs.set(tenantId, replaceArrays(openApiSpec, replacements));
+  }
+  return tenantSpecs.get(tenantId);
+}
+
+module.exports = {
+  openApiSpec,
+  getOpenApiSpec,
+  docsPage
+};
@@ -2,19 +2,106 @@
  * RetailMetrics Mock API Server
  * 
  * A simple Express server that provides mock API endpoints for the RetailMetrics dashboard.
- * This uses the data generated by mockDataGenerator.js and serves it via REST endpoints.
+ * This uses the data generated by data.js and serves it via REST endpoints, described
+ * by the OpenAPI document in openapi.js.
  */
 
 const express = require('express');
 const cors = require('cors');
 const mockData = require('./data');
+const { getOption } = require('./config');
+const { createChaosMiddleware, loadChaosConfig } = require('./chaos');
+const { createAdminRouter } = require('./admin');
+const { getOpenApiSpec, docsPage } = require('./openapi');
+const { createValidationMiddleware } = require('./validation');
+const { getExportFormat, sendExport } = require('./export');
+const { createLiveFeed } = require('./live');
+const { handleGraphQL, handlePlaygroundAsset } = require('./graphql');
+const { loadDataFile, saveDataFile } = require('./datafile');
+const { loadTenantConfigs, selectTenant } = require('./tenants');
+const { createAuth } = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const validateModes = {
+  requests: { requests: true, responses: false },
+  responses: { requests: false, responses: true },
+  all: { requests: true, responses: true },
+  true: { requests: true, responses: true }
+};
+
+// Generate the data up front; pass --seed or MOCK_SEED to make it reproducible,
+// --today or MOCK_TODAY to move the date timeRange presets resolve against,
+// and --scenario or MOCK_SCENARIO to change the default scenario. The admin
+// API can regenerate it later without a restart.
+const generationOptions = {
+  seed: getOption('seed', 'MOCK_SEED'),
+  today: getOption('today', 'MOCK_TODAY'),
+  scenario: getOption('scenario', 'MOCK_SCENARIO'),
+  storeCount: getOption('store-count', 'MOCK_STORE_COUNT'),
+  startDate: getOption('start-date', 'MOCK_START_DATE'),
+  endDate: getOption('end-date', 'MOCK_END_DATE')
+};
+
+// Retailers to mock: --tenants or MOCK_TENANTS adds tenant configs from a JSON
+// file, and --tenant or MOCK_TENANT picks the one requests get by default.
+// Other tenants are generated with the options above when first asked for.
+mockData.configureTenants({
+  configs: loadTenantConfigs(getOption('tenants', 'MOCK_TENANTS')),
+  defaultTenant: getOption('tenant', 'MOCK_TENANT'),
+  generationOptions
+});
+
+// --load-data or MOCK_LOAD_DATA starts from a saved snapshot or a fixture
+// for the default tenant instead, with the options above filling in what a
+// fixture leaves out.
+// --save-data or MOCK_SAVE_DATA writes the data set to a .json or .sqlite file.
+const loadDataPath = getOption('load-data', 'MOCK_LOAD_DATA');
+if (loadDataPath) {
+  try {
+    loadDataFile(loadDataPath, generationOptions);
+  } catch (error) {
+    console.error(`Could not load ${loadDataPath}: ${error.message}`);
+    (error.fields || []).forEach(({ field, message }) => console.error(`  ${field || '(file)'}: ${message}`));
+    process.exit(1);
+  }
+} else {
+  mockData.initializeMockData(generationOptions);
+}
+
+const saveDataPath = getOption('save-data', 'MOCK_SAVE_DATA');
+if (saveDataPath) {
+  saveDataFile(saveDataPath, mockData.getDataStore());
+}
+
+// Sign-in for seeded users, whose tokens scope every response. --auth or
+// MOCK_AUTH is optional (the default: tokens are checked when sent, and only
+// the admin API needs one), required, or off to ignore tokens; --auth-secret or MOCK_AUTH_SECRET keeps tokens valid across
+// restarts, --auth-password or MOCK_AUTH_PASSWORD changes the shared password
+// and --auth-token-ttl or MOCK_AUTH_TOKEN_TTL the token lifetime in seconds.
+const authOption = getOption('auth', 'MOCK_AUTH');
+const auth = createAuth({
+  mode: authOption === 'true' ? 'required' : authOption || 'optional',
+  secret: getOption('auth-secret', 'MOCK_AUTH_SECRET'),
+  password: getOption('auth-password', 'MOCK_AUTH_PASSWORD'),
+  tokenTtl: getOption('auth-token-ttl', 'MOCK_AUTH_TOKEN_TTL')
+});
+
+// Simulated transactions for /api/sales/stream; --live-speed or MOCK_LIVE_SPEED
+// runs the clock faster, and --live-rate or MOCK_LIVE_RATE sets transactions
+// per store per hour in place of each store's recent average
+const liveFeed = createLiveFeed({
+  speed: getOption('live-speed', 'MOCK_LIVE_SPEED'),
+  rate: getOption('live-rate', 'MOCK_LIVE_RATE'),
+  auth
+});
+
+// Thresholds for the anomaly scan behind /api/alerts, in the compact form
+// --alert-thresholds or MOCK_ALERT_THRESHOLDS, e.g. salesDrop=0.5,lookbackDays=14
+const alertThresholds = mockData.parseAlertThresholds(getOption('alert-thresholds', 'MOCK_ALERT_THRESHOLDS'));
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ['X-Mock-Tenant', 'X-Mock-Seed', 'X-Mock-Scenario', 'X-Mock-Chaos-Faults', 'X-Mock-Mutation', 'X-Total-Count', 'Link', 'Retry-After', 'Location', 'Content-Disposition', 'WWW-Authenticate'] }));
 
 // Add some request logging
 app.use((req, res, next) => {
@@ -22,35 +109,365 @@ app.use((req, res, next) => {
   next();
 });
 
+// Pick the tenant: a /tenants/{tenantId} path prefix, the X-Mock-Tenant header
+// or a subdomain. The prefix is stripped so the routes below match as usual.
+app.use((req, res, next) => {
+  const { tenantId, url } = selectTenant(req, mockData.getTenantIds());
+  req.url = url;
+  req.tenant = mockData.resolveTenantId(tenantId);
+  res.set('X-Mock-Tenant', req.tenant);
+  next();
+});
+
+// Check query parameters and responses against the OpenAPI document; off
+// unless --validate or MOCK_VALIDATE is requests, responses or all
+const validateMode = getOption('validate', 'MOCK_VALIDATE');
+if (validateMode) {
+  if (!validateModes[validateMode]) {
+    throw new Error(`Invalid validate mode '${validateMode}'. Expected one of: ${Object.keys(validateModes).join(', ')}`);
+  }
+  app.use(createValidationMiddleware({ spec: req => getOpenApiSpec(req.tenant), ...validateModes[validateMode] }));
+}
+
+app.get('/openapi.json', (req, res) => {
+  res.json(getOpenApiSpec(req.tenant));
+});
+
+app.get('/docs', (req, res) => {
+  res.type('html').send(docsPage);
+});
+
+// GraphiQL's scripts and styles, which like the docs need no token
+app.get('/graphql/assets/:file', handlePlaygroundAsset);
+
+// Runtime controls; these parse their own bodies and skip fault injection,
+// but not sign-in: only executives may use them
+app.use('/__admin', auth.adminMiddleware, createAdminRouter());
+
+app.use(express.json());
+
+// Pick the tenant's data set for this request; ?scenario= wins over the
+// X-Mock-Scenario header. Report the seed and scenario so any response can be
+// reproduced.
+app.use((req, res, next) => {
+  const scenario = req.query.scenario || req.get('X-Mock-Scenario');
+  req.dataStore = mockData.withTenant(req.tenant, () => mockData.getDataStore(scenario));
+  res.set('X-Mock-Seed', req.dataStore.seed);
+  res.set('X-Mock-Scenario', req.dataStore.scenario.name);
+  next();
+});
+
+// Check the bearer token and narrow the data set to the caller's stores
+app.use(auth.authMiddleware);
+
+// Injected latency and failures; off unless configured with --chaos-config,
+// --chaos or a per-request X-Mock-Chaos header or chaos query parameter
+const chaosConfigPath = getOption('chaos-config', 'MOCK_CHAOS_CONFIG');
+let chaosConfig;
+try {
+  chaosConfig = loadChaosConfig(chaosConfigPath);
+} catch (error) {
+  console.error(`Could not load ${chaosConfigPath}: ${error.message}`);
+  process.exit(1);
+}
+app.use(createChaosMiddleware({
+  config: chaosConfig,
+  overrides: getOption('chaos', 'MOCK_CHAOS'),
+  seed: () => getOption('chaos-seed', 'MOCK_CHAOS_SEED') || mockData.getSeed()
+}));
+
+// Sorting, paging and projection parameters shared by list endpoints
+function getListParams(query) {
+  const { sort, fields, page, pageSize, cursor } = query;
+  return { sort, fields, page, pageSize, cursor };
+}
+
+// Report tables take the list parameters, except downloads, which hold every
+// row and have their store rows built as the file is written
+function getReportParams(req) {
+  if (getExportFormat(req) === 'json') return getListParams(req.query);
+  const { sort, fields } = req.query;
+  return { sort, fields, download: true };
+}
+
+// Links to the neighbouring pages, keeping the rest of the query string
+function getPageLinks(req, pagination) {
+  const buildLink = (cursor, page) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    if (req.query.cursor !== undefined) {
+      url.searchParams.set('cursor', cursor);
+    } else {
+      url.searchParams.set('page', page);
+    }
+    return url.toString();
+  };
+
+  return {
+    next: pagination.nextCursor ? buildLink(pagination.nextCursor, pagination.page + 1) : null,
+    prev: pagination.prevCursor ? buildLink(pagination.prevCursor, pagination.page - 1) : null
+  };
+}
+
+// Plain array bodies report paging details in headers
+function setPageHeaders(req, res, pagination) {
+  res.set('X-Total-Count', String(pagination.total));
+  const linkHeader = Object.entries(getPageLinks(req, pagination))
+    .filter(([, url]) => url)
+    .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+    .join(', ');
+  if (linkHeader) res.set('Link', linkHeader);
+}
+
+// Run a handler against the request's data set
+function useDataStore(req, handler) {
+  return mockData.withDataStore(req.dataStore, handler);
+}
+
+// Stores and employees outside the caller's scope are forbidden
+app.param('storeId', (req, res, next, storeId) => {
+  auth.checkStoreAccess(req, storeId);
+  next();
+});
+
+app.param('employeeId', (req, res, next, employeeId) => {
+  auth.checkEmployeeAccess(req, employeeId);
+  next();
+});
+
+// Customers belong to their home store, named in their id
+app.param('customerId', (req, res, next, customerId) => {
+  const customer = mockData.parseCustomerId(customerId);
+  if (customer) auth.checkStoreAccess(req, customer.storeId);
+  next();
+});
+
 // Endpoints
+app.post('/api/auth/login', (req, res) => {
+  res.json(auth.handleLogin(req.body, req.dataStore));
+});
+
+app.get('/api/auth/me', (req, res) => {
+  if (!req.user) {
+    throw mockData.createHttpError(401, 'Not signed in');
+  }
+
+  res.json({ user: req.user });
+});
+
+// The seeded users of the data set, who share the --auth-password
+app.get('/api/auth/users', (req, res) => {
+  res.json(auth.handleGetUsers(req.dataStore));
+});
+
 app.get('/api/stores', (req, res) => {
-  res.json(mockData.handleGetStores());
+  const { stores, pagination } = useDataStore(req, () => mockData.handleGetStores(getListParams(req.query)));
+  
+  setPageHeaders(req, res, pagination);
+  res.json(stores);
+});
+
+app.get('/api/stores/search', (req, res) => {
+  const { q, lat, lng, radiusKm, bbox, region, storeType } = req.query;
+  
+  // Text and geo criteria combine; results are nearest first when lat/lng is given
+  const params = { q, lat, lng, radiusKm, bbox, region, storeType, ...getListParams(req.query) };
+  const { stores, pagination } = useDataStore(req, () => mockData.handleSearchStores(params));
+  
+  setPageHeaders(req, res, pagination);
+  res.json(stores);
+});
+
+app.get('/api/stores/:storeId', (req, res) => {
+  const store = useDataStore(req, () => mockData.handleGetStore(req.params.storeId));
+  
+  if (!store) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+  
+  res.json(store);
+});
+
+// Store writes; the X-Mock-Mutation header names the log entry that can undo each one
+app.post('/api/stores', (req, res) => {
+  const { store, mutation } = useDataStore(req, () => mockData.handleCreateStore(undefined, req.body));
+  
+  res.set('X-Mock-Mutation', mutation.id).location(`/api/stores/${store.id}`).status(201).json(store);
+});
+
+app.post('/api/stores/:storeId', (req, res) => {
+  const { store, mutation } = useDataStore(req, () => mockData.handleCreateStore(req.params.storeId, req.body));
+  
+  res.set('X-Mock-Mutation', mutation.id).location(`/api/stores/${store.id}`).status(201).json(store);
+});
+
+app.put('/api/stores/:storeId', (req, res) => {
+  const result = useDataStore(req, () => mockData.handleUpdateStore(req.params.storeId, req.body, false));
+  
+  if (!result) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+  
+  res.set('X-Mock-Mutation', result.mutation.id).json(result.store);
+});
+
+app.patch('/api/stores/:storeId', (req, res) => {
+  const result = useDataStore(req, () => mockData.handleUpdateStore(req.params.storeId, req.body, true));
+  
+  if (!result) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+  
+  res.set('X-Mock-Mutation', result.mutation.id).json(result.store);
+});
+
+app.delete('/api/stores/:storeId', (req, res) => {
+  const result = useDataStore(req, () => mockData.handleDeleteStore(req.params.storeId));
+  
+  if (!result) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+  
+  res.set('X-Mock-Mutation', result.mutation.id).status(204).end();
 });
 
 app.get('/api/sales', (req, res) => {
   // Extract query parameters
-  const { startDate, endDate, storeIds, region, storeType } = req.query;
+  const { startDate, endDate, timeRange, storeIds, region, storeType } = req.query;
+  
+  // The handler re-aggregates the daily store data for the selected stores and dates
+  const params = { startDate, endDate, timeRange, storeIds, region, storeType, ...getReportParams(req) };
+  const salesData = useDataStore(req, () => mockData.handleGetSales(params));
+  
+  // CSV, NDJSON and XLSX downloads of the tables, by ?format= or Accept
+  const fileName = `sales-${salesData.period.startDate}-to-${salesData.period.endDate}`;
+  const exportOptions = { fileName, sections: ['byDate', 'byRegion', 'byCategory', 'byStore'] };
+  if (sendExport(req, res, salesData, exportOptions)) return;
+  
+  salesData.byStorePagination = { ...salesData.byStorePagination, ...getPageLinks(req, salesData.byStorePagination) };
+  
+  res.json(salesData);
+});
+
+// Live transactions as Server-Sent Events; WebSocket upgrades are handled below
+app.get('/api/sales/stream', liveFeed.handleEventStream);
+
+app.get('/api/sales/timeseries', (req, res) => {
+  const { startDate, endDate, timeRange, storeIds, region, storeType, granularity, groupBy } = req.query;
   
-  // In a real implementation, these would be used to filter the data
-  // For this mock, we're just passing them through to the handler
-  const params = { startDate, endDate, storeIds, region, storeType };
+  // Same filters as /api/sales, bucketed by granularity and split by groupBy
+  const params = { startDate, endDate, timeRange, storeIds, region, storeType, granularity, groupBy };
   
-  res.json(mockData.handleGetSales(params));
+  res.json(useDataStore(req, () => mockData.handleGetSalesTimeseries(params)));
+});
+
+app.get('/api/sales/compare', (req, res) => {
+  const { startDate, endDate, timeRange, compareStartDate, compareEndDate, vs, storeIds, region, storeType } = req.query;
+  
+  // The current period against an explicit one, the previous year or the previous period
+  const params = {
+    startDate, endDate, timeRange, compareStartDate, compareEndDate, vs, storeIds, region, storeType, ...getReportParams(req)
+  };
+  const comparison = useDataStore(req, () => mockData.handleGetSalesComparison(params));
+  
+  const fileName = `sales-compare-${comparison.period.startDate}-vs-${comparison.comparisonPeriod.startDate}`;
+  const exportOptions = { fileName, sections: ['byRegion', 'byCategory', 'byStore'] };
+  if (sendExport(req, res, comparison, exportOptions)) return;
+  
+  comparison.byStorePagination = { ...comparison.byStorePagination, ...getPageLinks(req, comparison.byStorePagination) };
+  
+  res.json(comparison);
+});
+
+app.get('/api/sales/forecast', (req, res) => {
+  const { storeIds, region, storeType, granularity, horizon, confidence } = req.query;
+  
+  // Buckets after today with bounds, and a backtest on the days before it
+  const params = { storeIds, region, storeType, granularity, horizon, confidence };
+  
+  res.json(useDataStore(req, () => mockData.handleGetSalesForecast(params)));
 });
 
 app.get('/api/inventory', (req, res) => {
   // Extract query parameters
   const { storeIds, region, storeType } = req.query;
   
-  // In a real implementation, these would be used to filter the data
-  const params = { storeIds, region, storeType };
+  // The handler rolls up stock for the selected stores
+  const params = { storeIds, region, storeType, ...getReportParams(req) };
+  const inventoryData = useDataStore(req, () => mockData.handleGetInventory(params));
+  
+  const exportOptions = { fileName: `inventory-${req.dataStore.today}`, sections: ['byCategory', 'byStore'] };
+  if (sendExport(req, res, inventoryData, exportOptions)) return;
+  
+  inventoryData.byStorePagination = { ...inventoryData.byStorePagination, ...getPageLinks(req, inventoryData.byStorePagination) };
   
-  res.json(mockData.handleGetInventory(params));
+  res.json(inventoryData);
+});
+
+app.get('/api/products', (req, res) => {
+  const { department, category, q } = req.query;
+  const params = { department, category, q, ...getListParams(req.query) };
+  const { products, pagination } = useDataStore(req, () => mockData.handleGetProducts(params));
+  
+  setPageHeaders(req, res, pagination);
+  res.json(products);
+});
+
+app.get('/api/stores/:storeId/inventory', (req, res) => {
+  const { storeId } = req.params;
+  const { department, category, status } = req.query;
+  const params = { department, category, status, ...getListParams(req.query) };
+  const storeInventory = useDataStore(req, () => mockData.handleGetStoreInventory(storeId, params));
+  
+  if (!storeInventory) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+  
+  storeInventory.itemsPagination = { ...storeInventory.itemsPagination, ...getPageLinks(req, storeInventory.itemsPagination) };
+  res.json(storeInventory);
+});
+
+app.get('/api/stores/:storeId/staff', (req, res) => {
+  const { storeId } = req.params;
+  const { startDate, endDate, timeRange } = req.query;
+  const params = { startDate, endDate, timeRange, ...getListParams(req.query) };
+  const storeStaff = useDataStore(req, () => mockData.handleGetStoreStaff(storeId, params));
+  
+  if (!storeStaff) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+  
+  storeStaff.staffPagination = { ...storeStaff.staffPagination, ...getPageLinks(req, storeStaff.staffPagination) };
+  res.json(storeStaff);
+});
+
+app.get('/api/staff/:employeeId', (req, res) => {
+  const { employeeId } = req.params;
+  const { startDate, endDate, timeRange, granularity } = req.query;
+  const employee = useDataStore(req, () => mockData.handleGetEmployee(employeeId, { startDate, endDate, timeRange, granularity }));
+  
+  if (!employee) {
+    return res.status(404).json({ error: 'Employee not found' });
+  }
+  
+  res.json(employee);
+});
+
+app.get('/api/stores/:storeId/forecast', (req, res) => {
+  const { storeId } = req.params;
+  const { granularity, horizon, confidence } = req.query;
+  const forecast = useDataStore(req, () => mockData.handleGetStoreForecast(storeId, { granularity, horizon, confidence }));
+  
+  if (!forecast) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+  
+  res.json(forecast);
 });
 
 app.get('/api/stores/:storeId/details', (req, res) => {
   const { storeId } = req.params;
-  const storeDetails = mockData.handleGetStoreDetails(storeId);
+  const { startDate, endDate, timeRange } = req.query;
+  const storeDetails = useDataStore(req, () => mockData.handleGetStoreDetails(storeId, { startDate, endDate, timeRange }));
   
   if (!storeDetails) {
     return res.status(404).json({ error: 'Store not found' });
@@ -59,23 +476,162 @@ app.get('/api/stores/:storeId/details', (req, res) => {
   res.json(storeDetails);
 });
 
+app.get('/api/stores/:storeId/benchmark', (req, res) => {
+  const { storeId } = req.params;
+  const { startDate, endDate, timeRange } = req.query;
+  
+  // Peers are read from the whole data set, so signed-in managers still see
+  // where they stand; only the peer figures are returned, not the stores
+  const dataStore = req.unscopedDataStore || req.dataStore;
+  const benchmark = mockData.withDataStore(dataStore, () => mockData.handleGetStoreBenchmark(storeId, { startDate, endDate, timeRange }));
+  
+  if (!benchmark) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+  
+  res.json(benchmark);
+});
+
+app.get('/api/alerts', (req, res) => {
+  const { storeIds, region, storeType, type, severity, status, thresholds } = req.query;
+  
+  // Anomalies found in the data up to today, with thresholds over the configured ones
+  const params = { storeIds, region, storeType, type, severity, status, thresholds, ...getListParams(req.query) };
+  const alerts = useDataStore(req, () => mockData.handleGetAlerts(params, alertThresholds));
+  
+  res.json({ ...alerts, pagination: { ...alerts.pagination, ...getPageLinks(req, alerts.pagination) } });
+});
+
+// Acknowledged and dismissed alerts stay that way while they are detected
+const alertActions = { acknowledge: 'acknowledged', dismiss: 'dismissed' };
+Object.entries(alertActions).forEach(([action, status]) => {
+  app.post(`/api/alerts/:alertId/${action}`, (req, res) => {
+    const options = { thresholds: req.query.thresholds, baseThresholds: alertThresholds, username: req.user ? req.user.username : null };
+    const alert = useDataStore(req, () => mockData.handleUpdateAlert(req.params.alertId, status, options));
+    
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    res.json(alert);
+  });
+});
+
+app.get('/api/customers', (req, res) => {
+  const { storeIds, region, storeType, loyaltyTier, segment } = req.query;
+  const params = { storeIds, region, storeType, loyaltyTier, segment, ...getListParams(req.query) };
+  const customers = useDataStore(req, () => mockData.handleGetCustomers(params));
+  
+  res.json({ ...customers, pagination: { ...customers.pagination, ...getPageLinks(req, customers.pagination) } });
+});
+
+app.get('/api/customers/summary', (req, res) => {
+  const { startDate, endDate, timeRange, storeIds, region, storeType, groupBy } = req.query;
+  res.json(useDataStore(req, () => mockData.handleGetCustomerSummary({ startDate, endDate, timeRange, storeIds, region, storeType, groupBy })));
+});
+
+app.get('/api/customers/cohorts', (req, res) => {
+  const { startDate, endDate, storeIds, region, storeType } = req.query;
+  res.json(useDataStore(req, () => mockData.handleGetCustomerCohorts({ startDate, endDate, storeIds, region, storeType })));
+});
+
+app.get('/api/customers/segments', (req, res) => {
+  const { storeIds, region, storeType } = req.query;
+  res.json(useDataStore(req, () => mockData.handleGetCustomerSegments({ storeIds, region, storeType })));
+});
+
+app.get('/api/customers/:customerId', (req, res) => {
+  const customer = useDataStore(req, () => mockData.handleGetCustomer(req.params.customerId));
+  
+  if (!customer) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  
+  res.json(customer);
+});
+
 app.get('/api/filters', (req, res) => {
-  res.json(mockData.handleGetFilters());
+  res.json(useDataStore(req, () => mockData.handleGetFilters()));
+});
+
+app.get('/api/tenants', (req, res) => {
+  res.json(mockData.handleGetTenants());
+});
+
+app.get('/api/scenarios', (req, res) => {
+  res.json(useDataStore(req, () => mockData.handleGetScenarios()));
 });
 
+// The same data as one GraphQL graph; a browser GET opens GraphiQL
+app.get('/graphql', handleGraphQL);
+app.post('/graphql', handleGraphQL);
+
 // Error handling
 app.use((err, req, res, next) => {
+  // Errors raised for bad input carry the status to respond with
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json(err.fields ? { error: err.message, fields: err.fields } : { error: err.message });
+  }
+
   console.error(err.stack);
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`RetailMetrics mock API server running on port ${PORT}`);
+  console.log(`API documentation at http://localhost:${PORT}/docs`);
+  console.log({
+    optional: 'Auth: optional. Requests without a token see every store; only /__admin needs an executive\'s token. Start with --auth required to enforce sign-in',
+    required: 'Auth: required. Every request but sign-in needs a token, and /__admin an executive\'s',
+    off: 'Auth: off. Tokens are ignored and /__admin is open'
+  }[auth.mode]);
   console.log('Available endpoints:');
+  console.log('  POST /api/auth/login');
+  console.log('  GET /api/auth/me');
+  console.log('  GET /api/auth/users');
   console.log('  GET /api/stores');
+  console.log('  GET /api/stores/search');
+  console.log('  GET /api/stores/:storeId');
+  console.log('  POST /api/stores');
+  console.log('  POST|PUT|PATCH|DELETE /api/stores/:storeId');
   console.log('  GET /api/sales');
+  console.log('  GET /api/sales/timeseries');
+  console.log('  GET /api/sales/compare');
+  console.log('  GET /api/sales/forecast');
+  console.log('  GET /api/sales/stream (Server-Sent Events or WebSocket)');
   console.log('  GET /api/inventory');
+  console.log('  GET /api/products');
+  console.log('  GET /api/stores/:storeId/inventory');
+  console.log('  GET /api/stores/:storeId/staff');
   console.log('  GET /api/stores/:storeId/details');
+  console.log('  GET /api/stores/:storeId/forecast');
+  console.log('  GET /api/stores/:storeId/benchmark');
+  console.log('  GET /api/staff/:employeeId');
+  console.log('  GET /api/alerts');
+  console.log('  POST /api/alerts/:alertId/acknowledge|dismiss');
+  console.log('  GET /api/customers');
+  console.log('  GET /api/customers/summary');
+  console.log('  GET /api/customers/cohorts');
+  console.log('  GET /api/customers/segments');
+  console.log('  GET /api/customers/:customerId');
   console.log('  GET /api/filters');
-});
\ No newline at end of file
+  console.log('  GET /api/tenants');
+  console.log('  GET /api/scenarios');
+  console.log('  GET|POST /graphql');
+  console.log('  GET /openapi.json');
+  console.log('  GET /docs');
+  console.log('Admin endpoints:');
+  console.log('  GET /__admin/stats');
+  console.log('  POST /__admin/regenerate');
+  console.log('  POST /__admin/reset');
+  console.log('  PUT /__admin/scenario');
+  console.log('  GET /__admin/snapshot');
+  console.log('  POST /__admin/snapshot');
+  console.log('  GET /__admin/mutations');
+  console.log('  POST /__admin/mutations/undo');
+  console.log('  POST /__admin/mutations/:mutationId/undo');
+  console.log('Prefix any path with /tenants/:tenantId, or send X-Mock-Tenant, to pick a tenant');
+});
+
+server.on('upgrade', liveFeed.handleUpgrade);
@@ -0,0 +1,338 @@
+/**
+ * RetailMetrics Mock Server Tenants
+ *
+ * One server can mock several retailers. A tenant is a brand with its own
+ * regions and cities, departments and the categories they roll up to, store
+ * count and currency, and gets data sets of its own. FashionForward, the
+ * default, and Hearth & Home are built in; a JSON file passed with --tenants
+ * or MOCK_TENANTS adds more or replaces them by id.
+ *
+ * Requests pick a tenant with a /tenants/{tenantId} path prefix, the
+ * X-Mock-Tenant header or a subdomain, in that order; anything else gets the
+ * default tenant.
+ */
+
+const fs = require('fs');
+
+const tenantIdPattern = /^[a-z][a-z0-9-]{0,39}$/;
+const currencyPattern = /^[A-Z]{3}$/;
+const namePattern = /^[A-Za-z]/;
+const defaultSizes = ['S', 'M', 'L', 'XL'];
+const maxTextLength = 100;
+
+const builtInTenants = [
+  {
+    id: 'fashionforward',
+    name: 'FashionForward',
+    currency: 'USD',
+    storeCount: 200,
+    // City centers, so stores plot near the city in their address
+    regions: {
+      'Northeast': {
+        'New York': { lat: 40.71, lng: -74.01 },
+        'Boston': { lat: 42.36, lng: -71.06 },
+        'Philadelphia': { lat: 39.95, lng: -75.17 },
+        'Washington DC': { lat: 38.91, lng: -77.04 },
+        'Pittsburgh': { lat: 40.44, lng: -79.99 }
+      },
+      'Southeast': {
+        'Miami': { lat: 25.76, lng: -80.19 },
+        'Atlanta': { lat: 33.75, lng: -84.39 },
+        'Charlotte': { lat: 35.23, lng: -80.84 },
+        'Nashville': { lat: 36.16, lng: -86.78 },
+        'Orlando': { lat: 28.54, lng: -81.38 }
+      },
+      'Midwest': {
+        'Chicago': { lat: 41.88, lng: -87.63 },
+        'Detroit': { lat: 42.33, lng: -83.05 },
+        'Minneapolis': { lat: 44.98, lng: -93.27 },
+        'Cleveland': { lat: 41.50, lng: -81.69 },
+        'Indianapolis': { lat: 39.77, lng: -86.16 }
+      },
+      'Southwest': {
+        'Dallas': { lat: 32.78, lng: -96.80 },
+        'Houston': { lat: 29.76, lng: -95.37 },
+        'Phoenix': { lat: 33.45, lng: -112.07 },
+        'Austin': { lat: 30.27, lng: -97.74 },
+        'San Antonio': { lat: 29.42, lng: -98.49 }
+      },
+      'West': {
+        'Los Angeles': { lat: 34.05, lng: -118.24 },
+        'San Francisco': { lat: 37.77, lng: -122.42 },
+        'Seattle': { lat: 47.61, lng: -122.33 },
+        'Portland': { lat: 45.52, lng: -122.68 },
+        'Denver': { lat: 39.74, lng: -104.99 }
+      }
+    },
+    // Each department's category and average selling price per unit, and its
+    // products with their price relative to that average
+    departments: {
+      'Men\'s Casual': {
+        category: 'Men\'s',
+        averagePrice: 35,
+        products: [['Cotton T-Shirt', 0.6], ['Slim-Fit Jeans', 1.6], ['Chino Pants', 1.3], ['Hooded Sweatshirt', 1.4]]
+      },
+      'Men\'s Formal': {
+        category: 'Men\'s',
+        averagePrice: 70,
+        products: [['Classic Button-Down Shirt', 0.8], ['Wool Blazer', 2.5], ['Dress Trousers', 1.1], ['Silk Tie', 0.5]]
+      },
+      'Women\'s Casual': {
+        category: 'Women\'s',
+        averagePrice: 40,
+        products: [['Designer Denim Jacket', 1.8], ['Floral Sundress', 1.2], ['Cashmere Sweater', 2.0], ['Graphic Tee', 0.6]]
+      },
+      'Women\'s Formal': {
+        category: 'Women\'s',
+        averagePrice: 85,
+        products: [['Silk Blouse', 0.9], ['Tailored Pants', 1.0], ['Cocktail Dress', 1.6], ['Wool Coat', 2.2]]
+      },
+      'Women\'s Athletic': {
+        category: 'Women\'s',
+        averagePrice: 45,
+        products: [['Performance Leggings', 1.1], ['Sports Bra', 0.8], ['Running Jacket', 1.5], ['Yoga Top', 0.7]]
+      },
+      'Children\'s': {
+        category: 'Children\'s',
+        averagePrice: 25,
+        sizes: ['XS', 'S', 'M', 'L'],
+        products: [['Graphic T-Shirt', 0.7], ['Denim Overalls', 1.3], ['Colorful Leggings', 0.8], ['School Uniform', 1.2], ['Puffer Jacket', 1.8]]
+      },
+      'Accessories': {
+        category: 'Accessories',
+        averagePrice: 30,
+        sizes: ['OS'],
+        products: [['Leather Belt', 1.0], ['Designer Sunglasses', 2.5], ['Winter Scarf', 0.8], ['Statement Necklace', 1.2], ['Leather Wallet', 1.4]]
+      },
+      'Footwear': {
+        category: 'Footwear',
+        averagePrice: 75,
+        sizes: ['7', '8', '9', '10', '11'],
+        products: [['Running Sneakers', 1.2], ['Leather Boots', 1.8], ['Casual Loafers', 1.0], ['Dress Shoes', 1.4], ['Summer Sandals', 0.6]]
+      }
+    }
+  },
+  {
+    id: 'hearthhome',
+    name: 'Hearth & Home',
+    currency: 'GBP',
+    storeCount: 60,
+    regions: {
+      'London': {
+        'Westminster': { lat: 51.50, lng: -0.13 },
+        'Croydon': { lat: 51.37, lng: -0.10 },
+        'Richmond': { lat: 51.46, lng: -0.30 }
+      },
+      'South East': {
+        'Brighton': { lat: 50.82, lng: -0.14 },
+        'Reading': { lat: 51.45, lng: -0.97 },
+        'Oxford': { lat: 51.75, lng: -1.26 },
+        'Canterbury': { lat: 51.28, lng: 1.08 }
+      },
+      'Midlands': {
+        'Birmingham': { lat: 52.49, lng: -1.89 },
+        'Nottingham': { lat: 52.95, lng: -1.15 },
+        'Leicester': { lat: 52.64, lng: -1.13 }
+      },
+      'North': {
+        'Manchester': { lat: 53.48, lng: -2.24 },
+        'Leeds': { lat: 53.80, lng: -1.55 },
+        'Newcastle': { lat: 54.98, lng: -1.62 },
+        'Liverpool': { lat: 53.41, lng: -2.98 }
+      },
+      'Scotland': {
+        'Edinburgh': { lat: 55.95, lng: -3.19 },
+        'Glasgow': { lat: 55.86, lng: -4.25 },
+        'Aberdeen': { lat: 57.15, lng: -2.09 }
+      }
+    },
+    departments: {
+      'Kitchen': {
+        category: 'Kitchen & Dining',
+        averagePrice: 25,
+        sizes: ['OS'],
+        products: [['Chef\'s Knife', 1.6], ['Non-Stick Frying Pan', 1.2], ['Mixing Bowl Set', 0.8], ['Utensil Set', 0.5]]
+      },
+      'Dining': {
+        category: 'Kitchen & Dining',
+        averagePrice: 30,
+        sizes: ['OS'],
+        products: [['Dinner Plate Set', 1.0], ['Glass Tumblers', 0.6], ['Linen Tablecloth', 1.1], ['Serving Platter', 0.9]]
+      },
+      'Bedding': {
+        category: 'Bedroom & Bath',
+        averagePrice: 55,
+        sizes: ['Single', 'Double', 'King'],
+        products: [['Duvet Cover', 1.0], ['Feather Pillow', 0.5], ['Wool Throw', 1.2], ['Fitted Sheet', 0.6]]
+      },
+      'Bath': {
+        category: 'Bedroom & Bath',
+        averagePrice: 18,
+        sizes: ['OS'],
+        products: [['Bath Towel', 0.8], ['Bath Mat', 0.9], ['Shower Curtain', 1.0], ['Waffle Robe', 2.0]]
+      },
+      'Lighting': {
+        category: 'Living',
+        averagePrice: 60,
+        sizes: ['OS'],
+        products: [['Table Lamp', 0.9], ['Floor Lamp', 1.6], ['Pendant Shade', 0.6], ['String Lights', 0.3]]
+      },
+      'Decor': {
+        category: 'Living',
+        averagePrice: 28,
+        sizes: ['OS'],
+        products: [['Scented Candle', 0.5], ['Wall Mirror', 2.0], ['Cushion', 0.7], ['Vase', 1.0]]
+      }
+    }
+  }
+];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isName(value) {
+  return typeof value === 'string' && namePattern.test(value) && value.length <= maxTextLength;
+}
+
+/**
+ * Check a tenant config and turn it into the lists and lookups the generator
+ * reads. Names must start with a letter, so they make GraphQL enum values.
+ * Throws on the first problem, naming the tenant and the setting.
+ */
+function normalizeTenant(config, maxStoreCount) {
+  const fail = (setting, message) => {
+    const tenant = isPlainObject(config) && typeof config.id === 'string' ? ` '${config.id}'` : '';
+    throw new Error(`Invalid tenant${tenant}: ${setting ? `${setting}: ` : ''}${message}`);
+  };
+
+  if (!isPlainObject(config)) fail(null, 'Expected an object');
+  const { id, name, currency, storeCount, regions, departments, ...unknown } = config;
+  Object.keys(unknown).forEach(key => fail(key, 'Unknown setting'));
+
+  if (typeof id !== 'string' || !tenantIdPattern.test(id)) {
+    fail('id', 'Expected a lowercase letter followed by up to 39 lowercase letters, digits or dashes');
+  }
+  if (typeof name !== 'string' || name.trim() === '' || name.length > maxTextLength) {
+    fail('name', `Expected a non-empty string of at most ${maxTextLength} characters`);
+  }
+  if (typeof currency !== 'string' || !currencyPattern.test(currency)) {
+    fail('currency', 'Expected a three-letter ISO 4217 code, such as USD');
+  }
+  if (!Number.isInteger(storeCount) || storeCount < 0 || storeCount > maxStoreCount) {
+    fail('storeCount', `Expected a whole number from 0 to ${maxStoreCount}`);
+  }
+
+  if (!isPlainObject(regions) || Object.keys(regions).length === 0) fail('regions', 'Expected at least one region');
+  const cityByRegion = {};
+  const cityCenters = {};
+  Object.entries(regions).forEach(([region, cities]) => {
+    if (!isName(region)) fail(`regions.${region}`, 'Region names must start with a letter');
+    if (!isPlainObject(cities) || Object.keys(cities).length === 0) fail(`regions.${region}`, 'Expected at least one city');
+
+    cityByRegion[region] = Object.keys(cities);
+    Object.entries(cities).forEach(([city, center]) => {
+      const setting = `regions.${region}.${city}`;
+      if (!isName(city)) fail(setting, 'City names must start with a letter');
+      if (cityCenters[city]) fail(setting, 'Each city may only be in one region');
+      const { lat, lng } = isPlainObject(center) ? center : {};
+      if (typeof lat !== 'number' || typeof lng !== 'number' || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        fail(setting, 'Expected the city center as { lat, lng } in degrees');
+      }
+      cityCenters[city] = { lat, lng };
+    });
+  });
+
+  if (!isPlainObject(departments) || Object.keys(departments).length === 0) fail('departments', 'Expected at least one department');
+  const categories = [];
+  const departmentCategories = {};
+  const departmentPrices = {};
+  const departmentSizes = {};
+  const products = {};
+  Object.entries(departments).forEach(([department, settings]) => {
+    const setting = `departments.${department}`;
+    if (!isName(department)) fail(setting, 'Department names must start with a letter');
+    if (!isPlainObject(settings)) fail(setting, 'Expected an object');
+    const { category, averagePrice, sizes = defaultSizes, products: departmentProducts, ...other } = settings;
+    Object.keys(other).forEach(key => fail(`${setting}.${key}`, 'Unknown setting'));
+
+    if (!isName(category)) fail(`${setting}.category`, 'Category names must start with a letter');
+    if (typeof averagePrice !== 'number' || !(averagePrice > 0)) fail(`${setting}.averagePrice`, 'Expected a price above 0');
+    if (!Array.isArray(sizes) || sizes.length === 0 || sizes.some(size => typeof size !== 'string' || size.trim() === '')) {
+      fail(`${setting}.sizes`, 'Expected a non-empty list of sizes');
+    }
+    if (!Array.isArray(departmentProducts) || departmentProducts.length === 0) {
+      fail(`${setting}.products`, 'Expected at least one product');
+    }
+    departmentProducts.forEach((product, index) => {
+      const [productName, priceFactor] = Array.isArray(product) ? product : [];
+      if (typeof productName !== 'string' || productName.trim() === '' || typeof priceFactor !== 'number' || !(priceFactor > 0)) {
+        fail(`${setting}.products[${index}]`, 'Expected [name, price relative to the department average]');
+      }
+    });
+
+    if (!categories.includes(category)) categories.push(category);
+    departmentCategories[department] = category;
+    departmentPrices[department] = averagePrice;
+    departmentSizes[department] = sizes;
+    products[department] = departmentProducts;
+  });
+
+  return {
+    id,
+    name,
+    currency,
+    storeCount,
+    regions: Object.keys(regions),
+    cityByRegion,
+    cityCenters,
+    categories,
+    departments: Object.keys(departments),
+    departmentCategories,
+    departmentPrices,
+    departmentSizes,
+    products
+  };
+}
+
+// Tenant configs from a JSON file holding an array of them
+function loadTenantConfigs(filePath) {
+  if (!filePath) return [];
+
+  const configs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(configs)) {
+    throw new Error(`Invalid tenants file ${filePath}: expected an array of tenant configs`);
+  }
+  return configs;
+}
+
+/**
+ * Work out which tenant a request asked for. A path prefix is removed from
+ * the returned URL. A subdomain only counts when it names a known tenant, so
+ * hosts like www.example.com still get the default.
+ *
+ * @param {Object} req - Anything with `url` and `headers`, so WebSocket
+ *   upgrades can use it before Express sees them
+ * @param {string[]} tenantIds - Known tenant ids
+ * @returns {Object} `tenantId`, undefined for the default, and `url`
+ */
+function selectTenant(req, tenantIds) {
+  const prefix = /^\/tenants\/([^/?]+)(.*)$/.exec(req.url);
+  if (prefix) {
+    const rest = prefix[2].startsWith('/') ? prefix[2] : `/${prefix[2]}`;
+    return { tenantId: decodeURIComponent(prefix[1]), url: rest };
+  }
+
+  const header = req.headers['x-mock-tenant'];
+  if (header) return { tenantId: header, url: req.url };
+
+  const subdomain = String(req.headers.host || '').split('.')[0].toLowerCase();
+  return { tenantId: tenantIds.includes(subdomain) ? subdomain : undefined, url: req.url };
+}
+
+module.exports = {
+  builtInTenants,
+  normalizeTenant,
+  loadTenantConfigs,
+  selectTenant
+};
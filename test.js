@@ -4,13 +4,18 @@
  * This script starts the mock server and tests all endpoints
  * to ensure they return the expected data structures.
  * 
- * Run with: bun testApi.js
+ * Run with: bun test.js
  */
 
 const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
 
 const BASE_URL = 'http://localhost:3001';
+const TEST_SEED = 'retailmetrics-test';
 let serverProcess = null;
 
 // ANSI color codes for better terminal output
@@ -32,7 +37,7 @@ function startServer() {
     console.log(`${colors.bright}Starting mock server...${colors.reset}`);
     
     const serverPath = path.join(__dirname, 'server.js');
-    serverProcess = spawn('bun', [serverPath], {
+    serverProcess = spawn('bun', [serverPath, '--seed', TEST_SEED, '--validate', 'all', '--live-speed', '3600'], {
       stdio: ['ignore', 'pipe', 'pipe']
     });
     
@@ -105,7 +110,7 @@ function stopServer() {
 /**
  * Perform a fetch request and validate the response
  */
-async function testEndpoint(endpoint, validationFn, params = {}) {
+async function testEndpoint(endpoint, validationFn, params = {}, headers = {}) {
   let url = `${BASE_URL}${endpoint}`;
   
   // Add query parameters if provided
@@ -120,7 +125,7 @@ async function testEndpoint(endpoint, validationFn, params = {}) {
   
   try {
     const startTime = performance.now();
-    const response = await fetch(url);
+    const response = await fetch(url, { headers });
     const endTime = performance.now();
     const responseTime = (endTime - startTime).toFixed(2);
     
@@ -129,7 +134,7 @@ async function testEndpoint(endpoint, validationFn, params = {}) {
     }
     
     const data = await response.json();
-    const validationResult = validationFn(data);
+    const validationResult = validationFn(data, response);
     
     if (validationResult === true) {
       console.log(`${colors.green}✓ Success${colors.reset} (${responseTime}ms)`);
@@ -144,6 +149,898 @@ async function testEndpoint(endpoint, validationFn, params = {}) {
   }
 }
 
+/**
+ * Perform a fetch request that is expected to fail with the given status
+ */
+async function testErrorEndpoint(endpoint, expectedStatus, params = {}) {
+  let url = `${BASE_URL}${endpoint}`;
+  
+  if (Object.keys(params).length > 0) {
+    const queryParams = Object.entries(params)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    url += `?${queryParams}`;
+  }
+  
+  console.log(`${colors.bright}${colors.blue}Testing error response:${colors.reset} ${url}`);
+  
+  try {
+    const response = await fetch(url);
+    const data = await response.json();
+    
+    if (response.status !== expectedStatus) {
+      console.log(`${colors.red}✗ Expected status ${expectedStatus}, got ${response.status}${colors.reset}`);
+      return { success: false, data };
+    }
+    if (typeof data.error !== 'string') {
+      console.log(`${colors.red}✗ Validation failed:${colors.reset} Expected an error message`);
+      return { success: false, data };
+    }
+    
+    console.log(`${colors.green}✓ Success${colors.reset} (${response.status}: ${data.error})`);
+    return { success: true, data };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Add the page links the server attaches to an unpaginated byStore section
+ */
+function withEmptyPageLinks(data) {
+  return { ...data, byStorePagination: { ...data.byStorePagination, next: null, prev: null } };
+}
+
+/**
+ * Check that the server reports its seed and that the same seed regenerates
+ * byte-identical responses in a separate process
+ */
+async function testSeededResponses(endpoints) {
+  console.log(`${colors.bright}${colors.blue}Testing seeded generation:${colors.reset} ${TEST_SEED}`);
+  
+  try {
+    const mockData = require('./data');
+    mockData.initializeMockData({ seed: TEST_SEED });
+    
+    for (const [endpoint, handler] of Object.entries(endpoints)) {
+      const response = await fetch(`${BASE_URL}${endpoint}`);
+      const seedHeader = response.headers.get('X-Mock-Seed');
+      if (seedHeader !== TEST_SEED) {
+        throw new Error(`Expected X-Mock-Seed ${TEST_SEED} from ${endpoint}, got ${seedHeader}`);
+      }
+      
+      const body = await response.text();
+      if (body !== JSON.stringify(handler(mockData))) {
+        throw new Error(`Response from ${endpoint} differs from a fresh generation with the same seed`);
+      }
+    }
+    
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Check each injected fault, and that a chaos seed replays the same failures
+ * as the fault rolls computed in this process
+ */
+async function testChaosFaults() {
+  console.log(`${colors.bright}${colors.blue}Testing fault injection:${colors.reset}`);
+  
+  try {
+    const chaos = require('./chaos');
+    const fullBody = await (await fetch(`${BASE_URL}/api/stores`)).text();
+    
+    const startTime = performance.now();
+    await fetch(`${BASE_URL}/api/filters?chaos=latency=200`);
+    if (performance.now() - startTime < 200) throw new Error('latency=200 should delay the response');
+    
+    const truncated = await (await fetch(`${BASE_URL}/api/stores?chaos=truncateRate=1`)).text();
+    if (truncated.length >= fullBody.length || !fullBody.startsWith(truncated)) {
+      throw new Error('truncateRate=1 should cut the body short');
+    }
+    
+    const slow = await fetch(`${BASE_URL}/api/stores`, {
+      headers: { 'X-Mock-Chaos': 'slowRate=1,slowChunkBytes=8192,slowChunkDelay=5' }
+    });
+    if (await slow.text() !== fullBody) throw new Error('A slow stream should still deliver the whole body');
+    
+    // Downloads are streamed, so they are sent whole and report no body faults
+    const fullCsv = await (await fetch(`${BASE_URL}/api/sales?format=csv`)).text();
+    for (const spec of ['truncateRate=1', 'slowRate=1']) {
+      const streamed = await fetch(`${BASE_URL}/api/sales?format=csv&chaos=${spec}`);
+      if (await streamed.text() !== fullCsv) throw new Error(`${spec} should leave a download whole`);
+      if (streamed.headers.has('X-Mock-Chaos-Faults')) throw new Error(`${spec} should not be reported for a download`);
+    }
+    
+    const dropped = await fetch(`${BASE_URL}/api/filters?chaos=dropRate=1`).then(() => false, () => true);
+    if (!dropped) throw new Error('dropRate=1 should close the connection without a response');
+    
+    // Config files report what is wrong with them
+    const configPath = path.join(os.tmpdir(), `chaos-config-${process.pid}.json`);
+    const configError = text => {
+      fs.writeFileSync(configPath, text);
+      try {
+        chaos.loadChaosConfig(configPath);
+        return null;
+      } catch (error) {
+        return error.message;
+      } finally {
+        fs.unlinkSync(configPath);
+      }
+    };
+    if (!/^Invalid chaos config: /.test(configError('{ "default": '))) throw new Error('Malformed chaos config JSON should be reported');
+    if (!(configError('{ "routes": { "/api/sales": { "errorRate": 2 } } }') || '').includes('routes./api/sales: Invalid chaos errorRate')) {
+      throw new Error('A bad chaos config setting should name its block');
+    }
+    
+    const spec = 'errorRate=0.5,errorStatus=500|503,seed=chaos-test';
+    const settings = { ...chaos.chaosDefaults, ...chaos.parseChaosSpec(spec) };
+    for (let index = 0; index < 8; index++) {
+      const response = await fetch(`${BASE_URL}/api/filters?chaos=${encodeURIComponent(spec)}`);
+      const faults = chaos.decideFaults(settings, chaos.getFaultRolls('chaos-test', 'GET /api/filters', index));
+      const expectedStatus = faults.status || 200;
+      if (response.status !== expectedStatus) {
+        throw new Error(`Request ${index + 1} with ${spec} returned ${response.status}, expected ${expectedStatus}`);
+      }
+    }
+    
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Download report sections as files and check they match the JSON
+ */
+// Inflate one file of a zip archive, found through its central directory
+function readZipEntry(archive, name) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let entry = archive.readUInt32LE(end + 16);
+  for (let index = 0; index < archive.readUInt16LE(end + 10); index++) {
+    const nameLength = archive.readUInt16LE(entry + 28);
+    const entryName = archive.subarray(entry + 46, entry + 46 + nameLength).toString();
+    if (entryName === name) {
+      const local = archive.readUInt32LE(entry + 42);
+      const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+      return zlib.inflateRawSync(archive.subarray(start, start + archive.readUInt32LE(entry + 20))).toString();
+    }
+    entry += 46 + nameLength + archive.readUInt16LE(entry + 30) + archive.readUInt16LE(entry + 32);
+  }
+  throw new Error(`The archive has no ${name}`);
+}
+
+async function testExports() {
+  console.log(`${colors.bright}${colors.blue}Testing report exports:${colors.reset}`);
+  
+  try {
+    const sales = await (await fetch(`${BASE_URL}/api/sales?sort=rank:asc`)).json();
+    
+    const csv = await fetch(`${BASE_URL}/api/sales?sort=rank:asc`, { headers: { Accept: 'text/csv' } });
+    if (!csv.headers.get('Content-Type').startsWith('text/csv')) throw new Error('Accept: text/csv should return CSV');
+    if (csv.headers.get('Content-Disposition') !== 'attachment; filename="sales-2023-01-01-to-2023-04-30.csv"') {
+      throw new Error(`Unexpected Content-Disposition: ${csv.headers.get('Content-Disposition')}`);
+    }
+    const lines = (await csv.text()).trim().split('\r\n');
+    if (lines[0] !== 'storeId,storeName,sales,rank,percentOfRegion,percentChange') throw new Error(`Unexpected CSV header: ${lines[0]}`);
+    if (lines.length !== sales.byStore.length + 1) throw new Error('The CSV should have a line per store');
+    if (!lines[1].startsWith(`${sales.byStore[0].storeId},${sales.byStore[0].storeName},${sales.byStore[0].sales},1,`)) {
+      throw new Error('CSV rows should match the JSON');
+    }
+    
+    // Downloads hold every store whatever the page asked for
+    const paged = await (await fetch(`${BASE_URL}/api/sales?format=csv&pageSize=5&page=2`)).text();
+    if (paged.trim().split('\r\n').length !== sales.byStore.length + 1) throw new Error('A CSV export should ignore pagination');
+    const inventoryStores = await (await fetch(`${BASE_URL}/api/inventory?format=ndjson&pageSize=5&fields=storeId`)).text();
+    const storeIds = inventoryStores.trim().split('\n').map(line => JSON.parse(line).storeId);
+    if (storeIds.length !== sales.byStore.length || new Set(storeIds).size !== storeIds.length) {
+      throw new Error('An NDJSON export should have a row per store');
+    }
+    
+    const ndjson = await (await fetch(`${BASE_URL}/api/inventory?format=ndjson&section=byCategory`)).text();
+    const categories = ndjson.trim().split('\n').map(line => JSON.parse(line));
+    const inventory = await (await fetch(`${BASE_URL}/api/inventory`)).json();
+    if (JSON.stringify(categories) !== JSON.stringify(inventory.byCategory)) throw new Error('NDJSON rows should match the JSON');
+    
+    const xlsx = await fetch(`${BASE_URL}/api/sales?format=xlsx`);
+    const workbook = Buffer.from(await xlsx.arrayBuffer());
+    if (workbook.subarray(0, 2).toString() !== 'PK') throw new Error('An XLSX export should be a zip archive');
+    if (!workbook.includes('xl/worksheets/sheet4.xml')) throw new Error('The workbook should have a sheet per section');
+    const storeSheet = readZipEntry(workbook, 'xl/worksheets/sheet4.xml');
+    if (storeSheet.split('<row ').length - 1 !== sales.byStore.length + 1) throw new Error('The byStore sheet should have a row per store');
+    
+    await sendRequest('GET', '/api/sales?format=pdf', undefined, 400);
+    await sendRequest('GET', '/api/inventory?format=csv&section=byDate', undefined, 400);
+    
+    // A row failing after the first batch, once the client has drained it, cuts the
+    // download short without taking the server down
+    const { sendExport } = require('./export');
+    const failingServer = express()
+      .get('/rows', (req, res) => {
+        function* rows() {
+          for (let index = 0; index < 250; index++) yield { index, padding: 'x'.repeat(1024) };
+          throw new Error('Row 251 failed');
+        }
+        sendExport(req, res, { byStore: rows() }, { fileName: 'rows', sections: ['byStore'] });
+      })
+      .listen(0);
+    await new Promise(resolve => failingServer.once('listening', resolve));
+    try {
+      const failing = await fetch(`http://localhost:${failingServer.address().port}/rows?format=csv`);
+      if (failing.status !== 200) throw new Error(`A failing export should start as 200, got ${failing.status}`);
+      const cut = await failing.text().then(() => false, () => true);
+      if (!cut) throw new Error('A failing export should end without completing the body');
+      const again = await fetch(`http://localhost:${failingServer.address().port}/rows?format=ndjson`);
+      await again.text().catch(() => {});
+      if (again.status !== 200) throw new Error('The server should keep serving after a failed export');
+    } finally {
+      failingServer.close();
+    }
+    
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Read live transactions over SSE and a WebSocket, then check the sales
+ * report counts them. The test server runs the live clock at 3600x.
+ */
+async function testLiveFeed() {
+  console.log(`${colors.bright}${colors.blue}Testing live sales feed:${colors.reset}`);
+  
+  try {
+    const todayQuery = 'storeIds=ST001,ST002&startDate=2023-06-30&endDate=2023-06-30';
+    const lastWeekQuery = 'storeIds=ST001,ST002&startDate=2023-06-23&endDate=2023-06-23';
+    const todaySummary = async query => (await (await fetch(`${BASE_URL}/api/sales?${query}`)).json()).summary;
+    
+    // A store outside the West that no listener watches
+    const stores = await (await fetch(`${BASE_URL}/api/stores`)).json();
+    const unwatched = stores.find(store => store.region !== 'West' && !['ST001', 'ST002'].includes(store.id));
+    const unwatchedQuery = `storeIds=${unwatched.id}&startDate=2023-06-30&endDate=2023-06-30`;
+    const unwatchedBefore = await todaySummary(unwatchedQuery);
+    
+    // Parse events off the stream, which ends at closing time today
+    const controller = new AbortController();
+    const stream = await fetch(`${BASE_URL}/api/sales/stream?storeIds=ST001,ST002`, { signal: controller.signal });
+    if (!stream.headers.get('Content-Type').startsWith('text/event-stream')) throw new Error('Expected an event stream');
+    const reader = stream.body.getReader();
+    const decoder = new TextDecoder();
+    const seen = [];
+    let buffered = '';
+    let ended = false;
+    const readEvents = async count => {
+      while (!ended && seen.length < count) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error('The stream ended early');
+        buffered += decoder.decode(value, { stream: true });
+        const events = buffered.split('\n\n');
+        buffered = events.pop();
+        events.forEach(event => {
+          const lines = event.split('\n');
+          if (lines.includes('event: transaction')) {
+            seen.push(JSON.parse(lines.find(line => line.startsWith('data: ')).slice(6)));
+          }
+          if (lines.includes('event: end')) ended = true;
+        });
+      }
+    };
+    await readEvents(5);
+    
+    if (seen.some(transaction => !['ST001', 'ST002'].includes(transaction.storeId))) {
+      throw new Error('The stream should only carry transactions for the selected stores');
+    }
+    if (seen.some(transaction => !transaction.time.startsWith('2023-06-30') || transaction.amount <= 0)) {
+      throw new Error('Transactions should be made today with a positive amount');
+    }
+    
+    // Early in the day the selected stores keep most of their generated sales
+    const lastWeek = await todaySummary(lastWeekQuery);
+    const earlyToday = await todaySummary(todayQuery);
+    if (earlyToday.totalSales < lastWeek.totalSales * 0.5) {
+      throw new Error(`Opening the stream should not empty today (${earlyToday.totalSales} against ${lastWeek.totalSales} last week)`);
+    }
+    
+    // A WebSocket listener shares the same feed while the stream stays open
+    const messages = await new Promise((resolve, reject) => {
+      const socket = new WebSocket(`${BASE_URL.replace('http', 'ws')}/api/sales/stream?region=West`);
+      const received = [];
+      socket.onmessage = event => {
+        received.push(JSON.parse(event.data));
+        if (received.filter(message => message.type === 'transaction').length === 3) {
+          socket.close();
+          resolve(received);
+        }
+      };
+      socket.onerror = () => reject(new Error('The WebSocket failed'));
+    });
+    const transactions = messages.filter(message => message.type === 'transaction').map(message => message.data);
+    if (transactions.some(transaction => transaction.region !== 'West')) throw new Error('The WebSocket should respect the region filter');
+    if (transactions[0].id <= seen[0].id) throw new Error('The WebSocket should join the running feed');
+    
+    // After a full trading day, today holds exactly what the feed sold: the
+    // generated day is replaced, not added to
+    await readEvents(Infinity);
+    controller.abort();
+    const today = await todaySummary(todayQuery);
+    const seenSales = seen.reduce((sum, transaction) => sum + transaction.amount, 0);
+    if (today.transactionCount !== seen.length || today.totalSales !== seenSales) {
+      throw new Error(`Today should hold the ${seen.length} streamed transactions, got ${today.transactionCount}`);
+    }
+    if (today.totalSales < lastWeek.totalSales * 0.6 || today.totalSales > lastWeek.totalSales * 1.5) {
+      throw new Error(`Today's sales (${today.totalSales}) should be in line with the same day last week (${lastWeek.totalSales})`);
+    }
+    const unwatchedAfter = await todaySummary(unwatchedQuery);
+    if (JSON.stringify(unwatchedAfter) !== JSON.stringify(unwatchedBefore)) {
+      throw new Error('Filtered listeners should leave the stores they don\'t watch alone');
+    }
+    
+    await sendRequest('GET', '/api/sales/stream?region=Atlantis', undefined, 400);
+    
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Query stores, details, sales and inventory in one GraphQL request and
+ * compare with the REST routes
+ */
+async function testGraphQL() {
+  console.log(`${colors.bright}${colors.blue}Testing GraphQL:${colors.reset}`);
+  
+  try {
+    const query = `query Dashboard($region: Region) {
+      sales(timeRange: LAST_MONTH, region: $region, sort: "rank:asc", pageSize: 3) {
+        period { timeRange startDate endDate }
+        summary { totalSales }
+        byCategory { category sales }
+        byStore { rank store { id type details { staffCount salesByDepartment { department sales } } } }
+      }
+      inventory(region: $region) { summary { totalValue } }
+      filters { timeRanges }
+    }`;
+    const { text } = await sendRequest('POST', '/graphql', { query, variables: { region: 'WEST' } });
+    const { data, errors } = JSON.parse(text);
+    if (errors) throw new Error(`Unexpected errors: ${JSON.stringify(errors)}`);
+    
+    const sales = await (await fetch(`${BASE_URL}/api/sales?timeRange=Last%20Month&region=West&sort=rank:asc&pageSize=3`)).json();
+    if (data.sales.period.timeRange !== 'LAST_MONTH' || data.sales.period.startDate !== sales.period.startDate) {
+      throw new Error('The period should match /api/sales');
+    }
+    if (data.sales.summary.totalSales !== sales.summary.totalSales) throw new Error('Sales totals should match /api/sales');
+    if (data.sales.byCategory[0].category !== 'MENS') throw new Error(`Expected the MENS category first, got ${data.sales.byCategory[0].category}`);
+    
+    const topStore = data.sales.byStore[0].store;
+    if (topStore.id !== sales.byStore[0].storeId) throw new Error('byStore should follow the REST ranking');
+    const details = await (await fetch(`${BASE_URL}/api/stores/${topStore.id}/details`)).json();
+    if (topStore.details.staffCount !== details.storeInfo.staffCount) throw new Error('Store details should match the REST route');
+    if (topStore.details.salesByDepartment[0].sales !== details.salesByDepartment[0].sales) throw new Error('Department sales should match');
+    if (!data.filters.timeRanges.includes('LAST_7_DAYS')) throw new Error('Time ranges should be GraphQL enum names');
+    
+    const invalid = JSON.parse((await sendRequest('POST', '/graphql', { query: '{ sales(startDate: "2023-02-30") { summary { totalSales } } }' })).text);
+    if (!invalid.errors || invalid.errors[0].extensions.status !== 400) throw new Error('Bad arguments should report status 400');
+    await sendRequest('POST', '/graphql', { query: '{ nope }' }, 400);
+    
+    const introspection = await sendRequest('GET', `/graphql?query=${encodeURIComponent('{ __type(name: "StoreDetails") { fields { name } } }')}`);
+    if (!JSON.parse(introspection.text).data.__type.fields.some(field => field.name === 'staffPerformance')) {
+      throw new Error('Introspection should describe StoreDetails');
+    }
+    
+    const playground = await fetch(`${BASE_URL}/graphql`, { headers: { Accept: 'text/html' } });
+    const playgroundPage = await playground.text();
+    if (!playgroundPage.includes('graphiql')) throw new Error('A browser GET should open GraphiQL');
+    
+    // GraphiQL's files come from this server, so it works offline
+    const assets = [...playgroundPage.matchAll(/(?:src|href)="([^"]+)"/g)].map(([, url]) => url);
+    if (assets.length !== 4 || assets.some(url => !url.startsWith('/graphql/assets/'))) {
+      throw new Error(`GraphiQL should load its files from this server, got ${assets.join(', ')}`);
+    }
+    for (const url of assets) {
+      const asset = await fetch(`${BASE_URL}${url}`);
+      const type = asset.headers.get('Content-Type') || '';
+      if (asset.status !== 200 || !/javascript|css/.test(type) || !(await asset.text()).length) {
+        throw new Error(`${url} returned ${asset.status} ${type}`);
+      }
+    }
+    if ((await fetch(`${BASE_URL}/graphql/assets/secrets.js`)).status !== 404) throw new Error('Only GraphiQL\'s own files should be served');
+    
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send a request with an optional body, failing on an unexpected status
+ */
+async function sendRequest(method, endpoint, body, expectedStatus = 200, headers = {}) {
+  const options = { method, headers };
+  if (typeof body === 'string') {
+    options.body = body;
+  } else if (body !== undefined) {
+    options.body = JSON.stringify(body);
+    options.headers = { ...headers, 'Content-Type': 'application/json' };
+  }
+  
+  const response = await fetch(`${BASE_URL}${endpoint}`, options);
+  const text = await response.text();
+  if (response.status !== expectedStatus) {
+    throw new Error(`${method} ${endpoint} returned ${response.status}, expected ${expectedStatus}: ${text}`);
+  }
+  return { text, response };
+}
+
+// The admin API needs an executive's token, issued per tenant
+const adminTokens = {};
+async function getAdminHeaders(prefix = '') {
+  if (!adminTokens[prefix]) {
+    const { text } = await sendRequest('POST', `${prefix}/api/auth/login`, { username: 'exec', password: 'retailmetrics' });
+    adminTokens[prefix] = JSON.parse(text).token;
+  }
+  return { Authorization: `Bearer ${adminTokens[prefix]}` };
+}
+
+async function adminRequest(method, endpoint, body, expectedStatus) {
+  const { text } = await sendRequest(method, `/__admin${endpoint}`, body, expectedStatus, await getAdminHeaders());
+  return text;
+}
+
+/**
+ * Create, edit and delete stores, check the changes reach the aggregates,
+ * then undo them all through the mutation log
+ */
+async function testStoreWrites() {
+  console.log(`${colors.bright}${colors.blue}Testing store writes:${colors.reset}`);
+  
+  try {
+    const salesBefore = await (await fetch(`${BASE_URL}/api/sales`)).text();
+    const newStore = {
+      name: 'FashionForward Austin South',
+      region: 'Southwest',
+      city: 'Austin',
+      type: 'Mall',
+      address: '1 Congress Ave, Austin',
+      openDate: '2022-03-01',
+      size: 12000,
+      manager: 'Pat Doe'
+    };
+    
+    const created = await sendRequest('POST', '/api/stores', newStore, 201);
+    const store = JSON.parse(created.text);
+    if (store.id !== 'ST201') throw new Error(`Expected the next free id ST201, got ${store.id}`);
+    if (created.response.headers.get('Location') !== '/api/stores/ST201') throw new Error('Expected a Location header');
+    
+    const storeSales = JSON.parse((await sendRequest('GET', '/api/sales?storeIds=ST201')).text);
+    const allSales = JSON.parse((await sendRequest('GET', '/api/sales')).text);
+    const previousTotal = JSON.parse(salesBefore).summary.totalSales;
+    if (storeSales.summary.totalSales <= 0) throw new Error('A new store should have sales');
+    if (allSales.summary.totalSales !== previousTotal + storeSales.summary.totalSales) {
+      throw new Error('A new store\'s sales should add to the chain total');
+    }
+    const inventory = JSON.parse((await sendRequest('GET', '/api/inventory?storeIds=ST201')).text);
+    if (inventory.summary.totalItems <= 0) throw new Error('A new store should have stock');
+    
+    const invalid = JSON.parse((await sendRequest('POST', '/api/stores/ST900', { ...newStore, city: 'Boston', size: 'big', color: 'red' }, 422)).text);
+    const invalidFields = invalid.fields.map(({ field }) => field).sort().join(',');
+    if (invalidFields !== 'city,color,size') throw new Error(`Expected city, color and size to be invalid, got ${invalidFields}`);
+    await sendRequest('POST', '/api/stores/ST201', newStore, 409);
+    await sendRequest('PATCH', '/api/stores/ST201', { openDate: '2021-01-01' }, 422);
+    await sendRequest('PUT', '/api/stores/NOPE', newStore, 404);
+    
+    await sendRequest('PATCH', '/api/stores/ST201', { manager: 'Sam Roe' });
+    const staff = JSON.parse((await sendRequest('GET', '/api/stores/ST201/staff?fields=id,name&pageSize=1')).text);
+    if (staff.staff[0].name !== 'Sam Roe') throw new Error('A new manager should lead the store roster');
+    
+    await sendRequest('DELETE', '/api/stores/ST001', undefined, 204);
+    await sendRequest('GET', '/api/stores/ST001/details', undefined, 404);
+    
+    const { mutations } = JSON.parse(await adminRequest('GET', '/mutations'));
+    if (mutations.map(({ type }) => type).join(',') !== 'create,update,delete') {
+      throw new Error('The mutation log should list the create, update and delete');
+    }
+    
+    const { undone } = JSON.parse(await adminRequest('POST', `/mutations/${mutations[0].id}/undo`));
+    if (undone.length !== 3) throw new Error('Undoing the first mutation should undo all three');
+    if (await (await fetch(`${BASE_URL}/api/sales`)).text() !== salesBefore) {
+      throw new Error('Undoing every mutation should restore the original sales');
+    }
+    await adminRequest('POST', '/mutations/undo', undefined, 409);
+    
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Regenerate, switch scenarios, snapshot and restore through the admin API,
+ * then put back the test seed's data
+ */
+async function testAdminApi() {
+  console.log(`${colors.bright}${colors.blue}Testing admin API:${colors.reset}`);
+  
+  try {
+    const stats = JSON.parse(await adminRequest('GET', '/stats'));
+    if (stats.seed !== TEST_SEED || stats.storeCount !== 200) throw new Error('Stats should describe the running data set');
+    
+    const regenerated = JSON.parse(await adminRequest('POST', '/regenerate', {
+      seed: 'admin-test', storeCount: 12, startDate: '2022-07-01', endDate: '2023-06-30'
+    }));
+    if (regenerated.storeCount !== 12 || regenerated.days !== 365) throw new Error('Regeneration should apply storeCount and dates');
+    
+    const storesResponse = await fetch(`${BASE_URL}/api/stores`);
+    const storesBody = await storesResponse.text();
+    if (JSON.parse(storesBody).length !== 12) throw new Error('/api/stores should serve the regenerated stores');
+    if (storesResponse.headers.get('X-Mock-Seed') !== 'admin-test') throw new Error('X-Mock-Seed should report the new seed');
+    
+    const snapshot = await adminRequest('GET', '/snapshot');
+    await adminRequest('POST', '/regenerate', {});
+    const loaded = JSON.parse(await adminRequest('POST', '/snapshot', snapshot));
+    if (loaded.seed !== 'admin-test') throw new Error('Loading a snapshot should restore its seed');
+    if (await (await fetch(`${BASE_URL}/api/stores`)).text() !== storesBody) {
+      throw new Error('A loaded snapshot should serve the same stores');
+    }
+    
+    await adminRequest('PUT', '/scenario', { scenario: 'empty' });
+    if ((await (await fetch(`${BASE_URL}/api/stores`)).json()).length !== 0) {
+      throw new Error('Switching to the empty scenario should serve no stores');
+    }
+    const reset = JSON.parse(await adminRequest('POST', '/reset'));
+    if (reset.seed !== 'admin-test' || reset.scenario !== 'empty') throw new Error('Reset should keep the seed and scenario');
+    
+    await adminRequest('POST', '/regenerate', { storeCount: 100000 }, 400);
+    await adminRequest('POST', '/regenerate', { today: '2030-01-01' }, 400);
+    await adminRequest('PUT', '/scenario', {}, 400);
+    await adminRequest('POST', '/snapshot', '{"version":99}', 400);
+    
+    await adminRequest('POST', '/regenerate', { seed: TEST_SEED });
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Load a partial fixture and check its entries and the generated gaps, round
+ * trip the result through a SQLite snapshot, then check bad references are named
+ */
+async function testDataFiles() {
+  console.log(`${colors.bright}${colors.blue}Testing data files:${colors.reset}`);
+  
+  try {
+    const fixture = {
+      seed: 'fixture-test',
+      storeCount: 2,
+      stores: [{ id: 'BUG-1', city: 'Boston', openDate: '2023-06-01' }, { id: 'ST002', name: 'Renamed Store' }],
+      sales: [{ storeId: 'BUG-1', date: '2023-06-10', sales: 5000 }],
+      inventory: [{ storeId: 'ST001', sku: 'P1001-BLK-S', onHand: 0 }],
+      staff: [{ storeId: 'BUG-1', name: 'Pat Tester', position: 'Department Lead' }]
+    };
+    const loaded = JSON.parse(await adminRequest('POST', '/snapshot', fixture));
+    if (loaded.seed !== 'fixture-test' || loaded.storeCount !== 3) throw new Error('A fixture should add its stores to the generated ones');
+    
+    const store = await (await fetch(`${BASE_URL}/api/stores/BUG-1`)).json();
+    if (store.region !== 'Northeast' || !store.address || !store.manager) {
+      throw new Error('Details left out of a fixture store should be generated');
+    }
+    if ((await (await fetch(`${BASE_URL}/api/stores/ST002`)).json()).name !== 'Renamed Store') {
+      throw new Error('A fixture should change generated stores');
+    }
+    const sales = await (await fetch(`${BASE_URL}/api/sales?startDate=2023-06-10&endDate=2023-06-10&storeIds=BUG-1`)).json();
+    if (sales.summary.totalSales !== 5000) throw new Error('A fixture should set the day\'s sales');
+    const inventory = await (await fetch(`${BASE_URL}/api/stores/ST001/inventory?pageSize=1`)).json();
+    if (inventory.items[0].sku !== 'P1001-BLK-S' || inventory.items[0].onHand !== 0) throw new Error('A fixture should set stock');
+    const staff = await (await fetch(`${BASE_URL}/api/stores/BUG-1/staff?pageSize=500`)).json();
+    if (!staff.staff.some(employee => employee.name === 'Pat Tester' && employee.position === 'Department Lead')) {
+      throw new Error('A fixture should add employees');
+    }
+    
+    const reset = JSON.parse(await adminRequest('POST', '/reset'));
+    if (reset.storeCount !== 3) throw new Error('Reset should apply the fixture again');
+    
+    // A SQLite snapshot loads back to the same data
+    const storesBody = await (await fetch(`${BASE_URL}/api/stores`)).text();
+    const adminHeaders = await getAdminHeaders();
+    const database = Buffer.from(await (await fetch(`${BASE_URL}/__admin/snapshot?format=sqlite`, { headers: adminHeaders })).arrayBuffer());
+    if (database.subarray(0, 15).toString() !== 'SQLite format 3') throw new Error('Expected a SQLite database');
+    await adminRequest('POST', '/regenerate', { seed: TEST_SEED, storeCount: 1 });
+    const restored = await fetch(`${BASE_URL}/__admin/snapshot`, { method: 'POST', body: database, headers: adminHeaders });
+    if (restored.status !== 200) throw new Error(`Loading a SQLite snapshot returned ${restored.status}`);
+    if (await (await fetch(`${BASE_URL}/api/stores`)).text() !== storesBody) {
+      throw new Error('A loaded SQLite snapshot should serve the same stores');
+    }
+    
+    const { text } = await sendRequest('POST', '/__admin/snapshot', {
+      storeCount: 2,
+      sales: [{ storeId: 'ST999', date: '2023-06-10', sales: 1 }]
+    }, 422, adminHeaders);
+    const { fields } = JSON.parse(text);
+    if (!fields.some(({ field, message }) => field === 'sales[0].storeId' && message.includes('ST999'))) {
+      throw new Error('Fixture errors should name the unknown store and where it was used');
+    }
+    await adminRequest('POST', '/snapshot', { stores: 'none' }, 422);
+    await adminRequest('GET', '/snapshot?format=csv', undefined, 400);
+    
+    await adminRequest('POST', '/regenerate', { seed: TEST_SEED });
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Serve a second tenant by path prefix, header and subdomain, and check its
+ * data, filters and admin calls stay apart from the default tenant's
+ */
+async function testTenants() {
+  console.log(`${colors.bright}${colors.blue}Testing tenants:${colors.reset}`);
+  
+  try {
+    const { tenants, defaultTenant } = await (await fetch(`${BASE_URL}/api/tenants`)).json();
+    if (defaultTenant !== 'fashionforward' || !tenants.some(tenant => tenant.id === 'hearthhome')) {
+      throw new Error('Both built-in tenants should be listed, with FashionForward the default');
+    }
+    
+    const byPrefix = await fetch(`${BASE_URL}/tenants/hearthhome/api/filters`);
+    const filters = await byPrefix.json();
+    if (byPrefix.headers.get('X-Mock-Tenant') !== 'hearthhome' || filters.tenant.currency !== 'GBP' || !filters.regions.includes('Scotland')) {
+      throw new Error('A path prefix should serve the tenant\'s filters');
+    }
+    const byHeader = await (await fetch(`${BASE_URL}/api/filters`, { headers: { 'X-Mock-Tenant': 'hearthhome' } })).json();
+    const bySubdomain = await (await fetch(`${BASE_URL}/api/filters`, { headers: { Host: 'hearthhome.localhost' } })).json();
+    if (byHeader.tenant.id !== 'hearthhome' || bySubdomain.tenant.id !== 'hearthhome') {
+      throw new Error('The X-Mock-Tenant header and subdomain should pick the tenant');
+    }
+    
+    const stores = await (await fetch(`${BASE_URL}/tenants/hearthhome/api/stores/search?region=Scotland&pageSize=5`)).json();
+    if (!stores.length || !stores.every(store => store.name.startsWith('Hearth & Home') && store.region === 'Scotland')) {
+      throw new Error('Tenant stores should carry its brand and regions');
+    }
+    
+    // Regenerating one tenant leaves the other alone
+    const defaultCount = (await fetch(`${BASE_URL}/api/stores`)).headers.get('X-Total-Count');
+    const tenantStats = JSON.parse((await sendRequest('POST', '/tenants/hearthhome/__admin/regenerate', { seed: 'tenant-test', storeCount: 3 }, 200,
+      await getAdminHeaders('/tenants/hearthhome'))).text);
+    if (tenantStats.tenant !== 'hearthhome' || tenantStats.storeCount !== 3) throw new Error('Admin calls should act on the tenant');
+    if ((await fetch(`${BASE_URL}/api/stores`)).headers.get('X-Total-Count') !== defaultCount) {
+      throw new Error('Regenerating a tenant should not touch the default tenant\'s data');
+    }
+    
+    const { data } = JSON.parse((await sendRequest('POST', '/tenants/hearthhome/graphql', { query: '{ filters { regions tenant { name } } }' })).text);
+    if (!data.filters.regions.includes('SCOTLAND') || data.filters.tenant.name !== 'Hearth & Home') {
+      throw new Error('GraphQL enums should hold the tenant\'s regions');
+    }
+    
+    await testErrorEndpoint('/tenants/nowhere/api/stores', 400);
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Sign in as each kind of seeded user and check responses only cover their stores
+ */
+async function testAuth() {
+  console.log(`${colors.bright}${colors.blue}Testing authentication:${colors.reset}`);
+
+  const login = async (username, extra = {}, expectedStatus = 200) => {
+    const { text } = await sendRequest('POST', '/api/auth/login', { username, password: 'retailmetrics', ...extra }, expectedStatus);
+    return JSON.parse(text);
+  };
+  const authed = (endpoint, token) => fetch(`${BASE_URL}${endpoint}`, { headers: { Authorization: `Bearer ${token}` } });
+
+  try {
+    await sendRequest('POST', '/api/auth/login', { username: 'exec', password: 'wrong' }, 401);
+    await testErrorEndpoint('/api/auth/me', 401);
+
+    const allStores = await (await fetch(`${BASE_URL}/api/stores`)).json();
+    const { users } = await (await fetch(`${BASE_URL}/api/auth/users`)).json();
+    if (!users.some(user => user.username === 'regional-northeast') || !users.some(user => user.username === 'manager-st001')) {
+      throw new Error('Regional and store managers should be seeded from the data');
+    }
+
+    // A regional manager only sees their region, and other regions' stores are forbidden
+    const regional = await login('regional-northeast');
+    const me = await (await authed('/api/auth/me', regional.token)).json();
+    if (regional.tokenType !== 'Bearer' || me.user.role !== 'regional_manager' || me.user.region !== 'Northeast') {
+      throw new Error('The token should identify the regional manager');
+    }
+    const regionStores = await (await authed('/api/stores', regional.token)).json();
+    if (!regionStores.length || regionStores.length >= allStores.length || !regionStores.every(store => store.region === 'Northeast')) {
+      throw new Error('A regional manager should only see their region\'s stores');
+    }
+    const sales = await (await authed('/api/sales?timeRange=last30days', regional.token)).json();
+    if (!sales.byRegion.every(row => row.region === 'Northeast')) {
+      throw new Error('Sales should only cover the manager\'s region');
+    }
+    const outside = allStores.find(store => store.region !== 'Northeast');
+    if ((await authed(`/api/stores/${outside.id}/details`, regional.token)).status !== 403) {
+      throw new Error('Another region\'s store details should be forbidden');
+    }
+    if ((await authed(`/api/stores/${regionStores[0].id}/details`, regional.token)).status !== 200) {
+      throw new Error('Store details in the region should be allowed');
+    }
+    const write = await fetch(`${BASE_URL}/api/stores/${regionStores[0].id}`, {
+      method: 'PATCH',
+      headers: { Authorization: `Bearer ${regional.token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ manager: 'Someone Else' })
+    });
+    if (write.status !== 403) throw new Error('Only executives should change stores');
+
+    // A store manager sees one store, and not other stores' staff
+    const manager = await login('manager-st001');
+    const managerStores = await (await authed('/api/stores', manager.token)).json();
+    if (managerStores.length !== 1 || managerStores[0].id !== 'ST001') {
+      throw new Error('A store manager should only see their store');
+    }
+    if ((await authed('/api/staff/ST002-E001', manager.token)).status !== 403) {
+      throw new Error('Another store\'s employees should be forbidden');
+    }
+    const managerSales = await (await authed('/api/sales?storeIds=ST001', manager.token)).json();
+    const chainSales = await (await fetch(`${BASE_URL}/api/sales?storeIds=ST001`)).json();
+    if (managerSales.byStore[0].percentOfRegion !== chainSales.byStore[0].percentOfRegion || managerSales.byStore[0].percentOfRegion >= 1) {
+      throw new Error('A store\'s share of its region should count the stores outside the manager\'s scope');
+    }
+
+    // Executives see everything
+    const exec = await login('exec');
+    if ((await authed('/api/stores', exec.token)).headers.get('X-Total-Count') !== String(allStores.length)) {
+      throw new Error('An executive should see every store');
+    }
+
+    // The admin API is for executives only
+    if ((await authed('/__admin/stats', regional.token)).status !== 403 || (await authed('/__admin/snapshot', manager.token)).status !== 403) {
+      throw new Error('Only executives should use the admin API');
+    }
+    if ((await authed('/__admin/stats', exec.token)).status !== 200 || (await authed('/__admin/stats', 'not-a-token')).status !== 401) {
+      throw new Error('The admin API should take an executive\'s token and refuse bad ones');
+    }
+    await testErrorEndpoint('/__admin/stats', 401);
+    await sendRequest('POST', '/__admin/reset', undefined, 401);
+
+    const expired = await login('exec', { expiresIn: 0 });
+    for (const token of [expired.token, 'not-a-token', `${exec.token.slice(0, -4)}abcd`]) {
+      const response = await authed('/api/stores', token);
+      if (response.status !== 401 || !response.headers.get('WWW-Authenticate')) {
+        throw new Error(`Expired, malformed and forged tokens should get a 401, got ${response.status}`);
+      }
+    }
+
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+async function testAlerts() {
+  console.log(`${colors.bright}${colors.blue}Testing alerts:${colors.reset}`);
+
+  const getAlerts = async query => JSON.parse((await sendRequest('GET', `/api/alerts?scenario=regional-closure&${query}`)).text);
+
+  try {
+    // The closed region's stores stop selling for the last week
+    const drops = await getAlerts('type=salesDrop');
+    const { current } = await (await fetch(`${BASE_URL}/api/scenarios?scenario=regional-closure`)).json();
+    const { region } = current.closure;
+    if (!drops.alerts.length || !drops.alerts.every(alert => alert.region === region && alert.severity === 'critical' && alert.actual === 0)) {
+      throw new Error(`Every store in ${region} should have a critical sales drop`);
+    }
+
+    // Thresholds can be set per request
+    const oneDay = await getAlerts('type=salesDrop&thresholds=lookbackDays=1');
+    if (oneDay.summary.total !== drops.summary.total || oneDay.alerts[0].startDate !== oneDay.asOf) {
+      throw new Error('A one-day look-back should report today for the same stores');
+    }
+    await sendRequest('GET', '/api/alerts?thresholds=salesDrop=2', undefined, 400);
+
+    const [first, second] = drops.alerts;
+    const acknowledged = JSON.parse((await sendRequest('POST', `/api/alerts/${encodeURIComponent(first.id)}/acknowledge?scenario=regional-closure`)).text);
+    if (acknowledged.status !== 'acknowledged' || !acknowledged.updatedAt) throw new Error('Acknowledging should update the status');
+    await sendRequest('POST', `/api/alerts/${encodeURIComponent(second.id)}/dismiss?scenario=regional-closure`);
+    await sendRequest('POST', `/api/alerts/${encodeURIComponent(second.id)}/acknowledge?scenario=regional-closure`, undefined, 409);
+    await sendRequest('POST', '/api/alerts/salesDrop:NOPE:2023-01-01/dismiss', undefined, 404);
+
+    const open = await getAlerts('type=salesDrop');
+    const dismissed = await getAlerts('type=salesDrop&status=dismissed');
+    if (open.summary.total !== drops.summary.total - 1 || dismissed.alerts[0].id !== second.id) {
+      throw new Error('Dismissed alerts should only be listed when asked for');
+    }
+    if (open.alerts.find(alert => alert.id === first.id).status !== 'acknowledged') {
+      throw new Error('Acknowledged alerts should stay acknowledged');
+    }
+
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+async function testCustomers() {
+  console.log(`${colors.bright}${colors.blue}Testing customers:${colors.reset}`);
+
+  const get = async endpoint => JSON.parse((await sendRequest('GET', endpoint)).text);
+
+  try {
+    // Customer counts add up, and the transactions are the sales endpoint's
+    const { summary, groups } = await get('/api/customers/summary?timeRange=Last%20Quarter&groupBy=region');
+    const { summary: sales } = await get('/api/sales?timeRange=Last%20Quarter');
+    if (summary.transactions !== sales.transactionCount || summary.footTraffic !== sales.footTraffic) {
+      throw new Error('Transactions and foot traffic should match the sales summary');
+    }
+    if (summary.newCustomers + summary.returningCustomers !== summary.customers || summary.identifiedTransactions > summary.transactions) {
+      throw new Error('New and returning customers should add up to the active customers');
+    }
+    if (groups.reduce((sum, group) => sum + group.customers, 0) !== summary.customers) {
+      throw new Error('Region groups should add up to the total');
+    }
+
+    // Lists come a page at a time, and a customer's purchases add up to their totals
+    const list = await get('/api/customers?storeIds=ST001&sort=totalSpend:desc');
+    const segments = await get('/api/customers/segments?storeIds=ST001');
+    if (list.customers.length !== 50 || segments.segments.reduce((sum, segment) => sum + segment.customers, 0) !== list.pagination.total) {
+      throw new Error('Segments should cover every customer in the list');
+    }
+    const [top] = list.customers;
+    const customer = await get(`/api/customers/${top.id}`);
+    const spend = customer.transactions.reduce((sum, transaction) => sum + transaction.amount, 0);
+    if (customer.transactions.length !== top.transactionCount || spend !== top.totalSpend || customer.transactions[0].date !== top.lastPurchaseDate) {
+      throw new Error('A customer\'s history should match their totals');
+    }
+    const lost = await get('/api/customers?storeIds=ST001&segment=Lost&pageSize=1');
+    if (lost.pagination.total !== segments.segments.find(segment => segment.segment === 'Lost').customers) {
+      throw new Error('Filtering by segment should match the segment counts');
+    }
+    await sendRequest('GET', '/api/customers/ST001-C99999', undefined, 404);
+    await sendRequest('GET', '/api/customers?loyaltyTier=Diamond', undefined, 400);
+
+    // Every cohort buys in its first month
+    const { cohorts } = await get('/api/customers/cohorts?storeIds=ST001');
+    if (cohorts.length !== 12 || !cohorts.every(cohort => cohort.retention[0].activeCustomers === cohort.customers && cohort.retention.length >= 1)) {
+      throw new Error('Expected 12 cohorts, each active in its acquisition month');
+    }
+
+    // Store managers only see their own store's customers
+    const { token } = JSON.parse((await sendRequest('POST', '/api/auth/login', { username: 'manager-st002', password: 'retailmetrics' })).text);
+    const response = await fetch(`${BASE_URL}/api/customers/${top.id}`, { headers: { Authorization: `Bearer ${token}` } });
+    if (response.status !== 403) throw new Error('Another store\'s customers should be forbidden');
+
+    console.log(`${colors.green}✓ Success${colors.reset}`);
+    return { success: true };
+  } catch (error) {
+    console.log(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Validation functions for each endpoint
  */
@@ -154,7 +1051,7 @@ const validators = {
     if (data.length === 0) return 'Expected at least one store';
     
     const firstStore = data[0];
-    const requiredFields = ['id', 'name', 'region', 'type', 'address', 'openDate', 'size', 'coordinates', 'manager'];
+    const requiredFields = ['id', 'name', 'region', 'city', 'type', 'address', 'openDate', 'size', 'coordinates', 'manager'];
     for (const field of requiredFields) {
       if (!(field in firstStore)) return `Missing required field: ${field}`;
     }
@@ -175,7 +1072,7 @@ const validators = {
     
     // Check summary fields
     const summaryFields = ['totalSales', 'comparisonSales', 'percentChange', 
-                          'averageTransactionValue', 'transactionCount', 'conversionRate'];
+                          'averageTransactionValue', 'transactionCount', 'footTraffic', 'conversionRate'];
     for (const field of summaryFields) {
       if (!(field in data.summary)) return `Missing summary field: ${field}`;
     }
@@ -189,6 +1086,99 @@ const validators = {
     return true;
   },
   
+  // Validate a sorted, paginated and projected store list
+  storesPage: (data, response) => {
+    if (!Array.isArray(data)) return 'Expected an array of stores';
+    if (data.length !== 20) return 'Expected a page of 20 stores';
+    if (data.some(store => Object.keys(store).join(',') !== 'id,size')) return 'Expected only the id and size fields';
+    if (data.some((store, index) => index > 0 && store.size > data[index - 1].size)) return 'Expected stores sorted by size descending';
+    
+    if (response.headers.get('X-Total-Count') !== '200') return 'X-Total-Count should report all 200 stores';
+    const link = response.headers.get('Link') || '';
+    if (!link.includes('rel="next"') || !link.includes('rel="prev"')) return 'Link header should include next and prev pages';
+    
+    return true;
+  },
+  
+  // Validate a text search for a city
+  storeTextSearch: (data) => {
+    if (!Array.isArray(data)) return 'Expected an array of stores';
+    if (data.length === 0) return 'Expected at least one store in Chicago';
+    if (data.some(store => store.city !== 'Chicago' && !store.address.includes('Chicago'))) {
+      return 'Expected only stores matching "chicago"';
+    }
+    
+    return true;
+  },
+  
+  // Validate a radius search around Seattle
+  storeGeoSearch: (data) => {
+    if (!Array.isArray(data)) return 'Expected an array of stores';
+    if (data.some(store => typeof store.distanceKm !== 'number')) return 'Expected a distanceKm on every store';
+    if (data.some(store => store.distanceKm > 50)) return 'Expected only stores within 50 km';
+    if (data.some((store, index) => index > 0 && store.distanceKm < data[index - 1].distanceKm)) {
+      return 'Expected stores ordered by distance';
+    }
+    
+    return true;
+  },
+  
+  // Validate sales filtered down to a single region
+  filteredSales: (data) => {
+    const baseResult = validators.sales(data);
+    if (baseResult !== true) return baseResult;
+    
+    if (data.byRegion.length !== 1 || data.byRegion[0].region !== 'Northeast') {
+      return 'byRegion should only contain the filtered region';
+    }
+    if (data.byDate.length !== 31) return 'byDate should only cover the requested dates';
+    
+    const byStoreTotal = data.byStore.reduce((sum, store) => sum + store.sales, 0);
+    if (byStoreTotal !== data.summary.totalSales) return 'byStore should add up to totalSales';
+    
+    const byDateTotal = data.byDate.reduce((sum, day) => sum + day.sales, 0);
+    if (byDateTotal !== data.summary.totalSales) return 'byDate should add up to totalSales';
+    
+    const byCategoryTotal = data.byCategory.reduce((sum, category) => sum + category.sales, 0);
+    if (byCategoryTotal !== data.summary.totalSales) return 'byCategory should add up to totalSales';
+    
+    const ranks = data.byStore.map(store => store.rank).sort((a, b) => a - b);
+    if (ranks.some((rank, index) => rank !== index + 1)) return 'byStore ranks should run from 1 to the store count';
+    
+    return true;
+  },
+  
+  // Validate sales time series
+  salesTimeseries: (data) => {
+    if (!Array.isArray(data.series)) return 'series should be an array';
+    if (data.series.length === 0) return 'Expected at least one series';
+    
+    for (const series of data.series) {
+      if (!('key' in series)) return 'Missing series field: key';
+      if (!Array.isArray(series.points)) return 'series points should be an array';
+      for (const field of ['bucket', 'startDate', 'endDate', 'sales', 'transactions', 'avgValue']) {
+        if (series.points.length > 0 && !(field in series.points[0])) return `Missing point field: ${field}`;
+      }
+    }
+    
+    return true;
+  },
+  
+  // Validate forecast endpoints
+  salesForecast: (data) => {
+    for (const field of ['granularity', 'horizon', 'confidence', 'training', 'forecast', 'backtest']) {
+      if (!(field in data)) return `Missing forecast field: ${field}`;
+    }
+    if (data.forecast.length !== data.horizon) return 'Expected one point per bucket of the horizon';
+    if (data.forecast[0].startDate <= data.training.endDate) return 'The forecast should start after the last day of history';
+    if (!data.forecast.every(point => point.lower <= point.sales && point.sales <= point.upper)) {
+      return 'Forecasts should lie within their bounds';
+    }
+    if (data.backtest && data.backtest.endDate !== data.training.endDate) return 'The backtest should hold out the last days of history';
+    
+    return true;
+  },
+  
   // Validate inventory endpoint
   inventory: (data) => {
     const requiredSections = ['summary', 'byCategory', 'byStore'];
@@ -209,6 +1199,75 @@ const validators = {
     return true;
   },
   
+  // Validate that inventory breakdowns reconcile with the summary
+  reconciledInventory: (data) => {
+    const baseResult = validators.inventory(data);
+    if (baseResult !== true) return baseResult;
+    
+    const byStoreValue = data.byStore.reduce((sum, store) => sum + store.value, 0);
+    if (byStoreValue !== data.summary.totalValue) return 'byStore values should add up to totalValue';
+    
+    const byCategoryItems = data.byCategory.reduce((sum, category) => sum + category.itemCount, 0);
+    if (byCategoryItems !== data.summary.totalItems) return 'byCategory item counts should add up to totalItems';
+    
+    return true;
+  },
+  
+  // Validate product catalog
+  products: (data) => {
+    if (!Array.isArray(data)) return 'Expected an array of products';
+    if (data.length === 0) return 'Expected at least one product';
+    
+    const requiredFields = ['id', 'name', 'department', 'category', 'price', 'cost', 'variants'];
+    for (const field of requiredFields) {
+      if (!(field in data[0])) return `Missing required field: ${field}`;
+    }
+    
+    const skus = data.flatMap(product => product.variants.map(variant => variant.sku));
+    if (new Set(skus).size !== skus.length) return 'SKU ids should be unique';
+    
+    return true;
+  },
+  
+  // Validate per-SKU store inventory
+  storeInventory: (data) => {
+    const requiredSections = ['storeId', 'asOf', 'lastReplenishment', 'nextReplenishment', 'summary', 'items'];
+    for (const section of requiredSections) {
+      if (!(section in data)) return `Missing required section: ${section}`;
+    }
+    if (!Array.isArray(data.items)) return 'items should be an array';
+    
+    const onHand = data.items.reduce((sum, item) => sum + item.onHand, 0);
+    if (onHand !== data.summary.itemCount) return 'SKU quantities should add up to itemCount';
+    
+    const outOfStock = data.items.filter(item => item.onHand === 0).length;
+    if (outOfStock !== data.summary.outOfStockItems) return 'outOfStockItems should count SKUs with nothing on hand';
+    
+    return true;
+  },
+  
+  // Validate a store's staff roster
+  storeStaff: (data) => {
+    const requiredSections = ['storeId', 'period', 'staff'];
+    for (const section of requiredSections) {
+      if (!(section in data)) return `Missing required section: ${section}`;
+    }
+    if (!Array.isArray(data.staff) || data.staff.length === 0) return 'staff should be a non-empty array';
+    
+    const requiredFields = ['id', 'name', 'position', 'hireDate', 'salesTotal', 'transactionCount', 'hoursWorked'];
+    for (const field of requiredFields) {
+      if (!(field in data.staff[0])) return `Missing staff field: ${field}`;
+    }
+    
+    const ids = data.staff.map(employee => employee.id);
+    if (new Set(ids).size !== ids.length) return 'Employee ids should be unique';
+    if (data.staff.filter(employee => employee.position === 'Store Manager').length !== 1) {
+      return 'Expected exactly one Store Manager';
+    }
+    
+    return true;
+  },
+  
   // Validate store details endpoint
   storeDetails: (data) => {
     const requiredSections = ['storeInfo', 'salesByDepartment', 'staffPerformance', 
@@ -242,6 +1301,36 @@ const validators = {
       if (data[filter].length === 0) return `${filter} should not be empty`;
     }
     
+    return true;
+  },
+  
+  scenarios: (data) => {
+    if (!data.current || data.current.name !== 'baseline') return 'The server should default to the baseline scenario';
+    if (!Array.isArray(data.scenarios)) return 'scenarios should be an array';
+    
+    const names = data.scenarios.map(scenario => scenario.name);
+    for (const name of ['baseline', 'holiday', 'regional-closure', 'declining', 'empty']) {
+      if (!names.includes(name)) return `Missing scenario: ${name}`;
+    }
+    
+    return true;
+  },
+  
+  openApi: (data) => {
+    if (data.openapi !== '3.1.0') return `Expected OpenAPI 3.1.0, got ${data.openapi}`;
+    
+    const expectedOperations = [
+      'get /api/stores', 'post /api/stores', 'get /api/stores/search', 'patch /api/stores/{storeId}',
+      'get /api/sales', 'get /api/sales/timeseries', 'get /api/inventory', 'get /api/products',
+      'get /api/stores/{storeId}/inventory', 'get /api/stores/{storeId}/staff', 'get /api/staff/{employeeId}',
+      'get /api/stores/{storeId}/details', 'get /api/filters', 'get /api/scenarios', 'post /__admin/regenerate'
+    ];
+    for (const operation of expectedOperations) {
+      const [method, path] = operation.split(' ');
+      if (!data.paths[path] || !data.paths[path][method]) return `Missing operation: ${operation}`;
+    }
+    if (!data.components.schemas.Sales) return 'Missing Sales schema';
+    
     return true;
   }
 };
@@ -292,6 +1381,26 @@ async function runAllTests() {
     
     // Test the stores endpoint
     const storesResult = await testEndpoint('/api/stores', validators.stores);
+    await testEndpoint('/api/stores', validators.storesPage, { sort: 'size:desc', page: 2, pageSize: 20, fields: 'id,size' });
+    
+    await testEndpoint('/api/stores/search', validators.storeTextSearch, { q: 'chicago' });
+    await testEndpoint('/api/stores/search', validators.storeGeoSearch, { lat: 47.61, lng: -122.33, radiusKm: 50 });
+    await testEndpoint('/api/stores/search', data => {
+      if (!Array.isArray(data)) return 'Expected an array of stores';
+      if (data.some(store => store.region !== 'West')) return 'Expected only West stores inside the bounding box';
+      // Haversine distance from the centre of the box
+      const radians = degrees => degrees * Math.PI / 180;
+      const fromCentre = ({ lat, lng }) => 2 * 6371 * Math.asin(Math.sqrt(Math.sin(radians(lat - 40.5) / 2) ** 2 +
+        Math.cos(radians(40.5)) * Math.cos(radians(lat)) * Math.sin(radians(lng + 120) / 2) ** 2));
+      if (data.some(store => Math.abs(store.distanceKm - fromCentre(store.coordinates)) > 0.1)) {
+        return 'Expected each store in the box to report its distance from the centre';
+      }
+      if (data.some((store, index) => index > 0 && store.distanceKm < data[index - 1].distanceKm)) {
+        return 'Expected stores in the box ordered by distance from its centre';
+      }
+      return true;
+    }, { bbox: '32,-125,49,-115' });
+    await testErrorEndpoint('/api/stores/search', 400, { lat: 95, lng: 0 });
     
     // Extract a store ID for the store details test
     let storeId = null;
@@ -301,11 +1410,198 @@ async function runAllTests() {
     
     // Test other endpoints
     await testEndpoint('/api/sales', validators.sales, { startDate: '2023-01-01', endDate: '2023-03-31' });
+    await testEndpoint('/api/sales', validators.filteredSales, { startDate: '2023-01-01', endDate: '2023-01-31', region: 'Northeast' });
     await testEndpoint('/api/inventory', validators.inventory, { region: 'Northeast' });
+    await testEndpoint('/api/inventory', validators.reconciledInventory, { storeType: 'Mall' });
+    
+    // Test paging through the sales byStore section with cursors
+    const firstPageResult = await testEndpoint('/api/sales', data => {
+      const baseResult = validators.sales(data);
+      if (baseResult !== true) return baseResult;
+      if (data.byStore.length !== 25) return 'Expected a page of 25 stores';
+      if (data.byStore[0].rank !== 1) return 'Sorting by rank should start at rank 1';
+      if (!data.byStorePagination.next || data.byStorePagination.prev) return 'First page should only link forward';
+      return true;
+    }, { sort: 'rank:asc', pageSize: 25 });
+    if (firstPageResult.success) {
+      const { next, nextCursor } = firstPageResult.data.byStorePagination;
+      const validateSecondPage = data => {
+        if (data.byStore[0].rank !== 26) return 'Second page should continue at rank 26';
+        if (data.byStorePagination.page !== 2) return 'Second page should report page 2';
+        return true;
+      };
+      await testEndpoint('/api/sales', validateSecondPage, Object.fromEntries(new URL(next).searchParams));
+      await testEndpoint('/api/sales', validateSecondPage, { sort: 'rank:asc', pageSize: 25, cursor: nextCursor });
+    }
+    await testErrorEndpoint('/api/inventory', 400, { sort: 'color:asc' });
+    
+    // Test the product catalog and per-SKU store inventory
+    await testEndpoint('/api/products', validators.products);
+    await testEndpoint('/api/products', data => {
+      if (data.some(product => product.category !== 'Footwear')) return 'Expected only Footwear products';
+      return true;
+    }, { category: 'Footwear' });
+    const storeInventoryResult = await testEndpoint('/api/stores/ST001/inventory', validators.storeInventory);
+    if (storeInventoryResult.success) {
+      await testEndpoint('/api/inventory', data => {
+        const store = data.byStore[0];
+        if (store.outOfStockItems !== storeInventoryResult.data.summary.outOfStockItems) {
+          return 'Store inventory and /api/inventory should agree on out-of-stock SKUs';
+        }
+        if (store.itemCount !== storeInventoryResult.data.summary.itemCount) {
+          return 'Store inventory and /api/inventory should agree on units on hand';
+        }
+        return true;
+      }, { storeIds: 'ST001' });
+    }
+    await testErrorEndpoint('/api/stores/ST001/inventory', 400, { status: 'missing' });
+    
+    // Test staff rosters against store sales and the store's manager
+    const staffParams = { timeRange: 'Last Quarter' };
+    const staffResult = await testEndpoint('/api/stores/ST002/staff', validators.storeStaff, staffParams);
+    if (staffResult.success) {
+      const staffSales = staffResult.data.staff.reduce((sum, employee) => sum + employee.salesTotal, 0);
+      await testEndpoint('/api/sales', data => {
+        if (data.summary.totalSales !== staffSales) return 'Staff sales should add up to the store total';
+        return true;
+      }, { ...staffParams, storeIds: 'ST002' });
+      
+      const manager = staffResult.data.staff.find(employee => employee.position === 'Store Manager');
+      await testEndpoint(`/api/staff/${manager.id}`, data => {
+        if (data.employee.id !== manager.id) return 'Expected the requested employee';
+        const breakdownSales = data.breakdown.reduce((sum, row) => sum + row.salesTotal, 0);
+        if (breakdownSales !== data.totals.salesTotal) return 'Monthly breakdown should add up to the totals';
+        if (data.totals.salesTotal !== manager.salesTotal) return 'Totals should match the roster for the same period';
+        return true;
+      }, staffParams);
+      await testEndpoint('/api/stores', data => {
+        const store = data.find(s => s.id === 'ST002');
+        if (store.manager !== manager.name) return 'The roster manager should be the store manager';
+        return true;
+      });
+    }
+    await testErrorEndpoint('/api/staff/ST002-E999', 404);
+    
+    // Test that time series buckets add up to the sales summary for the same filters
+    const timeseriesParams = { timeRange: 'This Quarter', region: 'Midwest' };
+    const timeseriesResult = await testEndpoint('/api/sales/timeseries', validators.salesTimeseries,
+      { ...timeseriesParams, granularity: 'week', groupBy: 'category' });
+    if (timeseriesResult.success) {
+      const seriesTotal = timeseriesResult.data.series
+        .flatMap(series => series.points)
+        .reduce((sum, point) => sum + point.sales, 0);
+      await testEndpoint('/api/sales', data => {
+        if (data.summary.totalSales !== seriesTotal) return 'Time series should add up to totalSales';
+        return true;
+      }, timeseriesParams);
+    }
+    await testEndpoint('/api/sales/timeseries', data => {
+      const baseResult = validators.salesTimeseries(data);
+      if (baseResult !== true) return baseResult;
+      if (data.series[0].points.length !== 6) return 'Expected one point per month of H1 2023';
+      return true;
+    }, { startDate: '2023-01-01', endDate: '2023-06-30', granularity: 'month', groupBy: 'store', storeIds: 'ST001,ST002' });
+    
+    // Test that comparisons match the sales summary and leave new stores out of comp-store sales
+    const compareParams = { region: 'Southwest', startDate: '2023-02-01', endDate: '2023-02-28' };
+    const compareResult = await testEndpoint('/api/sales/compare', data => {
+      if (data.vs !== 'previousYear' || data.comparisonPeriod.startDate !== '2022-02-02') return 'Expected the same days 52 weeks earlier';
+      const { summary, compStores, byStore } = data;
+      if (compStores.storeCount + compStores.excludedStoreIds.length !== summary.storeCount) {
+        return 'Every store should be a comp store or excluded';
+      }
+      if (!byStore.every(store => store.compStore === (store.openDate <= compStores.openedBy))) {
+        return 'Comp stores should be those open by the start of the comparison period';
+      }
+      if (summary.sales.change !== summary.sales.current - summary.sales.comparison) return 'change should be the difference';
+      return true;
+    }, compareParams);
+    if (compareResult.success) {
+      await testEndpoint('/api/sales', data => {
+        const { sales } = compareResult.data.summary;
+        if (data.summary.totalSales !== sales.current || data.summary.comparisonSales !== sales.comparison) {
+          return 'Comparison figures should match the sales summary';
+        }
+        return true;
+      }, compareParams);
+    }
+    await testEndpoint('/api/sales/compare', data => {
+      if (data.comparisonPeriod.endDate !== '2023-03-31' || data.comparisonPeriod.days !== 30) {
+        return 'previousPeriod should be as many days just before';
+      }
+      return true;
+    }, { vs: 'previousPeriod', startDate: '2023-04-01', endDate: '2023-04-30' });
+    await testErrorEndpoint('/api/sales/compare?compareStartDate=2022-01-01', 400);
+    await testErrorEndpoint('/api/sales/compare?compareStartDate=2019-01-01&compareEndDate=2019-03-31', 400);
+    
+    // Test forecasts, which should project the generated seasonality closely enough to backtest well
+    await testEndpoint('/api/sales/forecast', data => {
+      const baseResult = validators.salesForecast(data);
+      if (baseResult !== true) return baseResult;
+      if (data.forecast[0].startDate !== '2023-07-01') return 'A forecast should start the day after today';
+      if (!data.backtest || data.backtest.metrics.mape > 5) return 'A three month backtest should be within 5%';
+      return true;
+    }, { granularity: 'month', horizon: 3, region: 'Midwest' });
+    await testEndpoint('/api/stores/ST001/forecast', data => {
+      const baseResult = validators.salesForecast(data);
+      if (baseResult !== true) return baseResult;
+      const factors = Object.fromEntries(data.model.weekdayFactors.map(({ weekday, factor }) => [weekday, factor]));
+      if (data.storeId !== 'ST001' || !(factors.Saturday > factors.Monday)) return 'Store forecasts should pick up the weekly pattern';
+      return true;
+    }, { granularity: 'day', horizon: 14, confidence: 95 });
+    await testErrorEndpoint('/api/sales/forecast?confidence=75', 400);
+    await testErrorEndpoint('/api/stores/INVALID_ID/forecast', 404);
+    
+    // Test that benchmarks rank a store among the stores of its region and type
+    const benchmarkResult = await testEndpoint('/api/stores/ST001/benchmark', data => {
+      const metrics = Object.values(data.metrics);
+      if (metrics.length !== 5 || data.peerGroup.peerCount < 1) return 'Expected five metrics against at least one peer';
+      if (!metrics.every(metric => metric.rank >= 1 && metric.rank <= data.peerGroup.peerCount + 1)) {
+        return 'Ranks should run from 1 to the group size';
+      }
+      if (!metrics.every(metric => (metric.topQuartileGap === 0) === (metric.value >= metric.topQuartile))) {
+        return 'The top-quartile gap should be 0 only at or above the top quartile';
+      }
+      return true;
+    }, { timeRange: 'Last Quarter' });
+    if (benchmarkResult.success) {
+      await testEndpoint('/api/sales', data => {
+        if (data.summary.totalSales !== benchmarkResult.data.metrics.sales.value) return 'Benchmark sales should match the sales summary';
+        return true;
+      }, { timeRange: 'Last Quarter', storeIds: 'ST001' });
+    }
+    await testErrorEndpoint('/api/stores/INVALID_ID/benchmark', 404);
+    
+    // Test that a timeRange preset compares against the matching prior period
+    const lastMonthResult = await testEndpoint('/api/sales', validators.sales, { timeRange: 'Last Month', region: 'West' });
+    if (lastMonthResult.success) {
+      const { period, summary } = lastMonthResult.data;
+      await testEndpoint('/api/sales', data => {
+        if (period.startDate !== '2023-05-01' || period.endDate !== '2023-05-31') return 'Last Month should resolve to May 2023';
+        if (data.summary.totalSales !== summary.comparisonSales) return 'comparisonSales should equal sales for the prior month';
+        return true;
+      }, { startDate: period.comparisonStartDate, endDate: period.comparisonEndDate, region: 'West' });
+    }
     
     // Test store details if we have a store ID
     if (storeId) {
-      await testEndpoint(`/api/stores/${storeId}/details`, validators.storeDetails);
+      const detailsResult = await testEndpoint(`/api/stores/${storeId}/details`, validators.storeDetails);
+      await testEndpoint(`/api/stores/${storeId}/details`, data => {
+        const baseResult = validators.storeDetails(data);
+        if (baseResult !== true) return baseResult;
+        if (data.period.startDate !== '2023-06-24') return 'Last 7 Days should end on the configured today';
+        return true;
+      }, { timeRange: 'Last 7 Days' });
+      
+      // Quarterly history should match the sales endpoint for the same store and dates
+      if (detailsResult.success) {
+        const firstQuarter = detailsResult.data.historicalPerformance.find(row => row.year === 2023 && row.quarter === 1);
+        await testEndpoint('/api/sales', data => {
+          if (!firstQuarter) return 'historicalPerformance should include Q1 2023';
+          if (data.summary.totalSales !== firstQuarter.sales) return 'Q1 2023 history should match the sales summary';
+          return true;
+        }, { storeIds: storeId, startDate: '2023-01-01', endDate: '2023-03-31' });
+      }
     } else {
       console.log(`${colors.yellow}⚠ Warning:${colors.reset} Skipping store details test - no store ID available`);
     }
@@ -313,9 +1609,124 @@ async function runAllTests() {
     // Test filters endpoint
     await testEndpoint('/api/filters', validators.filters);
     
+    // Test scenario presets, chosen per request by query parameter or header
+    console.log(`\n${colors.bright}${colors.blue}Testing scenarios:${colors.reset}`);
+    await testEndpoint('/api/scenarios', validators.scenarios);
+    await testEndpoint('/api/stores', (data, response) => {
+      if (data.length !== 0) return 'The empty scenario should have no stores';
+      if (response.headers.get('X-Mock-Scenario') !== 'empty') return 'X-Mock-Scenario should report the empty scenario';
+      return true;
+    }, { scenario: 'empty' });
+    await testEndpoint('/api/sales', data => {
+      if (data.summary.totalSales !== 0) return 'The empty scenario should have no sales';
+      if (data.byStore.length !== 0) return 'The empty scenario should have no store rows';
+      return true;
+    }, {}, { 'X-Mock-Scenario': 'empty' });
+    
+    const closureResult = await testEndpoint('/api/scenarios', data => {
+      const { closure } = data.current;
+      if (!closure || closure.endDate !== '2023-06-30') return 'The closure should run up to today';
+      return true;
+    }, { scenario: 'regional-closure' });
+    if (closureResult.success) {
+      const { closure } = closureResult.data.current;
+      await testEndpoint('/api/sales', data => {
+        const closedRegion = data.byRegion.find(row => row.region === closure.region);
+        if (!closedRegion || closedRegion.sales !== 0) return `${closure.region} should sell nothing while closed`;
+        if (data.summary.totalSales === 0) return 'Other regions should keep trading';
+        return true;
+      }, { scenario: 'regional-closure', timeRange: 'Last 7 Days' });
+    }
+    
+    const blackFridayParams = { startDate: '2022-11-25', endDate: '2022-11-25' };
+    const baselineBlackFriday = await testEndpoint('/api/sales', validators.sales, blackFridayParams);
+    if (baselineBlackFriday.success) {
+      await testEndpoint('/api/sales', data => {
+        if (data.summary.totalSales < baselineBlackFriday.data.summary.totalSales * 2) {
+          return 'Black Friday should spike in the holiday scenario';
+        }
+        return true;
+      }, { ...blackFridayParams, scenario: 'holiday' });
+    }
+    await testEndpoint('/api/sales', data => {
+      if (!(data.summary.percentChange < 0)) return 'The declining scenario should trade below last year';
+      return true;
+    }, { scenario: 'declining', startDate: '2023-03-01', endDate: '2023-05-31' });
+    
+    // Test that the seed makes generation reproducible
+    await testSeededResponses({
+      '/api/stores': mockData => mockData.handleGetStores().stores,
+      '/api/sales': mockData => withEmptyPageLinks(mockData.handleGetSales()),
+      '/api/inventory': mockData => withEmptyPageLinks(mockData.handleGetInventory()),
+      '/api/stores/ST001/details': mockData => mockData.handleGetStoreDetails('ST001')
+    });
+    
     // Test error handling with an invalid store ID
     console.log(`\n${colors.bright}${colors.blue}Testing error handling:${colors.reset}`);
     await testEndpoint('/api/stores/INVALID_ID/details', data => true);
+    await testErrorEndpoint('/api/sales', 400, { region: 'Atlantis' });
+    await testErrorEndpoint('/api/sales', 400, { startDate: '2023-02-30' });
+    await testErrorEndpoint('/api/sales', 400, { startDate: '2023-03-01', endDate: '2023-02-01' });
+    await testErrorEndpoint('/api/sales', 400, { timeRange: 'Next Week' });
+    await testErrorEndpoint('/api/sales/timeseries', 400, { granularity: 'hour' });
+    await testErrorEndpoint('/api/sales', 400, { timeRange: 'YTD', startDate: '2023-01-01' });
+    await testErrorEndpoint('/api/stores', 400, { scenario: 'apocalypse' });
+    await testErrorEndpoint('/api/stores', 400, { chaos: 'errorRate=2' });
+    await testErrorEndpoint('/api/stores', 400, { chaos: 'explode=1' });
+    
+    // Test injected faults, which every endpoint accepts per request
+    console.log(`\n${colors.bright}${colors.blue}Testing chaos middleware:${colors.reset}`);
+    await testErrorEndpoint('/api/sales', 503, { chaos: 'errorRate=1,errorStatus=503' });
+    await testErrorEndpoint('/api/stores/ST001/details', 429, { chaos: 'errorRate=1,errorStatus=429' });
+    await testChaosFaults();
+    
+    // Test the API description; the test server validates every response against it
+    console.log(`\n${colors.bright}${colors.blue}Testing OpenAPI document:${colors.reset}`);
+    await testEndpoint('/openapi.json', validators.openApi);
+    const docs = await sendRequest('GET', '/docs');
+    if (!docs.text.includes('/openapi.json')) throw new Error('The docs page should load /openapi.json');
+    await testErrorEndpoint('/api/stores', 400, { color: 'red' });
+    await testErrorEndpoint('/api/stores', 400, { pageSize: 'ten' });
+    
+    // Test file downloads of report tables
+    console.log(`\n${colors.bright}${colors.blue}Testing exports:${colors.reset}`);
+    await testExports();
+    
+    // Test the GraphQL endpoint against the REST routes
+    console.log(`\n${colors.bright}${colors.blue}Testing GraphQL endpoint:${colors.reset}`);
+    await testGraphQL();
+    
+    // Test the live feed, which adds to today's sales
+    console.log(`\n${colors.bright}${colors.blue}Testing live feed:${colors.reset}`);
+    await testLiveFeed();
+    
+    // Test store writes, which undo themselves when done
+    console.log(`\n${colors.bright}${colors.blue}Testing write endpoints:${colors.reset}`);
+    await testStoreWrites();
+    
+    // Test fixtures and snapshot files, which replace the data and regenerate it when done
+    console.log(`\n${colors.bright}${colors.blue}Testing fixtures and data files:${colors.reset}`);
+    await testDataFiles();
+    
+    // Test tenants, which regenerate the second tenant's data
+    console.log(`\n${colors.bright}${colors.blue}Testing tenants:${colors.reset}`);
+    await testTenants();
+    
+    // Test sign-in and data scoping
+    console.log(`\n${colors.bright}${colors.blue}Testing auth:${colors.reset}`);
+    await testAuth();
+    
+    // Test the anomaly scan and alert states
+    console.log(`\n${colors.bright}${colors.blue}Testing alert feed:${colors.reset}`);
+    await testAlerts();
+    
+    // Test generated customers, traffic and retention
+    console.log(`\n${colors.bright}${colors.blue}Testing customer insights:${colors.reset}`);
+    await testCustomers();
+    
+    // Test runtime controls last, since they replace the data
+    console.log(`\n${colors.bright}${colors.blue}Testing admin endpoints:${colors.reset}`);
+    await testAdminApi();
     
     console.log(`\n${colors.bright}${colors.green}All tests completed successfully!${colors.reset}\n`);
   } catch (error) {
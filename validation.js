@@ -0,0 +1,223 @@
+/**
+ * RetailMetrics Mock Server Validation
+ *
+ * Express middleware that checks requests and responses against the OpenAPI
+ * document, so a handler that drifts from the documented shape fails loudly
+ * instead of quietly breaking the dashboard. Off unless --validate is given.
+ *
+ * Query parameters that are unknown, repeated or the wrong type are rejected
+ * with a 400. JSON responses that don't match the schema for their status are
+ * replaced with a 500 listing what was wrong, and logged. Routes missing from
+ * the document pass through unchecked.
+ *
+ * Supports the subset of JSON Schema openapi.js uses: $ref, anyOf, type,
+ * enum, minimum, maximum, pattern, date and date-time formats, items,
+ * properties, required and additionalProperties: false.
+ */
+
+const { createHttpError } = require('./data');
+
+const maxErrors = 20;
+const methods = ['get', 'post', 'put', 'patch', 'delete'];
+
+function resolveRef(spec, node) {
+  if (!node || !node.$ref) return node;
+  return node.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((target, key) => target[key], spec);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'integer' || (actual === 'number' && Number.isFinite(value));
+  return actual === type;
+}
+
+function matchesFormat(value, format) {
+  if (format === 'date') {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && new Date(value).toISOString().startsWith(value);
+  }
+  if (format === 'date-time') {
+    return /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+  }
+  return true;
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function checkValue(spec, schema, value, path, errors) {
+  if (errors.length >= maxErrors) return;
+  const resolved = resolveRef(spec, schema);
+  const fail = message => errors.push({ field: path || null, message });
+
+  if (resolved.anyOf) {
+    const matches = resolved.anyOf.some(option => {
+      const optionErrors = [];
+      checkValue(spec, option, value, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) fail('Does not match any of the allowed shapes');
+    return;
+  }
+
+  if (resolved.type) {
+    const types = [].concat(resolved.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return fail(`Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    }
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    return fail(`Expected one of: ${resolved.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (resolved.minimum !== undefined && value < resolved.minimum) fail(`Expected at least ${resolved.minimum}`);
+    if (resolved.maximum !== undefined && value > resolved.maximum) fail(`Expected at most ${resolved.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) fail(`Expected to match ${resolved.pattern}`);
+    if (resolved.format && !matchesFormat(value, resolved.format)) fail(`Expected a ${resolved.format}`);
+  }
+
+  if (Array.isArray(value) && resolved.items) {
+    value.forEach((item, index) => checkValue(spec, resolved.items, item, joinPath(path, index), errors));
+  }
+
+  if (typeOf(value) === 'object' && (resolved.properties || resolved.required)) {
+    const properties = resolved.properties || {};
+    (resolved.required || []).forEach(key => {
+      if (!(key in value)) errors.push({ field: joinPath(path, key), message: 'Is required' });
+    });
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (properties[key]) {
+        checkValue(spec, properties[key], propertyValue, joinPath(path, key), errors);
+      } else if (resolved.additionalProperties === false) {
+        errors.push({ field: joinPath(path, key), message: 'Is not a documented field' });
+      }
+    });
+  }
+}
+
+/**
+ * Check a value against a schema from the document, returning up to 20
+ * `{ field, message }` errors; an empty list means it matched
+ */
+function validateValue(spec, schema, value) {
+  const errors = [];
+  checkValue(spec, schema, value, '', errors);
+  return errors.slice(0, maxErrors);
+}
+
+// Operations in match order: static segments beat {templated} ones, so
+// /api/stores/search is not read as a store id
+function compileOperations(spec) {
+  return Object.entries(spec.paths)
+    .map(([path, pathItem]) => {
+      const source = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+');
+      return { path, pattern: new RegExp(`^${source}/?$`), templated: (path.match(/\{/g) || []).length, pathItem };
+    })
+    .sort((a, b) => a.templated - b.templated)
+    .flatMap(({ path, pattern, pathItem }) => methods
+      .filter(method => pathItem[method])
+      .map(method => {
+        const operation = pathItem[method];
+        const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+          .map(parameter => resolveRef(spec, parameter))
+          .filter(parameter => parameter.in === 'query');
+        return { method: method.toUpperCase(), path, pattern, parameters, responses: operation.responses };
+      }));
+}
+
+// Query strings only carry text, so numbers are converted before checking
+function coerceQueryValue(value, schema) {
+  const types = [].concat(schema.type);
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+function validateQuery(spec, operation, query) {
+  const errors = [];
+
+  Object.entries(query).forEach(([name, value]) => {
+    const parameter = operation.parameters.find(candidate => candidate.name === name);
+    if (!parameter) {
+      errors.push({ field: name, message: 'Is not a parameter of this endpoint' });
+    } else if (typeof value !== 'string') {
+      errors.push({ field: name, message: 'Expected a single value' });
+    } else {
+      const schema = resolveRef(spec, parameter.schema);
+      errors.push(...validateValue(spec, schema, coerceQueryValue(value, schema)).map(error => ({ ...error, field: name })));
+    }
+  });
+
+  return errors;
+}
+
+function getResponseSchema(operation, status) {
+  const response = operation.responses[status] || operation.responses.default;
+  const content = response && response.content && response.content['application/json'];
+  return content ? content.schema : null;
+}
+
+/**
+ * @param {Object} options - `spec`, the document or a function returning the
+ *   one for a request, and whether to check `requests` and `responses`
+ */
+function createValidationMiddleware({ spec: specOption, requests = true, responses = true }) {
+  const getSpec = typeof specOption === 'function' ? specOption : () => specOption;
+  const compiled = new Map();
+
+  return function validationMiddleware(req, res, next) {
+    const spec = getSpec(req);
+    if (!compiled.has(spec)) compiled.set(spec, compileOperations(spec));
+    const operations = compiled.get(spec);
+    const operation = operations.find(candidate => candidate.method === req.method && candidate.pattern.test(req.path));
+    if (!operation) return next();
+
+    if (requests) {
+      const fields = validateQuery(spec, operation, req.query);
+      if (fields.length) {
+        const error = createHttpError(400, 'Invalid query parameters');
+        error.fields = fields;
+        return next(error);
+      }
+    }
+
+    if (responses) {
+      const json = res.json;
+      res.json = function validatedJson(body) {
+        res.json = json;
+        const schema = getResponseSchema(operation, res.statusCode);
+        const fields = schema ? validateValue(spec, schema, body) : [];
+        if (!fields.length) return json.call(this, body);
+
+        console.error(`${req.method} ${req.originalUrl} responded ${res.statusCode} with a body that does not match the OpenAPI document:`);
+        fields.forEach(({ field, message }) => console.error(`  ${field || '(body)'}: ${message}`));
+        res.status(500);
+        return json.call(this, { error: 'Response failed validation against the OpenAPI document', fields });
+      };
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createValidationMiddleware,
+  validateValue
+};